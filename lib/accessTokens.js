@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Personal access tokens
+ * Long-lived bearer tokens for scripts and CI, accepted by verifyAuth next
+ * to Supabase session JWTs. Each one carries scopes that routes check with
+ * requireScope (middleware/scopes.js). Only a SHA-256 hash is stored; the
+ * token itself is shown once, when it is created.
+ */
+
+const TOKEN_PREFIX = 'nexus_pat_';
+
+const TOKEN_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'conversations:read',
+  'conversations:write',
+  'ai:use',
+  'webhooks:manage'
+];
+
+const MAX_TOKENS_PER_USER = 50;
+
+// Only record use once a minute per token, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const isAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+const hashAccessToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A new token with its hash and a short hint for telling tokens apart
+ */
+const generateAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashAccessToken(token), hint: token.slice(0, TOKEN_PREFIX.length + 4) };
+};
+
+// A write scope also covers reading the same resource
+const hasScope = (scopes, scope) => {
+  return scopes.includes(scope) || (scope.endsWith(':read') && scopes.includes(scope.replace(/:read$/, ':write')));
+};
+
+/**
+ * The token's row if it exists and is neither revoked nor expired, else null
+ */
+const findAccessToken = async (supabase, token) => {
+  const { data: accessToken } = await supabase
+    .from('personal_access_tokens')
+    .select('*')
+    .eq('token_hash', hashAccessToken(token))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (!accessToken) return null;
+  if (accessToken.expires_at && new Date(accessToken.expires_at) <= new Date()) return null;
+
+  if (!accessToken.last_used_at || Date.now() - new Date(accessToken.last_used_at) > TOUCH_INTERVAL_MS) {
+    supabase
+      .from('personal_access_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', accessToken.id)
+      .then(({ error }) => error && logger.error('Token last_used_at error', { error }));
+  }
+
+  return accessToken;
+};
+
+module.exports = {
+  TOKEN_SCOPES,
+  MAX_TOKENS_PER_USER,
+  isAccessToken,
+  generateAccessToken,
+  hasScope,
+  findAccessToken
+};
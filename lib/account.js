@@ -0,0 +1,60 @@
+const { getBackend } = require('./db');
+const { deleteOwnedProjects } = require('./repositories/projects');
+const { deleteProfile } = require('./repositories/profiles');
+
+/**
+ * Account lifecycle: sessions, passwords, email changes and deletion
+ * Sign-ins run on the backend's session client (see lib/db).
+ */
+
+const createSessionClient = () => getBackend().createSessionClient();
+
+/**
+ * Is `password` the user's current password?
+ * The session the check creates is signed out again straight away.
+ */
+const checkPassword = async (supabase, email, password) => {
+  const { data, error } = await createSessionClient().auth.signInWithPassword({ email, password });
+  if (error || !data.session) return false;
+
+  await supabase.auth.admin.signOut(data.session.access_token, 'local');
+  return true;
+};
+
+/**
+ * Start an email change for the session's user
+ * With Supabase a confirmation link is emailed and the address only
+ * changes once it is followed. Returns { error } with a message on failure.
+ */
+const requestEmailChange = (accessToken, email) => getBackend().requestEmailChange(accessToken, email);
+
+/**
+ * Delete a user and everything that belongs only to them
+ * Owned projects (trashed ones included) are deleted with their tasks,
+ * milestones, members and invitations. Conversations, memberships,
+ * webhooks, tokens and the calendar feed cascade from auth.users; usage
+ * records, activity entries and task assignments keep a null user.
+ * Returns the number of projects deleted.
+ */
+const deleteAccount = async (supabase, user) => {
+  const projectIds = await deleteOwnedProjects(supabase, user.id);
+
+  if (user.email) {
+    const { error: invitationError } = await supabase
+      .from('project_invitations')
+      .update({ status: 'declined', responded_at: new Date().toISOString() })
+      .eq('email', user.email.toLowerCase())
+      .eq('status', 'pending');
+
+    if (invitationError) throw invitationError;
+  }
+
+  await deleteProfile(supabase, user.id);
+
+  const { error } = await supabase.auth.admin.deleteUser(user.id);
+  if (error) throw error;
+
+  return projectIds.length;
+};
+
+module.exports = { createSessionClient, checkPassword, requestEmailChange, deleteAccount };
@@ -0,0 +1,75 @@
+const { logger } = require('./logger');
+
+/**
+ * Project activity log
+ * Every change to a project appends a row with the field-level diff, the
+ * actor and a snapshot of the tracked fields afterwards. Reverting copies
+ * an earlier snapshot back onto the project (and is itself logged).
+ */
+
+// Fields a revert can restore; ownership only moves through transfer
+const TRACKED_FIELDS = ['name', 'description', 'logo_url', 'progress', 'team_size', 'due_date', 'status', 'tags', 'priority'];
+
+const ACTIVITY_ACTIONS = ['create', 'update', 'delete', 'restore', 'transfer', 'revert'];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Tracked fields of a project row
+ */
+const snapshotOf = (project) => {
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) snapshot[field] = project[field] ?? null;
+  return snapshot;
+};
+
+/**
+ * { field: { from, to } } for every field that differs
+ * `before` is null for a newly created project
+ */
+const diffProjects = (before, after, fields = TRACKED_FIELDS) => {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after[field] ?? null;
+    if (!isEqual(from, to)) changes[field] = { from, to };
+  }
+
+  return changes;
+};
+
+/**
+ * Append an activity entry
+ * Like the admin action log, a failed write is logged rather than failing
+ * the change it describes.
+ */
+const recordActivity = async (supabase, { projectId, actorId, action, before = null, after, fields, revertedFrom = null }) => {
+  const changes = diffProjects(before, after, fields);
+  if (action === 'update' && !Object.keys(changes).length) return;
+
+  try {
+    const { error } = await supabase
+      .from('project_activity')
+      .insert({
+        project_id: projectId,
+        actor_id: actorId,
+        action,
+        changes,
+        snapshot: snapshotOf(after),
+        reverted_from: revertedFrom
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error('Error recording project activity', { error });
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  ACTIVITY_ACTIONS,
+  snapshotOf,
+  diffProjects,
+  recordActivity
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+/**
+ * AI response cache
+ *
+ * A store implements:
+ *   get(key)               -> Promise<entry | null>
+ *   set(key, entry, ttlMs) -> Promise<void>
+ *
+ * Entries are plain JSON ({ value, cachedAt }) so a shared store
+ * (e.g. Redis SET with PX) can sit behind the same interface. The
+ * in-memory default keeps the most recently written AI_CACHE_MAX_ENTRIES.
+ *
+ * Identical requests in flight at the same time share one upstream call;
+ * that part is per instance whatever the store.
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const parsed = parseInt(process.env.AI_CACHE_TTL_SECONDS, 10);
+// 0 turns caching off; in-flight requests are still shared
+const CACHE_TTL_MS = (Number.isNaN(parsed) ? DEFAULT_TTL_SECONDS : Math.max(0, parsed)) * 1000;
+
+const createMemoryCacheStore = ({ maxEntries = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, item] of entries) {
+      if (item.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    get: async (key) => {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+
+    set: async (key, entry, ttlMs) => {
+      // Re-inserting moves the key to the end, so the oldest write goes first
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+};
+
+let store = createMemoryCacheStore();
+const inFlight = new Map();
+
+/**
+ * Swap the cache store (interface above)
+ */
+const setCacheStore = (customStore) => {
+  store = customStore;
+};
+
+// Same meaning, same key: trimmed strings, collapsed whitespace, no empty fields, sorted keys
+const normalize = (value) => {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '')
+      .map(key => [key, normalize(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * Cache key for a response: what was asked (`name`, e.g. 'roadmap:json'),
+ * of which provider and model, with which prompt inputs
+ */
+const cacheKey = ({ name, provider, model, inputs }) => {
+  const digest = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalize({ name, provider, model, inputs })))
+    .digest('hex');
+  return `ai:${digest}`;
+};
+
+// A broken cache store shouldn't take the AI routes down with it
+const readEntry = async (key) => {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    logger.error('AI cache read error', { error });
+    return null;
+  }
+};
+
+const writeEntry = async (key, entry) => {
+  try {
+    await store.set(key, entry, CACHE_TTL_MS);
+  } catch (error) {
+    logger.error('AI cache write error', { error });
+  }
+};
+
+/**
+ * Cached result of `compute()` under `key`
+ * `refresh` skips the lookup and replaces the stored entry.
+ * Callers arriving while the same key is being computed wait for that
+ * call instead of starting their own, so only the first one is charged.
+ * Resolves to { value, cached, cachedAt }; `cached` is false for whoever ran compute.
+ */
+const withCache = async (key, compute, { refresh = false } = {}) => {
+  if (!refresh && CACHE_TTL_MS) {
+    const entry = await readEntry(key);
+    if (entry) return { ...entry, cached: true };
+  }
+
+  if (inFlight.has(key)) {
+    try {
+      const entry = await inFlight.get(key);
+      return { ...entry, cached: true };
+    } catch (error) {
+      // The caller running it went away (e.g. a closed stream); start over rather than fail with it
+      if (error.name !== 'AbortError') throw error;
+      return withCache(key, compute, { refresh });
+    }
+  }
+
+  const pending = (async () => {
+    const entry = { value: await compute(), cachedAt: new Date().toISOString() };
+    if (CACHE_TTL_MS) await writeEntry(key, entry);
+    return entry;
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    const entry = await pending;
+    return { ...entry, cached: false };
+  } finally {
+    inFlight.delete(key);
+  }
+};
+
+module.exports = {
+  CACHE_TTL_MS,
+  createMemoryCacheStore,
+  setCacheStore,
+  normalize,
+  cacheKey,
+  withCache
+};
@@ -0,0 +1,175 @@
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createMockProvider } = require('./providers/mock');
+const { logger } = require('../logger');
+
+/**
+ * AI provider registry
+ * AI_PROVIDER picks the default; AI_ALLOWED_PROVIDERS lists the ones
+ * a request may switch to (the default is always allowed).
+ */
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const DEFAULT_PROVIDER = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+
+const ALLOWED_PROVIDERS = [
+  DEFAULT_PROVIDER,
+  ...(process.env.AI_ALLOWED_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+];
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const providers = {};
+
+/**
+ * Get (and lazily create) a provider by name
+ */
+const getProvider = (name = DEFAULT_PROVIDER) => {
+  if (!FACTORIES[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  if (!providers[name]) {
+    providers[name] = FACTORIES[name]({
+      // AI_MODEL targets the default provider; others use their own *_MODEL or built-in default
+      model: name === DEFAULT_PROVIDER ? process.env.AI_MODEL : undefined,
+      temperature: parseNumber(process.env.AI_TEMPERATURE, 0.8),
+      maxOutputTokens: parseInt(process.env.AI_MAX_OUTPUT_TOKENS, 10) || 2048
+    });
+  }
+
+  return providers[name];
+};
+
+const isProviderAllowed = (name) => {
+  return !!FACTORIES[name] && ALLOWED_PROVIDERS.includes(name);
+};
+
+let usageRecorder = null;
+
+/**
+ * Register a function that receives one entry per model call
+ * (see lib/usage.js); it runs in the background and must not throw
+ */
+const setUsageRecorder = (recorder) => {
+  usageRecorder = recorder;
+};
+
+const recordUsage = (provider, options, startedAt, outcome) => {
+  if (!usageRecorder) return;
+
+  const context = options.context || {};
+  const usage = outcome.usage || {};
+
+  Promise.resolve(usageRecorder({
+    user_id: context.userId || null,
+    project_id: context.projectId || null,
+    route: context.route || null,
+    provider: provider.name,
+    model: provider.model,
+    streamed: !!outcome.streamed,
+    prompt_tokens: usage.promptTokens || 0,
+    completion_tokens: usage.completionTokens || 0,
+    total_tokens: usage.totalTokens || 0,
+    latency_ms: Date.now() - startedAt,
+    status: outcome.status,
+    error: outcome.error ? String(outcome.error).slice(0, 500) : null
+  })).catch(error => logger.error('AI usage recording error', { error }));
+};
+
+// Providers report usage only for calls that finish; ~4 characters per token otherwise
+const estimateUsage = (prompt, text) => {
+  const promptTokens = Math.ceil(String(prompt).length / 4);
+  const completionTokens = Math.ceil(text.length / 4);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+// Every model call goes through here so it's metered and recorded the same way
+const run = async (method, prompt, options) => {
+  const provider = getProvider(options.provider);
+  const startedAt = Date.now();
+  const streamed = method === 'stream';
+
+  // Text a stream has produced so far, charged if it ends early
+  let streamedText = '';
+  const callOptions = streamed
+    ? { ...options, onChunk: (chunk) => { streamedText += chunk; options.onChunk(chunk); } }
+    : options;
+
+  let result;
+  try {
+    result = await provider[method](prompt, callOptions);
+
+    const usage = result.usage || (streamed ? estimateUsage(prompt, result.text) : null);
+    if (options.onUsage) await options.onUsage(usage);
+    recordUsage(provider, options, startedAt, { status: 'success', usage, streamed });
+  } catch (error) {
+    const status = error.name === 'AbortError' ? 'aborted' : 'error';
+
+    // A stream cut short (client gone, provider failure) still used its prompt and what was sent
+    const usage = streamed && (status === 'aborted' || streamedText) ? estimateUsage(prompt, streamedText) : null;
+    if (usage && options.onUsage) {
+      await Promise.resolve(options.onUsage(usage))
+        .catch(chargeError => logger.error('AI usage charge error', { error: chargeError }));
+    }
+    recordUsage(provider, options, startedAt, { status, error: error.message, streamed, usage });
+
+    // Lets routes tell a failed model call from their own errors
+    error.provider = error.provider || provider.name;
+    throw error;
+  }
+
+  // Screened once metered: a withheld response still cost its tokens
+  if (options.onOutput) await options.onOutput(result.text);
+
+  return { ...result, provider: provider.name, model: provider.model };
+};
+
+/**
+ * Generate a full response
+ * Options: provider, signal, temperature, maxOutputTokens,
+ * onUsage(usage) called after every successful call,
+ * onOutput(text) to screen the response (throw to withhold it),
+ * context { userId, projectId, route } for usage records
+ * Returns { text, usage, provider, model }
+ */
+const generate = (prompt, options = {}) => run('generate', prompt, options);
+
+/**
+ * Stream a response, calling options.onChunk(text) per chunk
+ * Aborting options.signal cancels the upstream generation; the prompt
+ * and the chunks produced so far are still charged as an estimate
+ * Resolves to { text, usage, provider, model }
+ */
+const stream = (prompt, options = {}) => run('stream', prompt, options);
+
+/**
+ * Summary of the default provider for health checks
+ */
+const describeProvider = () => {
+  const provider = getProvider();
+  return {
+    provider: provider.name,
+    model: provider.model,
+    configured: provider.isConfigured(),
+    allowed: ALLOWED_PROVIDERS.filter(name => FACTORIES[name])
+  };
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  isProviderAllowed,
+  generate,
+  stream,
+  setUsageRecorder,
+  describeProvider
+};
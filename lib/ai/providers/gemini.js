@@ -0,0 +1,61 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-3-flash-preview';
+
+const toUsage = (metadata) => {
+  if (!metadata) return null;
+
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    completionTokens: metadata.candidatesTokenCount || 0,
+    totalTokens: metadata.totalTokenCount || 0
+  };
+};
+
+/**
+ * Google Gemini provider
+ */
+const createGeminiProvider = ({ model, temperature, maxOutputTokens }) => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const genAI = new GoogleGenerativeAI(apiKey || '');
+  const modelName = model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+  const getModel = (options) => genAI.getGenerativeModel({
+    model: modelName,
+    generationConfig: {
+      temperature: options.temperature ?? temperature,
+      maxOutputTokens: options.maxOutputTokens ?? maxOutputTokens,
+    },
+  });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    isConfigured: () => !!apiKey,
+
+    generate: async (prompt, options = {}) => {
+      const result = await getModel(options).generateContent(prompt, { signal: options.signal });
+      const response = await result.response;
+
+      return { text: response.text(), usage: toUsage(response.usageMetadata) };
+    },
+
+    stream: async (prompt, options = {}) => {
+      const result = await getModel(options).generateContentStream(prompt, { signal: options.signal });
+      let text = '';
+
+      for await (const chunk of result.stream) {
+        const piece = chunk.text();
+        if (piece) {
+          text += piece;
+          options.onChunk(piece);
+        }
+      }
+
+      const response = await result.response;
+      return { text, usage: toUsage(response.usageMetadata) };
+    }
+  };
+};
+
+module.exports = { createGeminiProvider };
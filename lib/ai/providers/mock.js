@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const defaultFixtures = require('../fixtures.json');
+
+/**
+ * Deterministic offline provider for tests and local development
+ * Returns the first fixture whose `match` string appears in the prompt,
+ * otherwise a canned reply derived from a hash of the prompt.
+ * AI_MOCK_FIXTURES can point at a JSON file of extra { match, response } entries
+ * checked before the built-in ones.
+ */
+
+const loadFixtures = () => {
+  const path = process.env.AI_MOCK_FIXTURES;
+  if (!path) return defaultFixtures;
+
+  return [...JSON.parse(fs.readFileSync(path, 'utf8')), ...defaultFixtures];
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const createMockProvider = () => {
+  const fixtures = loadFixtures();
+
+  const respond = (prompt) => {
+    const fixture = fixtures.find(entry => prompt.includes(entry.match));
+    if (fixture) return fixture.response;
+
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+    return `**Nexus AI (mock)** - reply ${digest}. Break the work into small milestones and ship the riskiest part first.`;
+  };
+
+  const usageFor = (prompt, text) => {
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  };
+
+  const checkAborted = (signal) => {
+    if (signal?.aborted) {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    isConfigured: () => true,
+
+    generate: async (prompt, options = {}) => {
+      checkAborted(options.signal);
+      const text = respond(prompt);
+      return { text, usage: usageFor(prompt, text) };
+    },
+
+    stream: async (prompt, options = {}) => {
+      const text = respond(prompt);
+
+      // Word-sized chunks, yielding between them so aborts are observed
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        checkAborted(options.signal);
+        options.onChunk(piece);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      return { text, usage: usageFor(prompt, text) };
+    }
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,101 @@
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with api.openai.com or any local server exposing /v1/chat/completions
+ * (llama.cpp, Ollama, vLLM, LM Studio...)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const toUsage = (usage) => {
+  if (!usage) return null;
+
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+};
+
+const requestError = async (response) => {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`AI provider request failed (${response.status}): ${body.slice(0, 200)}`);
+  error.status = response.status;
+  return error;
+};
+
+const createOpenAIProvider = ({ model, temperature, maxOutputTokens }) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+  const modelName = model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+
+  const request = (prompt, options, stream) => fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify({
+      model: modelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature ?? temperature,
+      max_tokens: options.maxOutputTokens ?? maxOutputTokens,
+      stream,
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal: options.signal
+  });
+
+  return {
+    name: 'openai',
+    model: modelName,
+    // Local servers usually don't need a key, so a custom base URL counts as configured
+    isConfigured: () => !!apiKey || !!process.env.OPENAI_BASE_URL,
+
+    generate: async (prompt, options = {}) => {
+      const response = await request(prompt, options, false);
+      if (!response.ok) throw await requestError(response);
+
+      const data = await response.json();
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: toUsage(data.usage)
+      };
+    },
+
+    stream: async (prompt, options = {}) => {
+      const response = await request(prompt, options, true);
+      if (!response.ok) throw await requestError(response);
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let usage = null;
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') continue;
+
+          const data = JSON.parse(payload);
+          const piece = data.choices?.[0]?.delta?.content;
+          if (piece) {
+            text += piece;
+            options.onChunk(piece);
+          }
+          if (data.usage) usage = toUsage(data.usage);
+        }
+      }
+
+      return { text, usage };
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,77 @@
+const { NEXUS_SYSTEM_PROMPT } = require('./prompts');
+
+/**
+ * Prompt-injection and output screening for the AI routes
+ * User-supplied text goes into prompts between <user_content> tags, which
+ * the system prompt tells the model to treat as data. Inputs are matched
+ * against known injection phrasings and outputs against persona breaks
+ * and system prompt leaks; the routes decide what to do with the flags.
+ */
+
+const USER_CONTENT_TAG = 'user_content';
+
+// Total user-supplied characters one prompt may carry
+const MAX_INPUT_CHARS = parseInt(process.env.AI_MAX_INPUT_CHARS, 10) || 12000;
+
+// block rejects flagged inputs and withholds flagged outputs; flag only records them
+const SAFETY_MODE = (process.env.AI_SAFETY_MODE || 'block').toLowerCase() === 'flag' ? 'flag' : 'block';
+
+// Phrasings aimed at the assistant itself; ordinary project talk ("ignore the
+// old deadline", "pretend to be an investor") should not match
+const INPUT_PATTERNS = {
+  ignore_instructions: /\b(ignore|disregard|forget|override)\s+(?:(?:all|any|the|of|my)\s+){0,3}(previous|prior|above|earlier|preceding|system|your)\s+(?:\w+\s+)?(instructions?|prompts?|rules|directions|guidelines)\b/i,
+  reveal_prompt: /\b(reveal|show|print|repeat|output|tell me|what (is|are))\s+(?:\w+\s+){0,3}?(your|the) (system prompt|(initial |original |hidden )?(instructions|rules|prompt|guidelines) you (were|have been) given)\b|\b(reveal|print|repeat|output)\s+(?:\w+\s+){0,2}?system prompt\b/i,
+  role_override: /\byou are no longer\b|\byour new (role|identity|name|instructions?) (is|are)\b|\b(act as|pretend (to be|you are|you're)) (an? )?(unfiltered|unrestricted|uncensored|jailbroken|different) (ai|assistant|model|chatbot)\b|\bpretend (that )?you (have no|don't have any) (rules|restrictions|guidelines)\b/i,
+  jailbreak: /\bdo anything now\b|\b(you are|you're|enter|activate) (now )?(in )?(dan|developer) mode\b|\bjailbroken (ai|assistant|model|mode)\b|\bjailbreak (prompt|mode)\b/i,
+  persona_override: /\b(say|admit|confirm|reveal)\b.{0,30}\byou('re| are)\s+(really\s+)?(gemini|bard|chatgpt|gpt|claude|llama)\b/i,
+  fake_role_marker: /^\s*(system|assistant|nexus ai)\s*:/im,
+  delimiter_escape: new RegExp(`<\\s*/?\\s*${USER_CONTENT_TAG}\\b`, 'i')
+};
+
+// First person only: "React, built by Meta" in a tech stack is fine
+const OUTPUT_PATTERNS = {
+  persona_break: /\b(I am|I'm|my name is)\s+(Gemini|Bard|ChatGPT|GPT-\d\w*|Claude|LLaMA)\b|\bI('m| am| was)\s+(a model\s+)?(made|built|developed|trained|created) by (Google|OpenAI|Anthropic|Meta)\b/i
+};
+
+// Lines distinctive enough that repeating one means the system prompt leaked
+const PROMPT_LINES = NEXUS_SYSTEM_PROMPT
+  .split('\n')
+  .map(line => line.replace(/^[-\s]+/, '').trim().toLowerCase())
+  .filter(line => line.length >= 40);
+
+const matchFlags = (text, patterns) => Object.entries(patterns)
+  .filter(([, pattern]) => pattern.test(text))
+  .map(([name]) => name);
+
+/**
+ * Wrap user-supplied text for a prompt
+ * Tags inside the text are dropped so it can't close the block early.
+ */
+const fenceUserContent = (text) => {
+  const cleaned = String(text ?? '').replace(new RegExp(`<\\s*/?\\s*${USER_CONTENT_TAG}[^>]*>`, 'gi'), '');
+  return `<${USER_CONTENT_TAG}>\n${cleaned}\n</${USER_CONTENT_TAG}>`;
+};
+
+/**
+ * Injection flags for a list of user-supplied texts, e.g. ['ignore_instructions']
+ */
+const screenInputs = (texts) => [...new Set(texts.flatMap(text => matchFlags(text, INPUT_PATTERNS)))];
+
+/**
+ * Flags for a model response: persona_break, prompt_leak
+ */
+const screenOutput = (text) => {
+  const flags = matchFlags(text, OUTPUT_PATTERNS);
+  const lower = text.toLowerCase();
+  if (PROMPT_LINES.some(line => lower.includes(line))) flags.push('prompt_leak');
+  return flags;
+};
+
+module.exports = {
+  USER_CONTENT_TAG,
+  MAX_INPUT_CHARS,
+  SAFETY_MODE,
+  fenceUserContent,
+  screenInputs,
+  screenOutput
+};
@@ -0,0 +1,75 @@
+const { generate } = require('./index');
+
+/**
+ * JSON output from the model, validated and repaired
+ * The model is asked to fix its own output when it fails to parse
+ * or validate, up to `retries` extra attempts.
+ */
+
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Pull a JSON value out of a model reply
+ * Tolerates markdown fences and chatter around the object
+ */
+const extractJson = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+
+  const start = body.search(/[[{]/);
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+  if (start === -1 || end < start) {
+    throw new Error('Response does not contain JSON');
+  }
+
+  return JSON.parse(body.slice(start, end + 1));
+};
+
+const repairPrompt = (prompt, output, errors) => `${prompt}
+
+Your previous response was not valid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+PREVIOUS RESPONSE:
+${output}
+
+Return the corrected JSON only, with no commentary.`;
+
+/**
+ * Generate JSON matching `validate`
+ * `validate(data)` returns an array of error strings (empty when valid)
+ * Resolves to { data, attempts, usage, provider, model }
+ */
+const generateStructured = async (prompt, validate, options = {}) => {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const result = await generate(currentPrompt, {
+      temperature: 0.2,
+      ...options
+    });
+
+    let data;
+    try {
+      data = extractJson(result.text);
+      errors = validate(data);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (!errors.length) {
+      return { data, attempts: attempt, usage: result.usage, provider: result.provider, model: result.model };
+    }
+
+    currentPrompt = repairPrompt(prompt, result.text, errors);
+  }
+
+  const error = new Error('AI returned invalid structured output');
+  error.code = 'invalid_output';
+  error.details = errors;
+  throw error;
+};
+
+module.exports = { extractJson, generateStructured };
@@ -0,0 +1,192 @@
+const { fenceUserContent } = require('./ai/safety');
+const { TASK_PRIORITIES } = require('./tasks');
+const { FORMATS } = require('./validation');
+
+/**
+ * AI task breakdown
+ * The model drafts tasks with hour estimates, priorities and dependencies;
+ * the server checks whether the draft fits before the project's due date.
+ */
+
+const MAX_TASKS = 50;
+const MAX_ESTIMATE_HOURS = 200;
+
+// Focused hours per team member per working day
+const HOURS_PER_DAY = parseFloat(process.env.WORK_HOURS_PER_DAY) || 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BREAKDOWN_FORMAT = `{
+  "tasks": [
+    {
+      "key": "short-kebab-case-id",
+      "title": "Concrete, actionable task",
+      "description": "What done looks like",
+      "estimate_hours": 4,
+      "priority": "high",
+      "depends_on": ["key-of-an-earlier-task"]
+    }
+  ]
+}`;
+
+const buildBreakdownPrompt = (systemPrompt, project) => `${systemPrompt}
+USER'S PROJECT:
+${fenceUserContent(`- Name: ${project.name}\n- Description: ${project.description || 'No description'}`)}
+- Progress: ${project.progress || 0}%
+- Team: ${project.team_size || 1} members
+- Priority: ${project.priority || 'medium'}
+- Due date: ${project.due_date || 'not set'}
+
+TASK: Break this project into concrete tasks the team can start on. Respond with JSON in exactly this format:
+${BREAKDOWN_FORMAT}
+
+RULES:
+- Between 5 and ${MAX_TASKS} tasks, each small enough for one person (at most ${MAX_ESTIMATE_HOURS} hours)
+- estimate_hours is a realistic number of focused hours
+- priority is one of: ${TASK_PRIORITIES.join(', ')}
+- depends_on lists keys of earlier tasks that must be finished first
+- Order tasks so the riskiest and most important work comes first
+- Return JSON only, no markdown or commentary`;
+
+/**
+ * Validate a breakdown draft (from the model or edited by the user)
+ * Returns a list of error messages, empty when valid
+ */
+const validateBreakdown = (draft) => {
+  if (!draft || !Array.isArray(draft.tasks)) return ['tasks must be an array'];
+
+  const errors = [];
+  const keys = new Set();
+
+  if (!draft.tasks.length) errors.push('tasks must not be empty');
+  if (draft.tasks.length > MAX_TASKS) errors.push(`tasks must have at most ${MAX_TASKS} entries`);
+
+  draft.tasks.forEach((task, i) => {
+    const path = `tasks[${i}]`;
+
+    if (!task || typeof task !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof task.key !== 'string' || !task.key.trim()) errors.push(`${path}.key is required`);
+    else if (keys.has(task.key)) errors.push(`${path}.key "${task.key}" is duplicated`);
+
+    if (typeof task.title !== 'string' || !task.title.trim()) errors.push(`${path}.title is required`);
+    if (task.description !== undefined && typeof task.description !== 'string') {
+      errors.push(`${path}.description must be a string`);
+    }
+    if (typeof task.estimate_hours !== 'number' || task.estimate_hours <= 0 || task.estimate_hours > MAX_ESTIMATE_HOURS) {
+      errors.push(`${path}.estimate_hours must be a number between 0 and ${MAX_ESTIMATE_HOURS}`);
+    }
+    if (!TASK_PRIORITIES.includes(task.priority)) {
+      errors.push(`${path}.priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+    }
+
+    if (task.assignee_id != null && !(typeof task.assignee_id === 'string' && FORMATS.uuid.test(task.assignee_id))) {
+      errors.push(`${path}.assignee_id must be a UUID`);
+    }
+    if (task.due_date != null && !(typeof task.due_date === 'string' && FORMATS.date.test(task.due_date) &&
+      !Number.isNaN(Date.parse(task.due_date)))) {
+      errors.push(`${path}.due_date must be a date (YYYY-MM-DD)`);
+    }
+
+    const dependsOn = task.depends_on ?? [];
+    if (!Array.isArray(dependsOn)) {
+      errors.push(`${path}.depends_on must be an array`);
+    } else {
+      dependsOn.forEach(dep => {
+        if (!keys.has(dep)) errors.push(`${path}.depends_on references unknown or later task "${dep}"`);
+      });
+    }
+
+    if (typeof task.key === 'string' && task.key.trim()) keys.add(task.key);
+  });
+
+  return errors;
+};
+
+/**
+ * Weekdays from tomorrow up to and including `dueDate`
+ */
+const workingDaysUntil = (dueDate, from = new Date()) => {
+  const end = new Date(`${String(dueDate).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(end.getTime())) return null;
+
+  let day = new Date(`${from.toISOString().slice(0, 10)}T00:00:00Z`);
+  let count = 0;
+
+  while (day < end) {
+    day = new Date(day.getTime() + DAY_MS);
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) count++;
+  }
+
+  return count;
+};
+
+/**
+ * Will the draft fit before the due date?
+ * The team can work in parallel, but never faster than the longest
+ * dependency chain, so the plan needs max(total / team, critical path) hours.
+ */
+const assessCapacity = (draft, { teamSize, dueDate }) => {
+  const team = Math.max(1, parseInt(teamSize, 10) || 1);
+  const totalHours = draft.tasks.reduce((sum, task) => sum + task.estimate_hours, 0);
+
+  const chainHours = {};
+  for (const task of draft.tasks) {
+    const before = Math.max(0, ...(task.depends_on || []).map(dep => chainHours[dep]));
+    chainHours[task.key] = before + task.estimate_hours;
+  }
+  const criticalPathHours = Math.max(0, ...Object.values(chainHours));
+
+  const requiredDays = Math.ceil(Math.max(totalHours / team, criticalPathHours) / HOURS_PER_DAY);
+  const availableDays = dueDate ? workingDaysUntil(dueDate) : null;
+
+  const capacity = {
+    total_estimate_hours: totalHours,
+    critical_path_hours: criticalPathHours,
+    team_size: team,
+    hours_per_day: HOURS_PER_DAY,
+    required_working_days: requiredDays,
+    available_working_days: availableDays,
+    fits_due_date: availableDays === null ? null : requiredDays <= availableDays
+  };
+
+  if (capacity.fits_due_date === false) {
+    capacity.warning = `This plan needs about ${requiredDays} working days but only ${availableDays} remain before the due date. Cut scope, add people or move the date.`;
+  }
+
+  return capacity;
+};
+
+/**
+ * Map an accepted draft onto `tasks` rows
+ * Ids are assigned up front so dependency keys can point at them in one insert
+ */
+const toTaskRows = (projectId, draft, startPosition, newId) => {
+  const ids = {};
+  draft.tasks.forEach(task => { ids[task.key] = newId(); });
+
+  return draft.tasks.map((task, i) => ({
+    id: ids[task.key],
+    project_id: projectId,
+    title: task.title.trim(),
+    description: task.description || null,
+    status: 'todo',
+    priority: task.priority,
+    estimate: task.estimate_hours,
+    assignee_id: task.assignee_id || null,
+    due_date: task.due_date || null,
+    depends_on: (task.depends_on || []).map(dep => ids[dep]),
+    position: startPosition + i
+  }));
+};
+
+module.exports = {
+  buildBreakdownPrompt,
+  validateBreakdown,
+  assessCapacity,
+  toTaskRows
+};
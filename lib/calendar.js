@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+/**
+ * iCalendar (RFC 5545) feeds of project due dates and milestones
+ * Feeds are read by calendar apps that can't send headers, so the URL
+ * itself carries a token; only its hash is stored (calendar_feeds).
+ */
+
+const PRODUCT_ID = '-//Nexus AI//Project Calendar//EN';
+const UID_DOMAIN = 'nexus-ai';
+
+const generateFeedToken = () => `ncal_${crypto.randomBytes(24).toString('base64url')}`;
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// '2026-12-01' -> '20261201'
+const toDateValue = (date) => date.slice(0, 10).replace(/-/g, '');
+
+const toDateTimeValue = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (date) => {
+  const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+// All-day event on `date`
+const buildEvent = ({ uid, date, summary, description, categories, stamp }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${toDateTimeValue(stamp || Date.now())}`,
+    `DTSTART;VALUE=DATE:${toDateValue(date)}`,
+    `DTEND;VALUE=DATE:${toDateValue(nextDay(date))}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories?.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+};
+
+const projectEvent = (project) => buildEvent({
+  uid: `project-${project.id}`,
+  date: project.due_date,
+  summary: `${project.name} due`,
+  description: [
+    project.description,
+    `Status: ${project.status || 'n/a'} · Progress: ${project.progress || 0}%`
+  ].filter(Boolean).join('\n\n'),
+  categories: project.tags,
+  stamp: project.updated_at || project.created_at
+});
+
+const milestoneEvent = (milestone, project) => buildEvent({
+  uid: `milestone-${milestone.id}`,
+  date: milestone.due_date,
+  summary: `${project.name}: ${milestone.title}${milestone.status === 'done' ? ' ✓' : ''}`,
+  description: [milestone.phase_title && `Phase: ${milestone.phase_title}`, milestone.description].filter(Boolean).join('\n\n'),
+  categories: project.tags,
+  stamp: milestone.created_at
+});
+
+/**
+ * VCALENDAR text for projects with a due date and milestones with one
+ * `milestones` belong to `projects`; those of other projects are skipped.
+ */
+const buildCalendar = (projects, milestones = [], { name = 'Nexus projects' } = {}) => {
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Suggested polling interval for subscribers
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const project of projects) {
+    if (project.due_date) lines.push(...projectEvent(project));
+  }
+
+  for (const milestone of milestones) {
+    const project = projectsById.get(milestone.project_id);
+    if (project && milestone.due_date) lines.push(...milestoneEvent(milestone, project));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { generateFeedToken, hashFeedToken, buildCalendar };
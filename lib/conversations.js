@@ -0,0 +1,148 @@
+const { fenceUserContent } = require('./ai/safety');
+
+/**
+ * Server-side chat history
+ * Conversations belong to a user and optionally to a project.
+ * Older turns are folded into a running summary once the history
+ * no longer fits the prompt budget.
+ */
+
+// Rough prompt budget for history, in characters (~4 chars per token)
+const CONTEXT_CHAR_BUDGET = (parseInt(process.env.CHAT_CONTEXT_TOKENS, 10) || 6000) * 4;
+
+// Most recent messages always kept verbatim
+const RECENT_MESSAGES = parseInt(process.env.CHAT_RECENT_MESSAGES, 10) || 10;
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+// Client-sent history turns used for chats that aren't saved
+const AD_HOC_HISTORY_TURNS = 5;
+
+/**
+ * Fetch a conversation owned by the user, or null
+ */
+const getConversation = async (supabase, conversationId, userId) => {
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .single();
+
+  return conversation || null;
+};
+
+const getMessages = async (supabase, conversationId) => {
+  const { data: messages, error } = await supabase
+    .from('conversation_messages')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return messages || [];
+};
+
+/**
+ * Persist a single turn and bump the conversation's updated_at
+ */
+const appendMessage = async (supabase, conversationId, role, content) => {
+  if (!MESSAGE_ROLES.includes(role)) {
+    throw new Error(`Invalid message role: ${role}`);
+  }
+
+  const { data: message, error } = await supabase
+    .from('conversation_messages')
+    .insert({ conversation_id: conversationId, role, content })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('conversations')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', conversationId);
+
+  return message;
+};
+
+// Each turn's text is fenced, so a message can't pass itself off as another role
+const formatTurns = (messages) => {
+  return messages.map(msg => `${msg.role}: ${fenceUserContent(msg.content)}`).join('\n');
+};
+
+/**
+ * History block for an unsaved chat from the client's last few turns
+ */
+const formatAdHocHistory = (history = []) => formatTurns(history.slice(-AD_HOC_HISTORY_TURNS));
+
+/**
+ * Fold older messages into the conversation summary
+ * Returns the updated conversation
+ */
+const summarizeMessages = async (supabase, conversation, messages, generate) => {
+  const prompt = `Summarize the following project-assistant conversation so it can be continued later.
+Keep decisions, requirements, open questions and any facts about the user's project. Be concise (under 200 words).
+
+${conversation.summary ? `EARLIER SUMMARY:\n${conversation.summary}\n\n` : ''}CONVERSATION:
+${formatTurns(messages)}
+
+SUMMARY:`;
+
+  const summary = (await generate(prompt)).trim();
+  const summarizedCount = (conversation.summarized_count || 0) + messages.length;
+
+  const { data: updated, error } = await supabase
+    .from('conversations')
+    .update({ summary, summarized_count: summarizedCount })
+    .eq('id', conversation.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+};
+
+/**
+ * Build the history block for the prompt from stored messages
+ * Summarizes when the unsummarized history exceeds the budget
+ */
+const buildConversationContext = async (supabase, conversation, generate) => {
+  const messages = await getMessages(supabase, conversation.id);
+  let pending = messages.slice(conversation.summarized_count || 0);
+
+  const pendingSize = pending.reduce((size, msg) => size + msg.content.length, 0);
+
+  if (pendingSize > CONTEXT_CHAR_BUDGET && pending.length > RECENT_MESSAGES) {
+    const older = pending.slice(0, -RECENT_MESSAGES);
+    conversation = await summarizeMessages(supabase, conversation, older, generate);
+    pending = pending.slice(-RECENT_MESSAGES);
+  }
+
+  const parts = [];
+  if (conversation.summary) parts.push(`SUMMARY OF EARLIER CONVERSATION:\n${fenceUserContent(conversation.summary)}`);
+  if (pending.length) parts.push(formatTurns(pending));
+
+  return parts.join('\n');
+};
+
+/**
+ * Short title from the first user message
+ */
+const titleFromMessage = (message) => {
+  const title = message.replace(/\s+/g, ' ').trim();
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+};
+
+module.exports = {
+  MESSAGE_ROLES,
+  AD_HOC_HISTORY_TURNS,
+  getConversation,
+  getMessages,
+  appendMessage,
+  buildConversationContext,
+  formatAdHocHistory,
+  titleFromMessage
+};
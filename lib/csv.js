@@ -0,0 +1,89 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+// Spreadsheets run text cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) || typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // A leading quote makes the cell plain text; numbers such as -5 are left alone
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCell's formula quote so exported files import unchanged
+const unescapeCell = (cell) => (cell[0] === "'" && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+/**
+ * Rows of objects to CSV text with a header line
+ * `columns` picks and orders the fields. Text that a spreadsheet would run as
+ * a formula gets a leading '.
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * CSV text to rows of objects keyed by the header line
+ * Handles quoted cells with commas, quotes and line breaks, and the formula
+ * quote added by toCsv. Throws on an unterminated quote.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  // Strip a byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  const [header = [], ...rows] = records.filter(row => row.length > 1 || row[0] !== '');
+  const columns = header.map(column => column.trim());
+
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, unescapeCell(row[index] ?? '')])));
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,32 @@
+const { createSupabaseBackend } = require('./supabase');
+const { createMemoryBackend } = require('./memory');
+
+/**
+ * Data backend registry
+ * DATA_BACKEND picks where data and accounts live: `supabase` (default)
+ * or `memory` for running offline. Each backend provides:
+ *   client                                - Supabase-compatible client (from(), auth) with service-role access
+ *   createSessionClient()                 -> client for calls that sign a user in
+ *   requestEmailChange(accessToken, email) -> Promise<{ error }>
+ * The client is created once; everything shares it through getBackend().
+ */
+
+const FACTORIES = {
+  supabase: createSupabaseBackend,
+  memory: createMemoryBackend
+};
+
+const DATA_BACKEND = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+
+let backend = null;
+
+const getBackend = () => {
+  if (!FACTORIES[DATA_BACKEND]) {
+    throw new Error(`Unknown data backend: ${DATA_BACKEND}`);
+  }
+
+  if (!backend) backend = FACTORIES[DATA_BACKEND]();
+  return backend;
+};
+
+module.exports = { DATA_BACKEND, getBackend };
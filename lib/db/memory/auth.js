@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const { logger } = require('../../logger');
+
+/**
+ * Stand-in for Supabase Auth (GoTrue) in the in-memory backend
+ * Implements the auth calls this API makes with the same
+ * { data, error } results. Differences from the real thing:
+ *   - no email is sent: sign-ups are confirmed straight away, and links
+ *     (password reset, invitations) are logged with their token_hash
+ *   - email changes apply immediately
+ *   - access tokens are opaque strings, not JWTs
+ * Creating a user inserts its profiles row, as the on-signup trigger does
+ * in Supabase; email changes are copied to it like sync_profile_email.
+ */
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const LINK_TTL_MS = 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Shaped like supabase-js's AuthApiError
+const authError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = 'AuthApiError';
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const result = (data, error = null) => ({ data, error });
+const failure = (data, message, status, code) => result(data, authError(message, status, code));
+
+const randomToken = (prefix) => `${prefix}${crypto.randomBytes(24).toString('base64url')}`;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  if (!stored) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// GoTrue ban durations: "876000h", "30m", "45s" or "none"
+const parseDuration = (value) => {
+  const match = String(value).match(/^(\d+)(h|m|s)$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * { h: 3600000, m: 60000, s: 1000 }[match[2]];
+};
+
+const createAuth = (store) => {
+  const users = new Map();
+  const passwords = new Map();
+  // access token -> { userId, sessionId, expiresAt }
+  const accessTokens = new Map();
+  // refresh token -> { userId, sessionId }
+  const refreshTokens = new Map();
+  // token_hash -> { userId, type, expiresAt }
+  const links = new Map();
+
+  const publicUser = (user) => structuredClone(user);
+
+  const findByEmail = (email) => {
+    const normalized = String(email || '').trim().toLowerCase();
+    return [...users.values()].find(user => user.email === normalized) || null;
+  };
+
+  const isBanned = (user) => !!user.banned_until && new Date(user.banned_until) > new Date();
+
+  const createUser = ({ id = crypto.randomUUID(), email, password, metadata = {}, confirmed = true }) => {
+    const timestamp = new Date().toISOString();
+    const user = {
+      id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: String(email).trim().toLowerCase(),
+      email_confirmed_at: confirmed ? timestamp : null,
+      confirmed_at: confirmed ? timestamp : null,
+      invited_at: null,
+      last_sign_in_at: null,
+      phone: '',
+      app_metadata: { provider: 'email', providers: ['email'] },
+      user_metadata: { ...metadata },
+      identities: [],
+      created_at: timestamp,
+      updated_at: timestamp
+    };
+
+    users.set(user.id, user);
+    if (password) passwords.set(user.id, hashPassword(password));
+
+    store.insert('profiles', [{ id: user.id, email: user.email, full_name: metadata.full_name || null }], { upsert: true });
+    return user;
+  };
+
+  const createSession = (user, sessionId = crypto.randomUUID()) => {
+    const accessToken = randomToken('mem_at_');
+    const refreshToken = randomToken('mem_rt_');
+    const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+
+    accessTokens.set(accessToken, { userId: user.id, sessionId, expiresAt });
+    refreshTokens.set(refreshToken, { userId: user.id, sessionId });
+
+    user.last_sign_in_at = new Date().toISOString();
+
+    return {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      expires_at: expiresAt,
+      refresh_token: refreshToken,
+      user: publicUser(user)
+    };
+  };
+
+  const endSessions = (userId, keep = () => false) => {
+    for (const tokens of [accessTokens, refreshTokens]) {
+      for (const [token, entry] of tokens) {
+        if (entry.userId === userId && !keep(entry)) tokens.delete(token);
+      }
+    }
+  };
+
+  const sessionFor = (jwt) => {
+    const entry = accessTokens.get(jwt);
+    if (!entry || entry.expiresAt * 1000 <= Date.now()) return null;
+    return users.has(entry.userId) ? entry : null;
+  };
+
+  // Log a link that Supabase would have emailed
+  const issueLink = (user, type) => {
+    const tokenHash = randomToken('');
+    links.set(tokenHash, { userId: user.id, type, expiresAt: Date.now() + LINK_TTL_MS });
+    logger.info('Memory auth link', { type, email: user.email, token_hash: tokenHash });
+    return tokenHash;
+  };
+
+  const setEmail = (user, email) => {
+    user.email = String(email).trim().toLowerCase();
+    store.update('profiles', row => row.id === user.id, { email: user.email });
+  };
+
+  const applyAttributes = (user, attributes) => {
+    if (attributes.email !== undefined) {
+      const owner = findByEmail(attributes.email);
+      if (owner && owner.id !== user.id) {
+        return authError('A user with this email address has already been registered', 422, 'email_exists');
+      }
+    }
+    if (attributes.password !== undefined && String(attributes.password).length < MIN_PASSWORD_LENGTH) {
+      return authError(`Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, 422, 'weak_password');
+    }
+
+    if (attributes.email !== undefined) setEmail(user, attributes.email);
+    if (attributes.password !== undefined) passwords.set(user.id, hashPassword(attributes.password));
+    if (attributes.email_confirm) user.email_confirmed_at = user.email_confirmed_at || new Date().toISOString();
+    if (attributes.user_metadata) user.user_metadata = { ...user.user_metadata, ...attributes.user_metadata };
+    if (attributes.app_metadata) user.app_metadata = { ...user.app_metadata, ...attributes.app_metadata };
+    if (attributes.ban_duration !== undefined) {
+      const duration = parseDuration(attributes.ban_duration);
+      user.banned_until = duration ? new Date(Date.now() + duration).toISOString() : null;
+    }
+
+    user.updated_at = new Date().toISOString();
+    return null;
+  };
+
+  const auth = {
+    async getUser(jwt) {
+      const session = jwt ? sessionFor(jwt) : null;
+      if (!session) return failure({ user: null }, 'invalid JWT: unable to parse or verify signature', 403, 'bad_jwt');
+      return result({ user: publicUser(users.get(session.userId)) });
+    },
+
+    async signUp({ email, password, options = {} }) {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return failure({ user: null, session: null }, `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, 422, 'weak_password');
+      }
+
+      let user = findByEmail(email);
+
+      // An invited user finishes signing up; anyone else is already registered
+      if (user && (passwords.has(user.id) || !user.invited_at)) {
+        return failure({ user: null, session: null }, 'User already registered', 422, 'user_already_exists');
+      }
+
+      if (user) {
+        passwords.set(user.id, hashPassword(password));
+        applyAttributes(user, { email_confirm: true, user_metadata: options.data || {} });
+      } else {
+        user = createUser({ email, password, metadata: options.data || {} });
+      }
+
+      return result({ user: publicUser(user), session: createSession(user) });
+    },
+
+    async signInWithPassword({ email, password }) {
+      const user = findByEmail(email);
+
+      if (!user || !verifyPassword(String(password || ''), passwords.get(user.id))) {
+        return failure({ user: null, session: null }, 'Invalid login credentials', 400, 'invalid_credentials');
+      }
+      if (isBanned(user)) return failure({ user: null, session: null }, 'User is banned', 400, 'user_banned');
+
+      const session = createSession(user);
+      return result({ user: session.user, session });
+    },
+
+    async refreshSession({ refresh_token: refreshToken } = {}) {
+      const entry = refreshTokens.get(refreshToken);
+      const user = entry && users.get(entry.userId);
+
+      if (!user) {
+        return failure({ user: null, session: null }, 'Invalid Refresh Token: Refresh Token Not Found', 400, 'refresh_token_not_found');
+      }
+      if (isBanned(user)) return failure({ user: null, session: null }, 'User is banned', 400, 'user_banned');
+
+      // Refresh tokens are single use; the session carries on with new tokens
+      refreshTokens.delete(refreshToken);
+      const session = createSession(user, entry.sessionId);
+      return result({ user: session.user, session });
+    },
+
+    async resetPasswordForEmail(email) {
+      const user = findByEmail(email);
+      if (user) issueLink(user, 'recovery');
+      return result({});
+    },
+
+    async verifyOtp({ token_hash: tokenHash, type }) {
+      const link = links.get(tokenHash);
+      const user = link && users.get(link.userId);
+
+      if (!user || link.type !== type || link.expiresAt <= Date.now()) {
+        return failure({ user: null, session: null }, 'Email link is invalid or has expired', 403, 'otp_expired');
+      }
+
+      links.delete(tokenHash);
+      applyAttributes(user, { email_confirm: true });
+      const session = createSession(user);
+      return result({ user: session.user, session });
+    },
+
+    admin: {
+      async getUserById(id) {
+        const user = users.get(id);
+        if (!user) return failure({ user: null }, 'User not found', 404, 'user_not_found');
+        return result({ user: publicUser(user) });
+      },
+
+      async createUser({ id, email, password, email_confirm: confirmed = false, user_metadata: metadata = {} }) {
+        if (findByEmail(email)) {
+          return failure({ user: null }, 'A user with this email address has already been registered', 422, 'email_exists');
+        }
+        if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+          return failure({ user: null }, `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, 422, 'weak_password');
+        }
+
+        const user = createUser({ id, email, password, metadata, confirmed });
+        return result({ user: publicUser(user) });
+      },
+
+      async inviteUserByEmail(email, { data = {} } = {}) {
+        if (findByEmail(email)) {
+          return failure({ user: null }, 'A user with this email address has already been registered', 422, 'email_exists');
+        }
+
+        const user = createUser({ email, metadata: data, confirmed: false });
+        user.invited_at = new Date().toISOString();
+        issueLink(user, 'invite');
+        return result({ user: publicUser(user) });
+      },
+
+      async updateUserById(id, attributes = {}) {
+        const user = users.get(id);
+        if (!user) return failure({ user: null }, 'User not found', 404, 'user_not_found');
+
+        const error = applyAttributes(user, attributes);
+        if (error) return result({ user: null }, error);
+
+        if (isBanned(user)) endSessions(user.id);
+        return result({ user: publicUser(user) });
+      },
+
+      async deleteUser(id) {
+        if (!users.has(id)) return failure({ user: null }, 'User not found', 404, 'user_not_found');
+
+        users.delete(id);
+        passwords.delete(id);
+        endSessions(id);
+        store.removeUser(id);
+        return result({ user: null });
+      },
+
+      // scope: 'global' (every session), 'local' (this one) or 'others'
+      async signOut(jwt, scope = 'global') {
+        const session = sessionFor(jwt);
+        if (!session) return result(null, authError('invalid JWT: unable to parse or verify signature', 403, 'bad_jwt'));
+
+        if (scope === 'local') endSessions(session.userId, entry => entry.sessionId !== session.sessionId);
+        else if (scope === 'others') endSessions(session.userId, entry => entry.sessionId === session.sessionId);
+        else endSessions(session.userId);
+
+        return result(null);
+      }
+    }
+  };
+
+  /**
+   * PUT /auth/v1/user { email } for the session's user (see lib/account.js)
+   * Returns { error } with a message on failure.
+   */
+  const changeEmail = async (jwt, email) => {
+    const session = sessionFor(jwt);
+    if (!session) return { error: 'Invalid or expired session' };
+
+    const error = applyAttributes(users.get(session.userId), { email });
+    return { error: error ? error.message : null };
+  };
+
+  return { auth, changeEmail };
+};
+
+module.exports = { createAuth };
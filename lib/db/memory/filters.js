@@ -0,0 +1,209 @@
+/**
+ * Row filters for the in-memory backend
+ * Conditions use PostgREST's operators, so the builder methods (eq, in,
+ * not, ...) and or() logic trees such as
+ *   user_id.eq.abc,and(due_date.is.null,id.gt."x")
+ * evaluate the same way. A condition is { column, op, value, negate };
+ * a tree is { and: [...] } or { or: [...] }.
+ */
+
+const isNil = (value) => value === null || value === undefined;
+
+/**
+ * Order two column values the way the ORDER BY in these queries does
+ * Numbers numerically, everything else (ISO dates included) as strings
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Filter values from or() strings arrive as text; match the column's type
+const coerce = (value, sample) => {
+  if (typeof value !== 'string') return value;
+  if (typeof sample === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (typeof sample === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+// LIKE pattern to a RegExp: % (or * in URLs) is any run, _ one character
+const likeToRegExp = (pattern, flags) => {
+  const source = String(pattern)
+    .split('')
+    .map(char => {
+      if (char === '%' || char === '*') return '.*';
+      if (char === '_') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+};
+
+// Rough English stemming, enough for "planning" to find "plan"
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const stripped = lower.replace(/(ing|ed|es|s)$/, '');
+  return stripped.length < 3 ? lower : stripped.replace(/([^aeiou])\1$/, '$1');
+};
+
+/**
+ * Approximate websearch_to_tsquery: every term must appear (ignoring case
+ * and simple suffixes), "-term" must not, quoted phrases match as text and
+ * "or" separates alternatives
+ */
+const matchesTextSearch = (document, query) => {
+  const text = String(document || '').toLowerCase();
+  const words = new Set((text.match(/[a-z0-9]+/g) || []).map(stem));
+
+  return String(query).split(/\s+or\s+/i).some(alternative => {
+    const terms = alternative.match(/-?"[^"]*"|\S+/g) || [];
+    return terms.length > 0 && terms.every(term => {
+      const negated = term.startsWith('-');
+      const bare = negated ? term.slice(1) : term;
+      const found = bare.startsWith('"')
+        ? text.includes(bare.replace(/"/g, '').toLowerCase())
+        : (bare.toLowerCase().match(/[a-z0-9]+/g) || []).every(word => words.has(stem(word)));
+      return negated ? !found : found;
+    });
+  });
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+const OPERATORS = {
+  eq: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) === 0,
+  neq: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) !== 0,
+  gt: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) > 0,
+  gte: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) >= 0,
+  lt: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) < 0,
+  lte: (actual, expected) => !isNil(actual) && compareValues(actual, coerce(expected, actual)) <= 0,
+  like: (actual, pattern) => !isNil(actual) && likeToRegExp(pattern, '').test(String(actual)),
+  ilike: (actual, pattern) => !isNil(actual) && likeToRegExp(pattern, 'i').test(String(actual)),
+  is: (actual, expected) => {
+    if (expected === null || expected === 'null') return isNil(actual);
+    if (expected === true || expected === 'true') return actual === true;
+    if (expected === false || expected === 'false') return actual === false;
+    return false;
+  },
+  in: (actual, list) => !isNil(actual) && toArray(list).some(item => compareValues(actual, coerce(item, actual)) === 0),
+  cs: (actual, expected) => {
+    if (Array.isArray(actual)) return toArray(expected).every(item => actual.includes(item));
+    if (actual && typeof actual === 'object') return Object.entries(expected || {}).every(([key, value]) => actual[key] === value);
+    return false;
+  },
+  cd: (actual, expected) => Array.isArray(actual) && actual.every(item => toArray(expected).includes(item)),
+  ov: (actual, expected) => Array.isArray(actual) && toArray(expected).some(item => actual.includes(item)),
+  fts: matchesTextSearch,
+  plfts: matchesTextSearch,
+  phfts: matchesTextSearch,
+  wfts: matchesTextSearch
+};
+
+// Split on commas outside parentheses and double quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted && char === '\\') {
+      current += char + (text[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current) parts.push(current);
+  return parts;
+};
+
+const unquote = (value) => {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+};
+
+// "(a,\"b,c\")" -> ['a', 'b,c']
+const parseList = (value) => {
+  const inner = value.replace(/^[({]|[)}]$/g, '');
+  return inner ? splitTopLevel(inner).map(item => unquote(item.trim())) : [];
+};
+
+const parseValue = (op, raw) => {
+  if (op === 'in' || op === 'cs' || op === 'cd' || op === 'ov') return parseList(raw);
+  return unquote(raw);
+};
+
+// "column.op.value" or "column.not.op.value"; the column may be "embed.column"
+const parseCondition = (text) => {
+  const parts = text.split('.');
+
+  for (let i = 1; i < parts.length - 1; i++) {
+    const negate = parts[i] === 'not';
+    const opIndex = negate ? i + 1 : i;
+    // fts(english) -> fts
+    const op = (parts[opIndex] || '').replace(/\(\w+\)$/, '');
+
+    if (OPERATORS[op] && opIndex < parts.length - 1) {
+      const raw = parts.slice(opIndex + 1).join('.');
+      return { column: parts.slice(0, i).join('.'), op, value: parseValue(op, raw), negate };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a PostgREST logic tree (the argument of or(), without the outer or())
+ */
+const parseLogicTree = (text, mode = 'or') => {
+  const conditions = splitTopLevel(text).map(part => {
+    const trimmed = part.trim();
+    const group = trimmed.match(/^(not\.)?(and|or)\((.*)\)$/s);
+    if (group) {
+      const tree = parseLogicTree(group[3], group[2]);
+      return group[1] ? { not: tree } : tree;
+    }
+
+    const condition = parseCondition(trimmed);
+    if (!condition) {
+      const error = new Error(`"failed to parse logic tree (${text})" (line 1, column 1)`);
+      error.code = 'PGRST100';
+      throw error;
+    }
+
+    return condition;
+  });
+
+  return { [mode]: conditions };
+};
+
+/**
+ * Does `row` pass the condition or tree?
+ * `resolve(row, column)` reads a column, including "embed.column" paths.
+ */
+const evaluate = (row, node, resolve) => {
+  if (node.and) return node.and.every(child => evaluate(row, child, resolve));
+  if (node.or) return node.or.some(child => evaluate(row, child, resolve));
+  if (node.not) return !evaluate(row, node.not, resolve);
+
+  const result = OPERATORS[node.op](resolve(row, node.column), node.value);
+  return node.negate ? !result : result;
+};
+
+module.exports = { OPERATORS, compareValues, splitTopLevel, parseLogicTree, parseValue, evaluate };
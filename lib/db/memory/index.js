@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { createStore } = require('./store');
+const { createQuery } = require('./query');
+const { createAuth } = require('./auth');
+const { logger } = require('../../logger');
+
+/**
+ * In-memory data backend for local development and tests
+ * A Supabase-compatible client over in-process tables and a stand-in for
+ * Supabase Auth, so the API runs with no network. Everything is lost when
+ * the process exits, and only the query features this API uses exist
+ * (see query.js).
+ *
+ * MEMORY_SEED_FILE can point at a JSON file loaded at startup:
+ *   {
+ *     "users": [{ "id"?, "email", "password", "full_name"?, "is_admin"?, "plan"? }],
+ *     "tables": { "projects": [{ ...row }], ... }
+ *   }
+ * Users get a profile like any sign-up; table rows are inserted in order.
+ */
+
+const loadSeed = async (path, client, store) => {
+  const seed = JSON.parse(fs.readFileSync(path, 'utf8'));
+
+  for (const { id, email, password, full_name: fullName = null, ...profile } of seed.users || []) {
+    const { data, error } = await client.auth.admin.createUser({
+      id,
+      email,
+      password,
+      email_confirm: true,
+      user_metadata: { full_name: fullName }
+    });
+    if (error) throw new Error(`Seed user ${email}: ${error.message}`);
+    if (Object.keys(profile).length) store.update('profiles', row => row.id === data.user.id, profile);
+  }
+
+  for (const [table, rows] of Object.entries(seed.tables || {})) store.insert(table, rows);
+};
+
+const createMemoryBackend = () => {
+  const store = createStore();
+  const { auth, changeEmail } = createAuth(store);
+
+  const client = {
+    from: (table) => createQuery(store, table),
+    auth
+  };
+
+  logger.warn('DATA_BACKEND=memory: data and accounts are kept in memory and lost on restart');
+
+  // Done before the first request: nothing after reading the file waits on I/O
+  const seeded = process.env.MEMORY_SEED_FILE
+    ? loadSeed(process.env.MEMORY_SEED_FILE, { auth }, store)
+    : Promise.resolve();
+  seeded.catch(error => logger.error('Failed to load MEMORY_SEED_FILE', { error }));
+
+  return {
+    name: 'memory',
+    client,
+    // Sign-ins don't touch shared state here, so one client serves both
+    createSessionClient: () => client,
+    requestEmailChange: changeEmail
+  };
+};
+
+module.exports = { createMemoryBackend };
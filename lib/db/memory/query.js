@@ -0,0 +1,324 @@
+const { getTable } = require('./tables');
+const { dbError } = require('./store');
+const { OPERATORS, compareValues, parseLogicTree, parseValue, splitTopLevel, evaluate } = require('./filters');
+
+/**
+ * Query builder for the in-memory backend
+ * Covers the part of supabase-js's PostgREST builder this API uses:
+ * select/insert/update/upsert/delete, the filter methods, or() trees,
+ * order/range/limit, single/maybeSingle, exact counts and embeds such as
+ * `projects!inner(name)` with filters on the embedded columns.
+ * Awaiting it resolves to { data, error, count, status }, as supabase-js does.
+ */
+
+const TEXT_SEARCH_OPERATORS = { websearch: 'wfts', plain: 'plfts', phrase: 'phfts' };
+
+/**
+ * Parse a select string
+ * "id, owner:profiles!inner(email)" ->
+ *   [{ column: 'id', alias: 'id' }, { embed: 'profiles', alias: 'owner', inner: true, select: 'email' }]
+ */
+const parseSelect = (select = '*') => {
+  return splitTopLevel(select).map(part => part.trim()).filter(Boolean).map(part => {
+    const embed = part.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s);
+    if (embed) {
+      const [, alias, table, hint, inner] = embed;
+      return { embed: table, alias: alias || table, inner: hint === 'inner', select: inner || '*' };
+    }
+
+    const column = part.match(/^(?:(\w+):)?(\*|\w+)(?:::\w+)?$/);
+    if (!column) throw dbError(`"failed to parse select parameter (${select})"`, 'PGRST100');
+    return { column: column[2], alias: column[1] || column[2] };
+  });
+};
+
+/**
+ * How `child` hangs off `parent`: a foreign key on the parent (one row)
+ * or on the child (many rows)
+ */
+const findRelationship = (parent, child) => {
+  const parentTable = getTable(parent);
+  const childTable = getTable(child);
+
+  for (const [column, [target]] of Object.entries(parentTable.references)) {
+    if (target === child) return { many: false, localColumn: column, foreignColumn: childTable.key[0] };
+  }
+  for (const [column, [target]] of Object.entries(childTable.references)) {
+    if (target === parent) return { many: true, localColumn: parentTable.key[0], foreignColumn: column };
+  }
+
+  throw dbError(`Could not find a relationship between '${parent}' and '${child}' in the schema cache`, 'PGRST200');
+};
+
+const createQuery = (store, table) => {
+  const state = {
+    action: 'select',
+    values: null,
+    options: {},
+    select: null,
+    count: null,
+    head: false,
+    filters: [],
+    orders: [],
+    limit: null,
+    range: null,
+    single: null,
+    error: null
+  };
+
+  // Column reader for filters: generated search columns and "embed.column" paths
+  const resolve = (row, column) => {
+    const search = getTable(table).search?.[column];
+    if (search) return search.map(source => row[source] || '').join(' ');
+
+    const [first, rest] = column.split(/\.(.+)/);
+    if (rest !== undefined && row.__embeds && first in row.__embeds) {
+      const embedded = row.__embeds[first];
+      return embedded && !Array.isArray(embedded) ? embedded[rest] : undefined;
+    }
+    return row[column];
+  };
+
+  const addFilter = (column, op, value, negate = false) => {
+    state.filters.push({ column, op, value, negate });
+    return builder;
+  };
+
+  // Embedded rows for each row, narrowed by filters on "alias.column"
+  const attachEmbeds = (rows, fields) => {
+    const embeds = fields.filter(field => field.embed);
+    if (!embeds.length) return rows;
+
+    return rows.flatMap(row => {
+      const attached = { ...row, __embeds: {} };
+
+      for (const embed of embeds) {
+        const relationship = findRelationship(table, embed.embed);
+        const filters = state.filters.filter(filter => filter.column.startsWith(`${embed.alias}.`));
+        const passes = (candidate) => filters.every(filter => evaluate(
+          candidate,
+          { ...filter, column: filter.column.slice(embed.alias.length + 1) },
+          (item, column) => item[column]
+        ));
+
+        const related = store.rows(embed.embed)
+          .filter(candidate => candidate[relationship.foreignColumn] === row[relationship.localColumn])
+          .filter(passes);
+
+        const value = relationship.many ? related : related[0] || null;
+        if (embed.inner && (relationship.many ? !value.length : !value)) return [];
+        attached.__embeds[embed.alias] = value;
+      }
+
+      return [attached];
+    });
+  };
+
+  // Shape a row as the select string asks
+  const project = (row, fields) => {
+    const shaped = {};
+
+    for (const field of fields) {
+      if (field.column === '*') {
+        Object.assign(shaped, structuredClone(row));
+        delete shaped.__embeds;
+      } else if (field.column) {
+        shaped[field.alias] = structuredClone(row[field.column] ?? null);
+      } else {
+        const embedded = row.__embeds ? row.__embeds[field.alias] : undefined;
+        const nested = parseSelect(field.select);
+        shaped[field.alias] = Array.isArray(embedded)
+          ? embedded.map(item => project(item, nested))
+          : embedded ? project(embedded, nested) : null;
+      }
+    }
+
+    return shaped;
+  };
+
+  const matchesTopLevel = (row) => state.filters
+    .filter(filter => filter.or || !filter.column.includes('.') || !row.__embeds)
+    .every(filter => evaluate(row, filter.or ? filter.or : filter, resolve));
+
+  const sortRows = (rows) => {
+    if (!state.orders.length) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of state.orders) {
+        const left = resolve(a, column);
+        const right = resolve(b, column);
+        const leftNull = left === null || left === undefined;
+        const rightNull = right === null || right === undefined;
+
+        if (leftNull || rightNull) {
+          if (leftNull && rightNull) continue;
+          return (leftNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+        }
+
+        const order = compareValues(left, right);
+        if (order) return ascending ? order : -order;
+      }
+      return 0;
+    });
+  };
+
+  const paginate = (rows) => {
+    let from = 0;
+    let to = rows.length;
+
+    if (state.range) {
+      from = state.range[0];
+      to = state.range[1] + 1;
+    }
+    if (state.limit !== null) to = Math.min(to, from + state.limit);
+
+    return rows.slice(from, to);
+  };
+
+  const runSelect = () => {
+    const fields = parseSelect(state.select || '*');
+    const rows = attachEmbeds(store.rows(table), fields).filter(matchesTopLevel);
+    const page = paginate(sortRows(rows));
+
+    return { data: state.head ? null : page.map(row => project(row, fields)), count: rows.length };
+  };
+
+  const runMutation = () => {
+    const matches = (row) => state.filters.every(filter => evaluate(row, filter.or ? filter.or : filter, resolve));
+    const inputs = [].concat(state.values || []);
+
+    if (state.action === 'insert') return store.insert(table, inputs);
+    if (state.action === 'upsert') return store.insert(table, inputs, { upsert: true, ...state.options });
+    if (state.action === 'update') return store.update(table, matches, state.values || {});
+    return store.remove(table, matches);
+  };
+
+  const execute = () => {
+    try {
+      if (state.error) throw state.error;
+
+      let data;
+      let count = null;
+
+      if (state.action === 'select') {
+        ({ data, count } = runSelect());
+      } else {
+        const rows = runMutation();
+        count = rows.length;
+        data = state.select === null ? null : rows.map(row => project(row, parseSelect(state.select)));
+      }
+
+      if (state.count === null) count = null;
+
+      if (state.single) {
+        if (data.length === 1 || (state.single === 'maybeSingle' && data.length === 0)) {
+          data = data[0] || null;
+        } else {
+          const error = dbError(
+            'JSON object requested, multiple (or no) rows returned',
+            'PGRST116',
+            `The result contains ${data.length} rows`
+          );
+          return { data: null, error, count: null, status: 406, statusText: 'Not Acceptable' };
+        }
+      }
+
+      return { data, error: null, count, status: state.action === 'insert' ? 201 : 200, statusText: 'OK' };
+    } catch (error) {
+      const status = error.code === '23505' ? 409 : 400;
+      return { data: null, error, count: null, status, statusText: status === 409 ? 'Conflict' : 'Bad Request' };
+    }
+  };
+
+  const builder = {
+    select(columns = '*', { count = null, head = false } = {}) {
+      state.select = columns;
+      state.count = count;
+      state.head = head;
+      return builder;
+    },
+    insert(values) {
+      Object.assign(state, { action: 'insert', values });
+      return builder;
+    },
+    upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+      Object.assign(state, { action: 'upsert', values, options: { onConflict, ignoreDuplicates } });
+      return builder;
+    },
+    update(values) {
+      Object.assign(state, { action: 'update', values });
+      return builder;
+    },
+    delete() {
+      state.action = 'delete';
+      return builder;
+    },
+
+    eq: (column, value) => addFilter(column, 'eq', value),
+    neq: (column, value) => addFilter(column, 'neq', value),
+    gt: (column, value) => addFilter(column, 'gt', value),
+    gte: (column, value) => addFilter(column, 'gte', value),
+    lt: (column, value) => addFilter(column, 'lt', value),
+    lte: (column, value) => addFilter(column, 'lte', value),
+    like: (column, pattern) => addFilter(column, 'like', pattern),
+    ilike: (column, pattern) => addFilter(column, 'ilike', pattern),
+    is: (column, value) => addFilter(column, 'is', value),
+    in: (column, values) => addFilter(column, 'in', values),
+    contains: (column, value) => addFilter(column, 'cs', value),
+    containedBy: (column, value) => addFilter(column, 'cd', value),
+    overlaps: (column, value) => addFilter(column, 'ov', value),
+    textSearch: (column, query, { type } = {}) => addFilter(column, TEXT_SEARCH_OPERATORS[type] || 'fts', query),
+    match(values) {
+      for (const [column, value] of Object.entries(values)) addFilter(column, 'eq', value);
+      return builder;
+    },
+    not(column, operator, value) {
+      return addFilter(column, operator, typeof value === 'string' ? parseValue(operator, value) : value, true);
+    },
+    filter(column, operator, value) {
+      const negate = operator.startsWith('not.');
+      const op = negate ? operator.slice(4) : operator;
+      if (!OPERATORS[op]) throw new Error(`Unsupported filter operator: ${operator}`);
+      return addFilter(column, op, typeof value === 'string' ? parseValue(op, value) : value, negate);
+    },
+    or(filters) {
+      // Like PostgREST, a malformed tree comes back as the query's error
+      try {
+        state.filters.push({ or: parseLogicTree(filters), column: '' });
+      } catch (error) {
+        state.error = error;
+      }
+      return builder;
+    },
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+      // Postgres puts NULLs last ascending and first descending unless told otherwise
+      state.orders.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+      return builder;
+    },
+    limit(count) {
+      state.limit = count;
+      return builder;
+    },
+    range(from, to) {
+      state.range = [from, to];
+      return builder;
+    },
+    single() {
+      state.single = 'single';
+      return builder;
+    },
+    maybeSingle() {
+      state.single = 'maybeSingle';
+      return builder;
+    },
+
+    then(onFulfilled, onRejected) {
+      return Promise.resolve().then(execute).then(onFulfilled, onRejected);
+    }
+  };
+
+  return builder;
+};
+
+module.exports = { createQuery, parseSelect };
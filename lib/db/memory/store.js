@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { TABLES, getTable } = require('./tables');
+
+/**
+ * Row storage for the in-memory backend
+ * Rows live in arrays per table, in insertion order. Writes apply the
+ * table definitions (defaults, keys, triggers, ON DELETE actions) and
+ * throw Postgres-style errors ({ message, code, details }) that the query
+ * builder hands back as `error`.
+ */
+
+const dbError = (message, code, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  error.hint = null;
+  return error;
+};
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const createStore = () => {
+  const tables = new Map();
+  const sequences = new Map();
+
+  const rowsOf = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const nextId = (name) => {
+    const id = (sequences.get(name) || 0) + 1;
+    sequences.set(name, id);
+    return id;
+  };
+
+  const keyOf = (row, columns) => JSON.stringify(columns.map(column => row[column] ?? null));
+
+  // Primary key plus unique constraints, as { name, columns, where }
+  const constraintsOf = (name) => {
+    const table = getTable(name);
+    return [
+      { name: `${name}_pkey`, columns: table.key },
+      ...table.unique.map(unique => ({ name: `${name}_${unique.columns.join('_')}_key`, ...unique }))
+    ];
+  };
+
+  /**
+   * Throw if `candidate` would clash with another row (`ignore` is the row it replaces)
+   */
+  const checkUnique = (name, candidate, ignore) => {
+    for (const constraint of constraintsOf(name)) {
+      if (constraint.where && !constraint.where(candidate)) continue;
+      // NULLs never conflict
+      if (constraint.columns.some(column => candidate[column] === null || candidate[column] === undefined)) continue;
+
+      const key = keyOf(candidate, constraint.columns);
+      const clash = rowsOf(name).some(row => row !== ignore
+        && (!constraint.where || constraint.where(row))
+        && keyOf(row, constraint.columns) === key);
+
+      if (clash) {
+        throw dbError(
+          `duplicate key value violates unique constraint "${constraint.name}"`,
+          '23505',
+          `Key (${constraint.columns.join(', ')})=(${constraint.columns.map(column => candidate[column]).join(', ')}) already exists.`
+        );
+      }
+    }
+  };
+
+  const buildRow = (name, values) => {
+    const table = getTable(name);
+    const timestamp = new Date().toISOString();
+    const row = {};
+
+    if (table.key.length === 1 && table.key[0] === 'id') row.id = table.identity ? nextId(name) : crypto.randomUUID();
+    for (const [column, value] of Object.entries(table.defaults)) {
+      row[column] = typeof value === 'function' ? value() : clone(value);
+    }
+    row.created_at = timestamp;
+    if (table.updatedAt) row.updated_at = timestamp;
+
+    for (const [column, value] of Object.entries(values)) {
+      // Identity columns are GENERATED ALWAYS
+      if (column === 'id' && table.identity) continue;
+      if (value !== undefined) row[column] = clone(value);
+    }
+
+    return row;
+  };
+
+  const applyUpdate = (name, row, values) => {
+    const table = getTable(name);
+    const updated = { ...row };
+
+    for (const [column, value] of Object.entries(values)) {
+      if (value !== undefined) updated[column] = clone(value);
+    }
+    if (table.updatedAt) updated.updated_at = new Date().toISOString();
+
+    return updated;
+  };
+
+  /**
+   * Insert rows; with `onConflict` (columns, default the primary key)
+   * existing rows are updated instead, or skipped with `ignoreDuplicates`.
+   * All or nothing. Returns the inserted/updated rows.
+   */
+  const insert = (name, inputs, { upsert = false, onConflict, ignoreDuplicates = false } = {}) => {
+    const rows = rowsOf(name);
+    const conflictColumns = onConflict ? onConflict.split(',').map(column => column.trim()) : getTable(name).key;
+    const pending = [];
+
+    for (const input of inputs) {
+      if (upsert) {
+        const matches = (row) => keyOf(row, conflictColumns) === keyOf(input, conflictColumns);
+        const staged = pending.find(item => matches(item.row));
+        const stored = staged ? null : rows.find(matches);
+
+        if ((staged || stored) && ignoreDuplicates) continue;
+        if (staged) {
+          staged.row = applyUpdate(name, staged.row, input);
+          continue;
+        }
+        if (stored) {
+          pending.push({ row: applyUpdate(name, stored, input), replaces: stored });
+          continue;
+        }
+      }
+
+      pending.push({ row: buildRow(name, input), replaces: null });
+    }
+
+    // Check against stored rows and each other before anything is written
+    for (const item of pending) {
+      checkUnique(name, item.row, item.replaces);
+      const others = pending.filter(other => other !== item).map(other => other.row);
+      for (const constraint of constraintsOf(name)) {
+        if (constraint.where && !constraint.where(item.row)) continue;
+        if (others.some(other => (!constraint.where || constraint.where(other))
+          && keyOf(other, constraint.columns) === keyOf(item.row, constraint.columns))) {
+          throw dbError(`duplicate key value violates unique constraint "${constraint.name}"`, '23505');
+        }
+      }
+    }
+
+    for (const item of pending) {
+      if (item.replaces) rows[rows.indexOf(item.replaces)] = item.row;
+      else rows.push(item.row);
+    }
+
+    return pending.map(item => clone(item.row));
+  };
+
+  /**
+   * Update every row passing `predicate`; returns the updated rows
+   */
+  const update = (name, predicate, values, { trigger = true } = {}) => {
+    const rows = rowsOf(name);
+    const matches = rows.filter(predicate);
+
+    if (matches.length && trigger && getTable(name).appendOnly) {
+      throw dbError(`${name} is append-only`, 'P0001');
+    }
+
+    const updates = matches.map(row => ({
+      row,
+      updated: trigger ? applyUpdate(name, row, values) : { ...row, ...clone(values) }
+    }));
+
+    for (const { row, updated } of updates) checkUnique(name, updated, row);
+    for (const { row, updated } of updates) rows[rows.indexOf(row)] = updated;
+
+    return updates.map(({ updated }) => clone(updated));
+  };
+
+  /**
+   * Run ON DELETE actions for rows removed from `name` (identified by `ids`)
+   */
+  const cascade = (name, ids) => {
+    if (!ids.length) return;
+    const removed = new Set(ids);
+
+    for (const [childName, table] of Object.entries(TABLES)) {
+      for (const [column, [parent, action]] of Object.entries(table.references || {})) {
+        if (parent !== name) continue;
+        const references = (row) => removed.has(row[column]);
+
+        if (action === 'cascade') remove(childName, references);
+        else update(childName, references, { [column]: null }, { trigger: false });
+      }
+    }
+  };
+
+  /**
+   * Delete every row passing `predicate`; returns the deleted rows
+   */
+  const remove = (name, predicate) => {
+    const rows = rowsOf(name);
+    const deleted = rows.filter(predicate);
+    if (!deleted.length) return [];
+
+    tables.set(name, rows.filter(row => !deleted.includes(row)));
+
+    const key = getTable(name).key;
+    if (key.length === 1) cascade(name, deleted.map(row => row[key[0]]));
+
+    return deleted.map(clone);
+  };
+
+  return {
+    rows: rowsOf,
+    insert,
+    update,
+    remove,
+    // Deleting an auth user runs the ON DELETE actions of tables referencing auth.users
+    removeUser: (userId) => cascade('auth.users', [userId])
+  };
+};
+
+module.exports = { createStore, dbError };
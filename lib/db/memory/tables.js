@@ -0,0 +1,189 @@
+/**
+ * Table definitions for the in-memory backend, mirroring supabase/migrations
+ * (and the projects/profiles/admin_actions tables created with the project)
+ *
+ *   key        - primary key columns (default ['id'])
+ *   identity   - integer ids counting up instead of uuids
+ *   defaults   - column defaults for inserts (functions are called per row)
+ *   unique     - extra unique keys: { columns, where? } (where = partial index)
+ *   references - { column: [table, 'cascade' | 'set null'] } for embeds and ON DELETE
+ *   updatedAt  - set_updated_at trigger on update
+ *   appendOnly - updates are rejected
+ *   search     - generated tsvector columns: { column: [source columns] }
+ *
+ * Every row gets an id (unless keyed otherwise) and created_at.
+ * 'auth.users' references point at users held by the auth stand-in.
+ */
+
+const now = () => new Date().toISOString();
+
+const TABLES = {
+  profiles: {
+    defaults: {
+      email: null,
+      full_name: null,
+      avatar_url: null,
+      is_admin: false,
+      plan: 'free',
+      suspended_at: null,
+      suspended_reason: null
+    },
+    references: { id: ['auth.users', 'cascade'] },
+    updatedAt: true
+  },
+  projects: {
+    defaults: {
+      description: null,
+      logo_url: null,
+      progress: 0,
+      team_size: 1,
+      due_date: null,
+      status: 'planning',
+      tags: [],
+      priority: 'medium',
+      deleted_at: null
+    },
+    references: { user_id: ['auth.users', 'cascade'] },
+    updatedAt: true,
+    search: { search_vector: ['name', 'description'] }
+  },
+  admin_actions: {
+    defaults: { details: {}, ip_address: null },
+    references: { admin_id: ['auth.users', 'set null'] }
+  },
+  conversations: {
+    defaults: { project_id: null, title: null, summary: null, summarized_count: 0, updated_at: now },
+    references: { user_id: ['auth.users', 'cascade'], project_id: ['projects', 'cascade'] }
+  },
+  conversation_messages: {
+    identity: true,
+    references: { conversation_id: ['conversations', 'cascade'] }
+  },
+  milestones: {
+    defaults: { phase_depends_on: [], description: null, start_date: null, due_date: null, status: 'pending', position: 0 },
+    references: { project_id: ['projects', 'cascade'] }
+  },
+  tasks: {
+    defaults: {
+      parent_id: null,
+      description: null,
+      status: 'todo',
+      assignee_id: null,
+      estimate: null,
+      due_date: null,
+      position: 0,
+      completed_at: null,
+      priority: 'medium',
+      depends_on: [],
+      updated_at: now
+    },
+    references: {
+      project_id: ['projects', 'cascade'],
+      parent_id: ['tasks', 'cascade'],
+      assignee_id: ['auth.users', 'set null']
+    }
+  },
+  project_members: {
+    key: ['project_id', 'user_id'],
+    defaults: { invited_by: null },
+    references: {
+      project_id: ['projects', 'cascade'],
+      user_id: ['auth.users', 'cascade'],
+      invited_by: ['auth.users', 'set null']
+    }
+  },
+  project_invitations: {
+    defaults: { status: 'pending', invited_by: null, responded_at: null },
+    unique: [{ columns: ['project_id', 'email'], where: row => row.status === 'pending' }],
+    references: { project_id: ['projects', 'cascade'], invited_by: ['auth.users', 'set null'] }
+  },
+  ai_usage: {
+    identity: true,
+    defaults: {
+      user_id: null,
+      project_id: null,
+      route: null,
+      streamed: false,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      latency_ms: 0,
+      error: null
+    },
+    references: { user_id: ['auth.users', 'set null'] }
+  },
+  project_activity: {
+    identity: true,
+    defaults: { actor_id: null, changes: {}, reverted_from: null },
+    references: {
+      project_id: ['projects', 'cascade'],
+      actor_id: ['auth.users', 'set null'],
+      reverted_from: ['project_activity', 'set null']
+    },
+    appendOnly: true
+  },
+  webhooks: {
+    defaults: { description: null, enabled: true, consecutive_failures: 0, disabled_at: null, disabled_reason: null },
+    references: { user_id: ['auth.users', 'cascade'] },
+    updatedAt: true
+  },
+  webhook_deliveries: {
+    defaults: {
+      status: 'pending',
+      attempts: 0,
+      response_status: null,
+      response_body: null,
+      error: null,
+      next_attempt_at: now,
+      delivered_at: null
+    },
+    references: { webhook_id: ['webhooks', 'cascade'] }
+  },
+  calendar_feeds: {
+    key: ['user_id'],
+    defaults: { last_accessed_at: null },
+    unique: [{ columns: ['token_hash'] }],
+    references: { user_id: ['auth.users', 'cascade'] }
+  },
+  personal_access_tokens: {
+    defaults: { expires_at: null, last_used_at: null, revoked_at: null },
+    unique: [{ columns: ['token_hash'] }],
+    references: { user_id: ['auth.users', 'cascade'] }
+  },
+  project_insights: {
+    defaults: { inputs: {}, created_by: null, pinned_at: null },
+    unique: [
+      { columns: ['project_id', 'kind', 'version'] },
+      { columns: ['project_id', 'kind'], where: row => row.pinned_at !== null }
+    ],
+    references: { project_id: ['projects', 'cascade'], created_by: ['auth.users', 'set null'] }
+  },
+  insight_feedback: {
+    key: ['insight_id', 'user_id'],
+    defaults: { comment: null },
+    references: { insight_id: ['project_insights', 'cascade'], user_id: ['auth.users', 'cascade'] },
+    updatedAt: true
+  },
+  ai_moderation_events: {
+    identity: true,
+    defaults: {
+      user_id: null,
+      ip_address: null,
+      project_id: null,
+      conversation_id: null,
+      route: null,
+      request_id: null,
+      reviewed_at: null,
+      reviewed_by: null,
+      review_note: null
+    },
+    references: { user_id: ['auth.users', 'set null'], reviewed_by: ['auth.users', 'set null'] }
+  }
+};
+
+/**
+ * Definition for `name`; tables that aren't listed get plain uuid-keyed defaults
+ */
+const getTable = (name) => ({ key: ['id'], defaults: {}, unique: [], references: {}, ...TABLES[name] });
+
+module.exports = { TABLES, getTable };
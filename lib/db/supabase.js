@@ -0,0 +1,50 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase data backend: Postgres through PostgREST, plus Supabase Auth
+ */
+
+const createServiceClient = (options) => createClient(
+  process.env.SUPABASE_URL || '',
+  process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+  options
+);
+
+/**
+ * Start an email change for the session's user
+ * Supabase emails a confirmation link; the address only changes once it
+ * is followed. Returns { error } with GoTrue's message on failure.
+ */
+const requestEmailChange = async (accessToken, email) => {
+  const url = new URL('/auth/v1/user', process.env.SUPABASE_URL);
+  if (process.env.EMAIL_CHANGE_REDIRECT_URL) url.searchParams.set('redirect_to', process.env.EMAIL_CHANGE_REDIRECT_URL);
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      apikey: process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email })
+  });
+
+  if (response.ok) return { error: null };
+
+  const body = await response.json().catch(() => ({}));
+  return { error: body.msg || body.message || body.error_description || 'Email change failed' };
+};
+
+const createSupabaseBackend = () => ({
+  name: 'supabase',
+  client: createServiceClient(),
+  // Calls that sign a user in run on a short-lived client: on the shared
+  // service-role client the new session would replace the service key
+  // for every query that follows
+  createSessionClient: () => createServiceClient({
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+  }),
+  requestEmailChange
+});
+
+module.exports = { createSupabaseBackend };
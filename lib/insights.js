@@ -0,0 +1,267 @@
+const { normalize } = require('./ai/cache');
+
+/**
+ * Saved AI insights
+ * Hints and roadmaps generated for a project are kept as numbered versions
+ * per kind, with the inputs, provider and model behind them. One version
+ * per kind can be pinned as current; members rate versions up or down,
+ * and that feedback is exported for prompt tuning.
+ */
+
+const INSIGHT_KINDS = ['hints', 'roadmap'];
+const INSIGHT_FORMATS = ['markdown', 'json'];
+const INSIGHT_RATINGS = ['up', 'down'];
+
+// Version numbers are max + 1, so two saves can race for the same one
+const SAVE_ATTEMPTS = 3;
+
+// PostgREST caps rows per request, so exports read in batches
+const BATCH_SIZE = 1000;
+
+// Columns for lists, leaving out the (possibly long) content
+const SUMMARY_COLUMNS = 'id, project_id, kind, version, format, provider, model, created_by, pinned_at, created_at';
+
+// jsonb comes back with its keys in Postgres' order, not the order they were saved in
+const isSame = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// The same answer to the same question, e.g. a cached response served again
+const isRepeat = (latest, insight) => (
+  latest.format === insight.format &&
+  latest.model === insight.model &&
+  isSame(latest.inputs, insight.inputs) &&
+  isSame(latest.content, insight.content)
+);
+
+/**
+ * Latest version of a kind for a project, or null
+ */
+const findLatestInsight = async (supabase, projectId, kind) => {
+  const { data, error } = await supabase
+    .from('project_insights')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('kind', kind)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * The pinned version of a kind, else the latest, or null
+ */
+const findCurrentInsight = async (supabase, projectId, kind) => {
+  const { data: pinned, error } = await supabase
+    .from('project_insights')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('kind', kind)
+    .not('pinned_at', 'is', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return pinned || findLatestInsight(supabase, projectId, kind);
+};
+
+/**
+ * Save a generation as the next version of the project's `kind` insights
+ * A repeat of the latest version (same inputs, model and output - a cached
+ * answer, usually) isn't stored twice; that version is returned instead.
+ */
+const saveInsight = async (supabase, { projectId, userId, kind, format, content, inputs, provider, model }) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await findLatestInsight(supabase, projectId, kind);
+    if (latest && isRepeat(latest, { format, model, inputs, content })) return latest;
+
+    const { data, error } = await supabase
+      .from('project_insights')
+      .insert({
+        project_id: projectId,
+        kind,
+        version: (latest?.version || 0) + 1,
+        format,
+        content,
+        inputs,
+        provider,
+        model,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505' && attempt < SAVE_ATTEMPTS) continue;
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * Insight content as text: markdown as is, JSON roadmaps pretty-printed
+ */
+const insightText = (insight) => (
+  typeof insight.content === 'string' ? insight.content : JSON.stringify(insight.content, null, 2)
+);
+
+/**
+ * Line diff from `before` to `after` as [{ op: 'equal' | 'add' | 'remove', line }]
+ * Longest common subsequence; outputs are a few hundred lines at most.
+ */
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ op: 'remove', line: a[i++] });
+    } else {
+      diff.push({ op: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: 'remove', line: a[i++] });
+  while (j < b.length) diff.push({ op: 'add', line: b[j++] });
+
+  return diff;
+};
+
+/**
+ * Diff between two versions, with counts of added and removed lines
+ */
+const diffInsights = (from, to) => {
+  const diff = diffLines(insightText(from), insightText(to));
+
+  return {
+    from: { id: from.id, version: from.version },
+    to: { id: to.id, version: to.version },
+    added: diff.filter(entry => entry.op === 'add').length,
+    removed: diff.filter(entry => entry.op === 'remove').length,
+    diff
+  };
+};
+
+/**
+ * { up, down } counts per insight id
+ */
+const countRatings = async (supabase, insightIds) => {
+  const counts = Object.fromEntries(insightIds.map(id => [id, { up: 0, down: 0 }]));
+  if (!insightIds.length) return counts;
+
+  const { data, error } = await supabase
+    .from('insight_feedback')
+    .select('insight_id, rating')
+    .in('insight_id', insightIds);
+
+  if (error) throw error;
+
+  for (const row of data) counts[row.insight_id][row.rating]++;
+  return counts;
+};
+
+const applyFeedbackFilters = (query, filters) => {
+  let filtered = query
+    .gte('created_at', filters.from)
+    .lte('created_at', filters.to);
+
+  if (filters.rating) filtered = filtered.eq('rating', filters.rating);
+  if (filters.kind) filtered = filtered.eq('project_insights.kind', filters.kind);
+  if (filters.projectId) filtered = filtered.eq('project_insights.project_id', filters.projectId);
+  return filtered;
+};
+
+// !inner so the kind and project filters drop feedback rather than just the embed
+const FEEDBACK_SELECT = '*, project_insights!inner(project_id, kind, version, format, provider, model, inputs, content)';
+
+/**
+ * Feedback joined with the rated insight, flattened for export
+ */
+const toFeedbackExport = (row) => {
+  const { project_insights: insight, ...feedback } = row;
+
+  return {
+    insight_id: feedback.insight_id,
+    project_id: insight.project_id,
+    kind: insight.kind,
+    version: insight.version,
+    format: insight.format,
+    provider: insight.provider,
+    model: insight.model,
+    rating: feedback.rating,
+    comment: feedback.comment,
+    user_id: feedback.user_id,
+    inputs: insight.inputs,
+    content: insightText(insight),
+    created_at: feedback.created_at,
+    updated_at: feedback.updated_at
+  };
+};
+
+/**
+ * One page of exported feedback, newest first, with the total count
+ * `filters`: { from, to, rating?, kind?, projectId? }
+ */
+const listFeedback = async (supabase, filters, { from, to }) => {
+  const { data, count, error } = await applyFeedbackFilters(
+    supabase.from('insight_feedback').select(FEEDBACK_SELECT, { count: 'exact' }),
+    filters
+  )
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (error) throw error;
+  return { feedback: data.map(toFeedbackExport), total: count };
+};
+
+/**
+ * Every exported feedback row matching `filters`, oldest first
+ */
+const fetchFeedback = async (supabase, filters) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data, error } = await applyFeedbackFilters(
+      supabase.from('insight_feedback').select(FEEDBACK_SELECT),
+      filters
+    )
+      .order('created_at', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data.map(toFeedbackExport));
+    if (data.length < BATCH_SIZE) return rows;
+  }
+};
+
+module.exports = {
+  INSIGHT_KINDS,
+  INSIGHT_FORMATS,
+  INSIGHT_RATINGS,
+  SUMMARY_COLUMNS,
+  findLatestInsight,
+  findCurrentInsight,
+  saveInsight,
+  insightText,
+  diffLines,
+  diffInsights,
+  countRatings,
+  listFeedback,
+  fetchFeedback
+};
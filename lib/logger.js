@@ -0,0 +1,51 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging: one JSON object per line
+ *   {"time":"…","level":"error","msg":"Create task error","request_id":"…","error":{…}}
+ * Entries written while a request is being handled carry its request_id
+ * (see middleware/requestContext.js). LOG_LEVEL sets the threshold
+ * (debug, info, warn, error; default info).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify, so copy out what's useful
+const serializeError = (error) => {
+  if (!(error instanceof Error)) return error;
+
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ['code', 'status', 'details', 'hint']) {
+    if (error[key] !== undefined && error[key] !== null) serialized[key] = error[key];
+  }
+  serialized.stack = error.stack;
+  return serialized;
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+  if (entry.error) entry.error = serializeError(entry.error);
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+
+  /**
+   * Run `fn` with `fields` added to every entry logged inside it,
+   * including from callbacks and promises it starts
+   */
+  withContext: (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+};
+
+module.exports = { logger, serializeError };
@@ -0,0 +1,74 @@
+const { logger } = require('./logger');
+
+/**
+ * AI moderation log
+ * Inputs and outputs flagged by lib/ai/safety.js are written to
+ * ai_moderation_events, whether they were blocked or only flagged,
+ * for admins to review.
+ */
+
+const MODERATION_STAGES = ['input', 'output'];
+const MODERATION_ACTIONS = ['flagged', 'blocked'];
+
+// Enough of the flagged text to judge it by
+const EXCERPT_LENGTH = 1000;
+
+/**
+ * Append a moderation event
+ * Like the activity log, a failed write is logged rather than failing the request.
+ */
+const recordModerationEvent = async (supabase, event) => {
+  try {
+    const { error } = await supabase
+      .from('ai_moderation_events')
+      .insert({
+        user_id: event.userId || null,
+        ip_address: event.ip || null,
+        project_id: event.projectId || null,
+        conversation_id: event.conversationId || null,
+        route: event.route || null,
+        request_id: event.requestId || null,
+        stage: event.stage,
+        action: event.action,
+        flags: event.flags,
+        excerpt: event.excerpt.slice(0, EXCERPT_LENGTH)
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error('Error recording moderation event', { error });
+  }
+};
+
+/**
+ * One page of moderation events, newest first
+ * `filters`: { from, to, stage?, action?, flag?, userId?, reviewed? }
+ */
+const listModerationEvents = async (supabase, filters, { from, to }) => {
+  let query = supabase
+    .from('ai_moderation_events')
+    .select('*', { count: 'exact' })
+    .gte('created_at', filters.from)
+    .lte('created_at', filters.to)
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (filters.stage) query = query.eq('stage', filters.stage);
+  if (filters.action) query = query.eq('action', filters.action);
+  if (filters.flag) query = query.contains('flags', [filters.flag]);
+  if (filters.userId) query = query.eq('user_id', filters.userId);
+  if (filters.reviewed === true) query = query.not('reviewed_at', 'is', null);
+  if (filters.reviewed === false) query = query.is('reviewed_at', null);
+
+  const { data, count, error } = await query;
+
+  if (error) throw error;
+  return { events: data, total: count };
+};
+
+module.exports = {
+  MODERATION_STAGES,
+  MODERATION_ACTIONS,
+  recordModerationEvent,
+  listModerationEvents
+};
@@ -0,0 +1,305 @@
+/**
+ * OpenAPI 3 document generated from the registered Express routes
+ * Each route's validate() middleware carries its schema (see lib/validation.js);
+ * other middleware describe themselves through a `docs` property:
+ *   { auth: 'required' | 'optional' | 'cron' }, { admin: true }, { projectRole: 'editor' },
+ *   { rateLimited: true }, { aiProvider: true }, { scopes: ['projects:read'] },
+ *   { moderated: true }
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const componentRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Convert a field rule to a JSON Schema (OpenAPI 3.0 dialect)
+ */
+const toJsonSchema = (rule) => {
+  if (rule.ref) return componentRef(rule.ref);
+
+  const schema = { type: rule.type };
+
+  if (rule.description) schema.description = rule.description;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.format) schema.format = rule.format;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+  if (rule.items) schema.items = toJsonSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toObjectSchema(rule.properties));
+
+  return schema;
+};
+
+const toObjectSchema = (fields) => {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    schema.properties[name] = toJsonSchema(rule);
+    if (rule.required) required.push(name);
+  }
+
+  if (required.length) schema.required = required;
+  return schema;
+};
+
+// '/api/projects/:id' -> '/api/projects/{id}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// Express keeps a router's mount path only as a regexp: /^\/api\/projects\/?(?=\/|$)/i -> '/api/projects'
+const mountPath = (layer) => layer.regexp.source
+  .replace(/^\^/, '')
+  .replace('\\/?(?=\\/|$)', '')
+  .replace(/\\\//g, '/');
+
+const collectRoutes = (stack, prefix, routes) => {
+  for (const layer of stack) {
+    // Routers mounted with app.use('/api/...', router)
+    if (layer.name === 'router' && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, prefix + mountPath(layer), routes);
+      continue;
+    }
+    if (!layer.route) continue;
+
+    const handles = layer.route.stack.map(item => item.handle);
+    const schema = handles.find(handle => handle.schema)?.schema || null;
+    const docs = Object.assign({}, ...handles.map(handle => handle.docs || {}));
+    const paths = [].concat(layer.route.path).map(path => (path === '/' && prefix ? prefix : prefix + path));
+
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!METHODS.includes(method)) continue;
+      for (const path of paths) routes.push({ method, path, schema, docs });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Every registered route as { method, path, schema, docs }, including those of mounted routers
+ * Array paths (e.g. a route and its /stream variant) become one entry each.
+ */
+const listRoutes = (app) => collectRoutes(app._router?.stack || [], '', []);
+
+/**
+ * Routes without a schema, as 'METHOD /path' strings
+ */
+const findUndocumentedRoutes = (app) => {
+  return listRoutes(app)
+    .filter(route => !route.schema)
+    .map(route => `${route.method.toUpperCase()} ${route.path}`);
+};
+
+const buildParameters = (route) => {
+  const { schema, docs } = route;
+  const parameters = [];
+
+  for (const name of pathParamNames(route.path)) {
+    const rule = schema.params?.[name] || { type: 'string' };
+    parameters.push({ name, in: 'path', required: true, description: rule.description, schema: toJsonSchema(rule) });
+  }
+
+  for (const [name, rule] of Object.entries(schema.query || {})) {
+    const parameter = { name, in: 'query', required: !!rule.required, schema: toJsonSchema(rule) };
+    if (rule.description) parameter.description = rule.description;
+    // Lists are sent comma-separated: ?status=active,planning
+    if (rule.type === 'array') Object.assign(parameter, { style: 'form', explode: false });
+    parameters.push(parameter);
+  }
+
+  if (docs.aiProvider) {
+    parameters.push({
+      name: 'X-AI-Provider',
+      in: 'header',
+      required: false,
+      description: 'Use another allowed AI provider for this request',
+      schema: { type: 'string' }
+    });
+  }
+
+  return parameters;
+};
+
+const buildResponses = (route) => {
+  const { schema, docs } = route;
+  const body = toObjectSchema({ success: { type: 'boolean' }, ...(schema.response || {}) });
+
+  // Routes with their own content type(s) skip the { success } envelope
+  const content = schema.contentType
+    ? Object.fromEntries([].concat(schema.contentType).map(type => [
+      type,
+      { schema: { type: type === 'application/json' ? 'object' : 'string' } }
+    ]))
+    : { 'application/json': { schema: body } };
+
+  if (schema.stream) {
+    content['text/event-stream'] = {
+      schema: {
+        type: 'string',
+        description: '`chunk` events with { text }, then `done` with the full text, or `error`'
+      }
+    };
+  }
+  if (schema.csv) content['text/csv'] = { schema: { type: 'string', description: 'With format=csv' } };
+
+  const responses = { 200: { description: 'Success', content } };
+
+  if (schema.params || schema.query || schema.body) responses[400] = responseRef('ValidationError');
+  if (docs.auth === 'required' || docs.auth === 'cron') responses[401] = responseRef('Unauthorized');
+  if (docs.admin || docs.projectRole || docs.scopes) responses[403] = responseRef('Forbidden');
+  if (docs.projectRole || pathParamNames(route.path).length) responses[404] = responseRef('NotFound');
+  if (docs.moderated) responses[422] = responseRef('UnsafeInput');
+  if (docs.rateLimited) responses[429] = responseRef('RateLimited');
+  responses[500] = responseRef('ServerError');
+
+  return responses;
+};
+
+const describeAccess = (docs) => {
+  const notes = [];
+  if (docs.admin) notes.push('Admins only.');
+  if (docs.projectRole) notes.push(`Requires ${docs.projectRole} access to the project.`);
+  if (docs.auth === 'optional') notes.push('Works signed out; signing in raises the rate limits.');
+  if (docs.scopes) notes.push(`Personal access tokens need the ${docs.scopes.join(' and ')} scope.`);
+  else if (docs.auth === 'required' || docs.auth === 'optional') notes.push('Personal access tokens are not accepted.');
+  if (docs.rateLimited) notes.push('Counts against the AI rate limit and token quota.');
+  if (docs.moderated) notes.push('Input and output are screened for prompt injection.');
+  return notes.join(' ');
+};
+
+const buildOperation = (route) => {
+  const { schema, docs } = route;
+  const operation = {
+    summary: schema.summary,
+    tags: schema.tags || []
+  };
+
+  const description = describeAccess(docs);
+  if (description) operation.description = description;
+
+  const parameters = buildParameters(route);
+  if (parameters.length) operation.parameters = parameters;
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: Object.values(schema.body).some(rule => rule.required),
+      content: { 'application/json': { schema: toObjectSchema(schema.body) } }
+    };
+  }
+
+  operation.responses = buildResponses(route);
+
+  if (docs.auth === 'required') operation.security = [{ bearerAuth: [] }];
+  else if (docs.auth === 'optional') operation.security = [{}, { bearerAuth: [] }];
+  else if (docs.auth === 'cron') operation.security = [{ cronSecret: [] }];
+  else operation.security = [];
+
+  return operation;
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: componentRef('Error') } }
+});
+
+/**
+ * Build the OpenAPI document for every documented route on `app`
+ * `components` maps names to rules (schemas/components.js)
+ */
+const buildOpenApiSpec = (app, { title, version, description, components = {} }) => {
+  const paths = {};
+
+  for (const route of listRoutes(app)) {
+    if (!route.schema) continue;
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  }
+
+  const schemas = {
+    Error: toObjectSchema({
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'For people; wording may change' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. not_found or insufficient_scope' },
+      request_id: { type: 'string', description: 'Also sent as the X-Request-Id header' }
+    }),
+    ValidationError: toObjectSchema({
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['validation_failed', 'invalid_json'] },
+      request_id: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    })
+  };
+
+  for (const [name, rule] of Object.entries(components)) schemas[name] = toJsonSchema(rule);
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version, description },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Supabase access token or personal access token' },
+        cronSecret: { type: 'http', scheme: 'bearer', description: 'CRON_SECRET, sent by Vercel Cron' }
+      },
+      schemas,
+      responses: {
+        ValidationError: {
+          description: 'Invalid params, query or body',
+          content: { 'application/json': { schema: componentRef('ValidationError') } }
+        },
+        Unauthorized: errorResponse('Missing or invalid token'),
+        Forbidden: errorResponse('Not allowed'),
+        NotFound: errorResponse('Not found or no access'),
+        UnsafeInput: errorResponse('Rejected by the prompt-injection screen (code unsafe_input)'),
+        RateLimited: {
+          ...errorResponse('Rate limit or token quota exceeded'),
+          headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } }
+        },
+        ServerError: errorResponse('Unexpected error')
+      }
+    }
+  };
+};
+
+/**
+ * Swagger UI page for the spec at `specUrl` (assets from a CDN)
+ */
+const renderDocsPage = (specUrl, title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+module.exports = { toOpenApiPath, listRoutes, buildOpenApiSpec, findUndocumentedRoutes, renderDocsPage };
@@ -0,0 +1,41 @@
+/**
+ * AI usage tiers
+ * Anonymous callers are tracked per IP, signed-in users per account
+ * using profiles.plan (defaults to free). Limits can be overridden with
+ * AI_PLAN_LIMITS, e.g. {"free":{"tokensPerDay":50000}}
+ */
+
+const DEFAULT_PLANS = {
+  anonymous: { requestsPerMinute: 5, tokensPerDay: 20000, tokensPerMonth: 200000 },
+  free: { requestsPerMinute: 20, tokensPerDay: 100000, tokensPerMonth: 1000000 },
+  pro: { requestsPerMinute: 60, tokensPerDay: 1000000, tokensPerMonth: 20000000 }
+};
+
+const loadPlans = () => {
+  if (!process.env.AI_PLAN_LIMITS) return DEFAULT_PLANS;
+
+  const overrides = JSON.parse(process.env.AI_PLAN_LIMITS);
+  const plans = { ...DEFAULT_PLANS };
+  for (const [name, limits] of Object.entries(overrides)) {
+    plans[name] = { ...(plans[name] || DEFAULT_PLANS.free), ...limits };
+  }
+  return plans;
+};
+
+const PLANS = loadPlans();
+
+// Ceiling for any single IP, signed in or not (0 disables)
+const IP_REQUESTS_PER_MINUTE = process.env.AI_IP_REQUESTS_PER_MINUTE !== undefined
+  ? parseInt(process.env.AI_IP_REQUESTS_PER_MINUTE, 10) || 0
+  : 30;
+
+/**
+ * Plan name for the request
+ */
+const getPlanName = (req) => {
+  if (!req.user) return 'anonymous';
+  const plan = req.profile?.plan || 'free';
+  return PLANS[plan] ? plan : 'free';
+};
+
+module.exports = { PLANS, IP_REQUESTS_PER_MINUTE, getPlanName };
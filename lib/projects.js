@@ -0,0 +1,85 @@
+/**
+ * Project field values and GET /api/projects query parsing
+ */
+
+const PROJECT_STATUSES = ['planning', 'active', 'on_hold', 'completed', 'archived'];
+const PROJECT_PRIORITIES = ['low', 'medium', 'high'];
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'due_date', 'name', 'progress'];
+
+// Roles that can be granted to members; ownership moves via transfer
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * Opaque cursor: the last row's sort value and id
+ */
+const encodeCursor = (project, sort) => {
+  return Buffer.from(JSON.stringify({ v: project[sort] ?? null, id: project.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.id === 'string' && 'v' in decoded ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn a list query (already checked against its schema) into query options
+ * Returns { errors, options }; errors cover what a field rule cannot express
+ */
+const parseProjectListQuery = (query) => {
+  const errors = [];
+  const options = {
+    limit: query.limit,
+    sort: query.sort,
+    ascending: query.order === 'asc',
+    statuses: query.status,
+    priorities: query.priority,
+    tags: query.tags,
+    tagMatch: query.tag_match,
+    dueAfter: query.due_after,
+    dueBefore: query.due_before,
+    search: query.q
+  };
+
+  if (options.dueAfter && options.dueBefore && options.dueAfter > options.dueBefore) {
+    errors.push({ location: 'query', field: 'due_after', message: 'must not be later than due_before' });
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) errors.push({ location: 'query', field: 'cursor', message: 'is invalid' });
+  }
+
+  return { errors, options };
+};
+
+// Double-quote a value for a PostgREST logic tree
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * PostgREST or() condition selecting rows after the cursor
+ * Rows are ordered by (sort, id) with NULL sort values last
+ */
+const buildKeysetCondition = (cursor, sort, ascending) => {
+  const op = ascending ? 'gt' : 'lt';
+  const id = quote(cursor.id);
+
+  if (cursor.v === null) return `and(${sort}.is.null,id.${op}.${id})`;
+
+  const value = quote(cursor.v);
+  return `${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${id}),${sort}.is.null`;
+};
+
+module.exports = {
+  PROJECT_STATUSES,
+  PROJECT_PRIORITIES,
+  SORT_FIELDS,
+  MEMBER_ROLES,
+  parseProjectListQuery,
+  encodeCursor,
+  buildKeysetCondition
+};
@@ -0,0 +1,53 @@
+/**
+ * Counter stores for rate limiting and token quotas
+ *
+ * A store implements:
+ *   increment(key, amount, ttlMs) -> Promise<{ count, resetAt }>
+ *   get(key)                      -> Promise<{ count, resetAt } | null>
+ *
+ * The first increment of a key starts its window; the counter resets
+ * once `resetAt` (ms timestamp) has passed. The in-memory store below is
+ * fine for a single instance - run several and you need a shared one
+ * (e.g. Redis INCRBY + PEXPIRE) behind the same interface.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key, now) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    increment: async (key, amount, ttlMs) => {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + ttlMs };
+      entry.count += amount;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+
+    get: async (key) => {
+      const entry = live(key, Date.now());
+      return entry ? { ...entry } : null;
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,40 @@
+/**
+ * Admin action log: who did what to which user or project
+ */
+
+const recordAdminAction = async (supabase, { adminId, action, details = {}, ip = null }) => {
+  const { error } = await supabase
+    .from('admin_actions')
+    .insert({
+      admin_id: adminId,
+      action_type: action,
+      details,
+      ip_address: ip
+    });
+
+  if (error) throw error;
+};
+
+/**
+ * Newest first, with the total across pages
+ * `from`/`to` bound the row range; `after`/`before` the created_at range
+ */
+const listAdminActions = async (supabase, { adminId, actionType, after, before, from, to }) => {
+  let query = supabase
+    .from('admin_actions')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (adminId) query = query.eq('admin_id', adminId);
+  if (actionType) query = query.eq('action_type', actionType);
+  if (after) query = query.gte('created_at', after);
+  if (before) query = query.lte('created_at', before);
+
+  const { data: actions, count, error } = await query;
+
+  if (error) throw error;
+  return { actions, total: count };
+};
+
+module.exports = { recordAdminAction, listAdminActions };
@@ -0,0 +1,89 @@
+const { toSearchPattern } = require('./query');
+
+/**
+ * Profiles: one row per user (same id as the auth user) with the
+ * display name, plan, admin flag and suspension state
+ * Like the other repositories, functions take the data client first
+ * (see lib/db) and throw its errors.
+ */
+
+/**
+ * The user's profile, or null
+ */
+const findProfile = async (supabase, userId) => {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return profile;
+};
+
+// What other project members may see; plan, admin and suspension state stay private
+const PUBLIC_PROFILE_COLUMNS = 'id, email, full_name, avatar_url';
+
+/**
+ * Public profile columns for each of `userIds`
+ */
+const findProfiles = async (supabase, userIds) => {
+  const { data: profiles, error } = await supabase
+    .from('profiles')
+    .select(PUBLIC_PROFILE_COLUMNS)
+    .in('id', userIds);
+
+  if (error) throw error;
+  return profiles;
+};
+
+/**
+ * Apply `updates` and return the profile, or null if there is none
+ */
+const updateProfile = async (supabase, userId, updates) => {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .update(updates)
+    .eq('id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return profile;
+};
+
+/**
+ * Newest first, with the total across pages
+ * `from`/`to` are 0-based row indexes
+ */
+const listProfiles = async (supabase, { search, isAdmin, suspended, from, to }) => {
+  let query = supabase
+    .from('profiles')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (search) {
+    const pattern = toSearchPattern(search);
+    query = query.or(`email.ilike.${pattern},full_name.ilike.${pattern}`);
+  }
+  if (isAdmin !== undefined) query = query.eq('is_admin', isAdmin);
+  if (suspended === true) query = query.not('suspended_at', 'is', null);
+  if (suspended === false) query = query.is('suspended_at', null);
+
+  const { data: profiles, count, error } = await query;
+
+  if (error) throw error;
+  return { profiles, total: count };
+};
+
+const deleteProfile = async (supabase, userId) => {
+  const { error } = await supabase
+    .from('profiles')
+    .delete()
+    .eq('id', userId);
+
+  if (error) throw error;
+};
+
+module.exports = { PUBLIC_PROFILE_COLUMNS, findProfile, findProfiles, updateProfile, listProfiles, deleteProfile };
@@ -0,0 +1,338 @@
+const { buildKeysetCondition } = require('../projects');
+const { toSearchPattern, whereAll } = require('./query');
+
+/**
+ * Projects and the roles users hold on them
+ * The owner is projects.user_id; members are in project_members. A set
+ * deleted_at means the project is in the trash.
+ */
+
+/**
+ * The user's roles on projects shared with them, as Map<projectId, role>
+ */
+const getMemberRoles = async (supabase, userId) => {
+  const { data: memberships, error } = await supabase
+    .from('project_members')
+    .select('project_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return new Map(memberships.map(membership => [membership.project_id, membership.role]));
+};
+
+/**
+ * The member's role on the project ('editor' or 'viewer'), or null
+ */
+const getMemberRole = async (supabase, projectId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('project_members')
+    .select('role')
+    .eq('project_id', projectId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return membership ? membership.role : null;
+};
+
+/**
+ * Project plus the user's role on it, or null when they have no access
+ * Trashed projects are out of reach until restored
+ */
+const getProjectAccess = async (supabase, projectId, userId) => {
+  const project = await findProject(supabase, projectId);
+
+  if (!project || project.deleted_at) return null;
+  if (project.user_id === userId) return { project, role: 'owner' };
+
+  const role = await getMemberRole(supabase, projectId, userId);
+  return role ? { project, role } : null;
+};
+
+/**
+ * Is the user the owner or a member of the project?
+ */
+const isProjectMember = async (supabase, project, userId) => {
+  if (project.user_id === userId) return true;
+  return !!(await getMemberRole(supabase, project.id, userId));
+};
+
+const withRole = (project, userId, sharedRoles) => ({
+  ...project,
+  role: project.user_id === userId ? 'owner' : sharedRoles.get(project.id)
+});
+
+// Owned plus shared projects, as or() conditions
+const visibleTo = (userId, sharedRoles) => {
+  return sharedRoles.size ? [`user_id.eq.${userId},id.in.(${[...sharedRoles.keys()].join(',')})`] : [];
+};
+
+/**
+ * A project in any state (trashed included), or null
+ */
+const findProject = async (supabase, projectId) => {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('id', projectId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return project;
+};
+
+/**
+ * A trashed project owned by the user, or null
+ */
+const findTrashedProject = async (supabase, projectId, userId) => {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('id', projectId)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return project;
+};
+
+/**
+ * One page of the user's owned and shared projects (GET /api/projects)
+ * `options` come from parseProjectListQuery. Returns { projects, total,
+ * hasMore }; projects carry the user's role.
+ */
+const listProjectPage = async (supabase, userId, options) => {
+  const sharedRoles = await getMemberRoles(supabase, userId);
+
+  // Narrowed by the query filters
+  const scoped = (query) => {
+    query = sharedRoles.size ? query : query.eq('user_id', userId);
+    query = query.is('deleted_at', null);
+
+    if (options.statuses) query = query.in('status', options.statuses);
+    if (options.priorities) query = query.in('priority', options.priorities);
+    if (options.tags) {
+      query = options.tagMatch === 'all'
+        ? query.contains('tags', options.tags)
+        : query.overlaps('tags', options.tags);
+    }
+    if (options.dueAfter) query = query.gte('due_date', options.dueAfter);
+    if (options.dueBefore) query = query.lte('due_date', options.dueBefore);
+    if (options.search) {
+      query = query.textSearch('search_vector', options.search, { type: 'websearch', config: 'english' });
+    }
+
+    return query;
+  };
+
+  const visibility = visibleTo(userId, sharedRoles);
+  const cursorCondition = options.cursor
+    ? [buildKeysetCondition(options.cursor, options.sort, options.ascending)]
+    : [];
+
+  // One extra row tells us whether there is another page
+  const pageQuery = whereAll(scoped(supabase.from('projects').select('*')), [...visibility, ...cursorCondition])
+    .order(options.sort, { ascending: options.ascending, nullsFirst: false })
+    .order('id', { ascending: options.ascending })
+    .limit(options.limit + 1);
+
+  const countQuery = whereAll(
+    scoped(supabase.from('projects').select('id', { count: 'exact', head: true })),
+    visibility
+  );
+
+  const [{ data: rows, error }, { count, error: countError }] = await Promise.all([pageQuery, countQuery]);
+
+  if (error) throw error;
+  if (countError) throw countError;
+
+  return {
+    projects: rows.slice(0, options.limit).map(project => withRole(project, userId, sharedRoles)),
+    total: count,
+    hasMore: rows.length > options.limit
+  };
+};
+
+/**
+ * Owned and shared projects (not trashed) with the user's role, oldest first
+ * `ids` narrows to those projects
+ */
+const listAccessibleProjects = async (supabase, userId, ids) => {
+  const sharedRoles = await getMemberRoles(supabase, userId);
+
+  let query = supabase
+    .from('projects')
+    .select('*')
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  query = sharedRoles.size ? whereAll(query, visibleTo(userId, sharedRoles)) : query.eq('user_id', userId);
+  if (ids) query = query.in('id', ids);
+
+  const { data: projects, error } = await query;
+
+  if (error) throw error;
+  return projects.map(project => withRole(project, userId, sharedRoles));
+};
+
+/**
+ * The user's trashed projects, most recently deleted first
+ */
+const listTrashedProjects = async (supabase, userId) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+
+  if (error) throw error;
+  return projects;
+};
+
+/**
+ * Projects the user owns, trashed included, newest first
+ */
+const listOwnedProjects = async (supabase, userId) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return projects;
+};
+
+/**
+ * Every user's projects, newest first, with the total across pages (admin)
+ * `from`/`to` are 0-based row indexes
+ */
+const listAllProjects = async (supabase, { userId, status, deleted, search, from, to }) => {
+  let query = supabase
+    .from('projects')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(from, to);
+
+  if (userId) query = query.eq('user_id', userId);
+  if (status) query = query.eq('status', status);
+  if (deleted === true) query = query.not('deleted_at', 'is', null);
+  if (deleted === false) query = query.is('deleted_at', null);
+  if (search) {
+    const pattern = toSearchPattern(search);
+    query = query.or(`name.ilike.${pattern},description.ilike.${pattern}`);
+  }
+
+  const { data: projects, count, error } = await query;
+
+  if (error) throw error;
+  return { projects, total: count };
+};
+
+/**
+ * Projects the user owns, trashed included
+ */
+const countOwnedProjects = async (supabase, userId) => {
+  const { count, error } = await supabase
+    .from('projects')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+const createProject = async (supabase, row) => {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return project;
+};
+
+const updateProject = async (supabase, projectId, updates) => {
+  const { data: project, error } = await supabase
+    .from('projects')
+    .update(updates)
+    .eq('id', projectId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return project;
+};
+
+// Soft delete: the project waits in the trash until restored or purged
+const trashProject = (supabase, projectId) => updateProject(supabase, projectId, { deleted_at: new Date().toISOString() });
+
+const restoreProject = (supabase, projectId) => updateProject(supabase, projectId, { deleted_at: null });
+
+/**
+ * Permanently delete projects; tasks, milestones, members, invitations
+ * and conversations cascade. Returns the deleted ids.
+ */
+const deleteProjects = async (supabase, projectIds) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .delete()
+    .in('id', projectIds)
+    .select('id');
+
+  if (error) throw error;
+  return projects.map(project => project.id);
+};
+
+/**
+ * Permanently delete every project the user owns; returns the deleted ids
+ */
+const deleteOwnedProjects = async (supabase, userId) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .delete()
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) throw error;
+  return projects.map(project => project.id);
+};
+
+/**
+ * Permanently delete projects trashed before `cutoff` (ISO string); returns the ids
+ */
+const purgeTrashedBefore = async (supabase, cutoff) => {
+  const { data: projects, error } = await supabase
+    .from('projects')
+    .delete()
+    .lt('deleted_at', cutoff)
+    .select('id');
+
+  if (error) throw error;
+  return projects.map(project => project.id);
+};
+
+module.exports = {
+  getMemberRoles,
+  getMemberRole,
+  getProjectAccess,
+  isProjectMember,
+  findProject,
+  findTrashedProject,
+  listProjectPage,
+  listAccessibleProjects,
+  listTrashedProjects,
+  listOwnedProjects,
+  listAllProjects,
+  countOwnedProjects,
+  createProject,
+  updateProject,
+  trashProject,
+  restoreProject,
+  deleteProjects,
+  deleteOwnedProjects,
+  purgeTrashedBefore
+};
@@ -0,0 +1,21 @@
+/**
+ * Query helpers shared by the repositories
+ */
+
+// Strip characters that would break a PostgREST or() filter
+const toSearchPattern = (search) => `%${String(search).replace(/[%_,()*\\]/g, ' ').trim()}%`;
+
+// AND together PostgREST or() conditions
+const whereAll = (query, conditions) => {
+  if (!conditions.length) return query;
+  if (conditions.length === 1) return query.or(conditions[0]);
+  return query.or(`and(${conditions.map(condition => `or(${condition})`).join(',')})`);
+};
+
+// 1-based page/limit query params (validated by schemas/common.js) to a Supabase range
+const getPagination = (query) => {
+  const { page, limit } = query;
+  return { page, limit, from: (page - 1) * limit, to: page * limit - 1 };
+};
+
+module.exports = { toSearchPattern, whereAll, getPagination };
@@ -0,0 +1,207 @@
+const { fenceUserContent } = require('./ai/safety');
+
+/**
+ * Structured roadmaps
+ * The model returns phases with estimated durations and dependencies;
+ * calendar dates are never taken from the model but derived here from
+ * those estimates and the project's due_date.
+ */
+
+const MAX_PHASES = 10;
+const MAX_MILESTONES_PER_PHASE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROADMAP_FORMAT = `{
+  "phases": [
+    {
+      "key": "short-kebab-case-id",
+      "title": "Phase title",
+      "description": "What happens in this phase",
+      "duration_days": 10,
+      "depends_on": ["key-of-an-earlier-phase"],
+      "milestones": [
+        { "title": "Milestone", "description": "Definition of done", "offset_days": 7 }
+      ]
+    }
+  ]
+}`;
+
+const buildRoadmapPrompt = (systemPrompt, project) => `${systemPrompt}
+Create a 5-phase roadmap for this project:
+${fenceUserContent(`Name: ${project.name}\nDescription: ${project.description || 'No description'}`)}
+- Team: ${project.team_size || project.team || 1} members
+- Due date: ${project.due_date || 'not set'}
+
+Respond with a JSON roadmap in exactly this format:
+${ROADMAP_FORMAT}
+
+RULES:
+- duration_days is a realistic estimate in calendar days (whole number, at least 1)
+- depends_on lists the keys of earlier phases that must finish first (empty if it can start right away)
+- offset_days is the day within the phase (0 to duration_days) when the milestone is due
+- Return JSON only, no markdown or commentary`;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a roadmap against the schema
+ * Returns a list of error messages, empty when valid
+ */
+const validateRoadmap = (roadmap) => {
+  if (!roadmap || !Array.isArray(roadmap.phases)) return ['phases must be an array'];
+
+  const errors = [];
+  const keys = new Set();
+
+  if (!roadmap.phases.length) errors.push('phases must not be empty');
+  if (roadmap.phases.length > MAX_PHASES) errors.push(`phases must have at most ${MAX_PHASES} entries`);
+
+  roadmap.phases.forEach((phase, i) => {
+    const path = `phases[${i}]`;
+
+    if (!phase || typeof phase !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(phase.key)) errors.push(`${path}.key is required`);
+    else if (keys.has(phase.key)) errors.push(`${path}.key "${phase.key}" is duplicated`);
+
+    if (!isNonEmptyString(phase.title)) errors.push(`${path}.title is required`);
+    if (phase.description !== undefined && typeof phase.description !== 'string') {
+      errors.push(`${path}.description must be a string`);
+    }
+    if (!isPositiveInteger(phase.duration_days)) errors.push(`${path}.duration_days must be a positive integer`);
+
+    const dependsOn = phase.depends_on ?? [];
+    if (!Array.isArray(dependsOn)) {
+      errors.push(`${path}.depends_on must be an array`);
+    } else {
+      dependsOn.forEach(dep => {
+        if (!keys.has(dep)) errors.push(`${path}.depends_on references unknown or later phase "${dep}"`);
+      });
+    }
+
+    if (!Array.isArray(phase.milestones) || !phase.milestones.length) {
+      errors.push(`${path}.milestones must be a non-empty array`);
+    } else if (phase.milestones.length > MAX_MILESTONES_PER_PHASE) {
+      errors.push(`${path}.milestones must have at most ${MAX_MILESTONES_PER_PHASE} entries`);
+    } else {
+      phase.milestones.forEach((milestone, j) => {
+        const milestonePath = `${path}.milestones[${j}]`;
+
+        if (!milestone || !isNonEmptyString(milestone.title)) {
+          errors.push(`${milestonePath}.title is required`);
+          return;
+        }
+
+        const offset = milestone.offset_days;
+        if (offset !== undefined && (!Number.isInteger(offset) || offset < 0 ||
+          (isPositiveInteger(phase.duration_days) && offset > phase.duration_days))) {
+          errors.push(`${milestonePath}.offset_days must be between 0 and the phase duration`);
+        }
+      });
+    }
+
+    if (isNonEmptyString(phase.key)) keys.add(phase.key);
+  });
+
+  return errors;
+};
+
+// Dates are handled as UTC calendar days (YYYY-MM-DD)
+const parseDay = (value) => {
+  if (!value) return null;
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const today = () => parseDay(new Date().toISOString());
+
+/**
+ * Derive calendar dates for a validated roadmap
+ * Phases start when all their dependencies end. When the project has a
+ * future due_date the whole plan is stretched or compressed to end on it,
+ * and `fits_due_date` reports whether the estimates fit without compression.
+ */
+const scheduleRoadmap = (roadmap, { startDate, dueDate } = {}) => {
+  const start = parseDay(startDate) || today();
+  const due = parseDay(dueDate);
+
+  // Offsets in estimated days from the roadmap start
+  const ends = {};
+  const offsets = roadmap.phases.map(phase => {
+    const phaseStart = Math.max(0, ...(phase.depends_on || []).map(dep => ends[dep]));
+    ends[phase.key] = phaseStart + phase.duration_days;
+    return { start: phaseStart, end: ends[phase.key] };
+  });
+
+  const estimatedDays = Math.max(...offsets.map(offset => offset.end));
+  const availableDays = due ? Math.round((due - start) / DAY_MS) : null;
+
+  const scale = availableDays > 0 ? availableDays / estimatedDays : 1;
+  const toDate = (offset) => formatDay(addDays(start, Math.round(offset * scale)));
+
+  const phases = roadmap.phases.map((phase, i) => ({
+    key: phase.key,
+    title: phase.title,
+    description: phase.description || '',
+    duration_days: phase.duration_days,
+    depends_on: phase.depends_on || [],
+    start_date: toDate(offsets[i].start),
+    end_date: toDate(offsets[i].end),
+    milestones: phase.milestones.map(milestone => ({
+      title: milestone.title,
+      description: milestone.description || '',
+      offset_days: milestone.offset_days ?? phase.duration_days,
+      due_date: toDate(offsets[i].start + (milestone.offset_days ?? phase.duration_days))
+    }))
+  }));
+
+  const schedule = {
+    start_date: formatDay(start),
+    end_date: toDate(estimatedDays),
+    due_date: due ? formatDay(due) : null,
+    estimated_days: estimatedDays,
+    fits_due_date: availableDays === null ? null : availableDays >= estimatedDays,
+    phases
+  };
+
+  if (schedule.fits_due_date === false) {
+    schedule.warning = availableDays > 0
+      ? `Estimates need ${estimatedDays} days but only ${availableDays} are left before the due date; the schedule has been compressed.`
+      : 'The due date has already passed; dates are based on the estimates alone.';
+  }
+
+  return schedule;
+};
+
+/**
+ * Flatten a scheduled roadmap into `milestones` rows for a project
+ */
+const toMilestoneRows = (projectId, schedule) => {
+  let position = 0;
+
+  return schedule.phases.flatMap(phase => phase.milestones.map(milestone => ({
+    project_id: projectId,
+    phase_key: phase.key,
+    phase_title: phase.title,
+    phase_depends_on: phase.depends_on,
+    title: milestone.title,
+    description: milestone.description,
+    start_date: phase.start_date,
+    due_date: milestone.due_date,
+    position: position++
+  })));
+};
+
+module.exports = {
+  buildRoadmapPrompt,
+  validateRoadmap,
+  scheduleRoadmap,
+  toMilestoneRows
+};
@@ -0,0 +1,53 @@
+/**
+ * Server-Sent Events helpers for streaming AI responses
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Client asked for a stream either via a /stream route
+ * or an `Accept: text/event-stream` header
+ */
+const wantsEventStream = (req) => {
+  return req.path.endsWith('/stream') || (req.get('accept') || '').includes('text/event-stream');
+};
+
+/**
+ * Switch the response into SSE mode
+ * Returns { signal, send, close } - signal aborts when the client disconnects
+ */
+const openEventStream = (req, res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from timing out idle connections
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  };
+
+  return { signal: controller.signal, send, close };
+};
+
+module.exports = { wantsEventStream, openEventStream };
@@ -0,0 +1,95 @@
+const { updateProject } = require('./repositories/projects');
+
+/**
+ * Project tasks and progress calculation
+ * Progress is the estimate-weighted share of completed leaf tasks.
+ * Parent tasks are containers: only tasks without subtasks count,
+ * so a breakdown never gets counted twice.
+ */
+
+const TASK_STATUSES = ['todo', 'in_progress', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Tasks without an estimate weigh the same as a one-hour task
+const DEFAULT_WEIGHT = 1;
+
+const weightOf = (task) => {
+  const estimate = Number(task.estimate);
+  return estimate > 0 ? estimate : DEFAULT_WEIGHT;
+};
+
+/**
+ * Percentage (0-100) from a flat task list, or null when there are no tasks
+ */
+const calculateProgress = (tasks) => {
+  const parents = new Set(tasks.map(task => task.parent_id).filter(Boolean));
+  const leaves = tasks.filter(task => !parents.has(task.id));
+
+  if (!leaves.length) return null;
+
+  const total = leaves.reduce((sum, task) => sum + weightOf(task), 0);
+  const done = leaves
+    .filter(task => task.status === 'done')
+    .reduce((sum, task) => sum + weightOf(task), 0);
+
+  return Math.round((done / total) * 100);
+};
+
+/**
+ * Recompute and store a project's progress from its tasks
+ * When the last task is gone the project goes back to manual progress,
+ * starting again from 0 rather than keeping a value no task backs.
+ */
+const recalculateProjectProgress = async (supabase, projectId) => {
+  const { data: tasks, error } = await supabase
+    .from('tasks')
+    .select('id, parent_id, status, estimate')
+    .eq('project_id', projectId);
+
+  if (error) throw error;
+
+  const progress = calculateProgress(tasks || []) ?? 0;
+
+  await updateProject(supabase, projectId, { progress });
+  return progress;
+};
+
+/**
+ * Nest a flat, position-ordered list into a tree via `subtasks`
+ */
+const nestTasks = (tasks) => {
+  const byId = new Map(tasks.map(task => [task.id, { ...task, subtasks: [] }]));
+  const roots = [];
+
+  for (const task of byId.values()) {
+    const parent = task.parent_id && byId.get(task.parent_id);
+    if (parent) parent.subtasks.push(task);
+    else roots.push(task);
+  }
+
+  return roots;
+};
+
+/**
+ * Would making `parentId` the parent of `taskId` create a cycle?
+ */
+const createsCycle = (tasks, taskId, parentId) => {
+  const parentOf = new Map(tasks.map(task => [task.id, task.parent_id]));
+  let current = parentId;
+
+  while (current) {
+    if (current === taskId) return true;
+    current = parentOf.get(current);
+  }
+
+  return false;
+};
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  calculateProgress,
+  recalculateProjectProgress,
+  nestTasks,
+  createsCycle
+};
@@ -0,0 +1,333 @@
+/**
+ * Project export and import
+ * Exports are full-fidelity JSON (projects with their tasks and milestones),
+ * a CSV of the project list, or a Markdown report. Imports take the JSON
+ * export or the CSV back, checked row by row before anything is written.
+ */
+
+const crypto = require('crypto');
+const { toCsv, parseCsv } = require('./csv');
+const { INSIGHT_KINDS, findCurrentInsight, insightText } = require('./insights');
+const { validateFields } = require('./validation');
+const { nestTasks, createsCycle } = require('./tasks');
+
+const EXPORT_FORMATS = ['json', 'csv', 'markdown'];
+const IMPORT_FORMATS = ['json', 'csv'];
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_PROJECTS = 200;
+
+const PROJECT_CSV_COLUMNS = [
+  'id', 'name', 'description', 'status', 'priority', 'progress', 'team_size',
+  'due_date', 'tags', 'logo_url', 'role', 'created_at', 'updated_at'
+];
+
+const PROJECT_IMPORT_FIELDS = ['name', 'description', 'logo_url', 'progress', 'team_size', 'due_date', 'status', 'tags', 'priority'];
+const TASK_IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'estimate', 'due_date', 'position', 'completed_at'];
+const MILESTONE_IMPORT_FIELDS = [
+  'phase_key', 'phase_title', 'phase_depends_on', 'title', 'description', 'start_date', 'due_date', 'status', 'position'
+];
+
+const pick = (object, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (object[field] !== undefined) picked[field] = object[field];
+  }
+  return picked;
+};
+
+// { hints, roadmap }: the pinned insight of each kind, else the latest
+const loadCurrentInsights = async (supabase, projectId) => Object.fromEntries(await Promise.all(
+  INSIGHT_KINDS.map(async (kind) => [kind, await findCurrentInsight(supabase, projectId, kind)])
+));
+
+/**
+ * Attach each project's tasks (flat, by position) and milestones
+ * With `insights`, also its current AI insight of each kind as
+ * `insights: { hints, roadmap }` (pinned, else latest; null when none)
+ */
+const loadProjectDetails = async (supabase, projects, { insights = false } = {}) => {
+  if (!projects.length) return [];
+
+  const ids = projects.map(project => project.id);
+
+  const [{ data: tasks, error: taskError }, { data: milestones, error: milestoneError }] = await Promise.all([
+    supabase.from('tasks').select('*').in('project_id', ids).order('position', { ascending: true }),
+    supabase.from('milestones').select('*').in('project_id', ids).order('position', { ascending: true })
+  ]);
+
+  if (taskError) throw taskError;
+  if (milestoneError) throw milestoneError;
+
+  const current = insights ? await Promise.all(projects.map(project => loadCurrentInsights(supabase, project.id))) : [];
+
+  return projects.map((project, i) => ({
+    ...project,
+    tasks: tasks.filter(task => task.project_id === project.id),
+    milestones: milestones.filter(milestone => milestone.project_id === project.id),
+    ...(insights ? { insights: current[i] } : {})
+  }));
+};
+
+const toExportDocument = (projects, exportedAt = new Date()) => ({
+  format: 'nexus-projects',
+  version: EXPORT_VERSION,
+  exported_at: exportedAt.toISOString(),
+  projects
+});
+
+const toProjectCsv = (projects) => toCsv(projects, PROJECT_CSV_COLUMNS);
+
+const formatTask = (task, depth) => {
+  const details = [task.estimate ? `${task.estimate}h` : null, task.priority, task.due_date ? `due ${task.due_date}` : null]
+    .filter(Boolean)
+    .join(', ');
+  const line = `${'  '.repeat(depth)}- [${task.status === 'done' ? 'x' : ' '}] ${task.title}${details ? ` (${details})` : ''}`;
+  return [line, ...task.subtasks.flatMap(subtask => formatTask(subtask, depth + 1))];
+};
+
+const formatRoadmap = (milestones) => {
+  const lines = [];
+  let phaseKey = null;
+
+  for (const milestone of milestones) {
+    if (milestone.phase_key !== phaseKey) {
+      phaseKey = milestone.phase_key;
+      lines.push('', `#### ${milestone.phase_title}`, '');
+    }
+    const due = milestone.due_date ? ` - due ${milestone.due_date}` : '';
+    lines.push(`- [${milestone.status === 'done' ? 'x' : ' '}] ${milestone.title}${due}`);
+    if (milestone.description) lines.push(`  ${milestone.description}`);
+  }
+
+  return lines;
+};
+
+// Model headings nest under the report's "### AI ..." section
+const nestHeadings = (markdown) => markdown.replace(/^(#{1,6})(?=\s)/gm, (hashes) => '#'.repeat(Math.min(6, hashes.length + 3)));
+
+const formatRoadmapPhases = (roadmap) => (roadmap.phases || []).flatMap(phase => [
+  '',
+  `#### ${phase.title} (${phase.duration_days} days)`,
+  ...(phase.description ? ['', phase.description] : []),
+  '',
+  ...(phase.milestones || []).map(milestone => `- ${milestone.title}${milestone.description ? ` - ${milestone.description}` : ''}`)
+]);
+
+const formatInsight = (title, insight) => {
+  const about = [
+    `Version ${insight.version}`,
+    insight.pinned_at ? 'pinned' : null,
+    insight.model,
+    String(insight.created_at).slice(0, 10)
+  ].filter(Boolean).join(' · ');
+
+  const body = insight.format === 'json' && insight.content && typeof insight.content === 'object'
+    ? formatRoadmapPhases(insight.content)
+    : ['', nestHeadings(insightText(insight).trim())];
+
+  return ['', `### ${title}`, '', `_${about}_`, ...body];
+};
+
+const formatProject = (project) => {
+  const facts = [
+    `**Status:** ${project.status || 'n/a'}`,
+    `**Priority:** ${project.priority || 'n/a'}`,
+    `**Progress:** ${project.progress || 0}%`,
+    `**Team:** ${project.team_size || 1}`,
+    `**Due:** ${project.due_date || 'not set'}`
+  ];
+  if (project.tags?.length) facts.push(`**Tags:** ${project.tags.join(', ')}`);
+
+  const lines = [`## ${project.name}`, '', facts.join(' · ')];
+  if (project.description) lines.push('', project.description);
+
+  const tasks = project.tasks || [];
+  if (tasks.length) {
+    const done = tasks.filter(task => task.status === 'done').length;
+    lines.push('', `### Tasks (${done}/${tasks.length} done)`, '');
+    lines.push(...nestTasks(tasks).flatMap(task => formatTask(task, 0)));
+  }
+
+  const milestones = project.milestones || [];
+  if (milestones.length) {
+    lines.push('', '### Roadmap', ...formatRoadmap(milestones));
+  }
+
+  const insights = project.insights || {};
+  if (insights.hints) lines.push(...formatInsight('AI hints', insights.hints));
+  if (insights.roadmap) lines.push(...formatInsight('AI roadmap', insights.roadmap));
+
+  return lines.join('\n');
+};
+
+/**
+ * Markdown report: one section per project with its tasks, saved roadmap
+ * and current AI hints and roadmap (see loadProjectDetails)
+ */
+const toMarkdownReport = (projects, exportedAt = new Date()) => {
+  const title = projects.length === 1 ? 'Nexus project report' : 'Nexus projects report';
+  const header = `# ${title}\n\nExported ${exportedAt.toISOString()} · ${projects.length} project${projects.length === 1 ? '' : 's'}`;
+  return `${[header, ...projects.map(formatProject)].join('\n\n')}\n`;
+};
+
+// 'My Project!' -> 'my-project'
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+
+const exportFilename = (name, format, exportedAt = new Date()) => {
+  const extension = { json: 'json', csv: 'csv', markdown: 'md' }[format];
+  return `${slugify(name)}-${exportedAt.toISOString().slice(0, 10)}.${extension}`;
+};
+
+// CSV cells are strings: blanks mean "not set" and tags are a JSON array or a comma/semicolon list
+const fromCsvRow = (row) => {
+  const record = {};
+
+  for (const [column, cell] of Object.entries(row)) {
+    const value = cell.trim();
+    if (value === '') continue;
+
+    if (column === 'tags') {
+      try {
+        record.tags = value.startsWith('[') ? JSON.parse(value) : value.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+      } catch (error) {
+        record.tags = value;
+      }
+    } else {
+      record[column] = value;
+    }
+  }
+
+  return record;
+};
+
+/**
+ * Raw project records from an uploaded file's text
+ * JSON may be an export document or a bare array of projects.
+ * Throws an Error with a client-facing message when the file can't be read.
+ */
+const readImportFile = (format, content) => {
+  let records;
+
+  if (format === 'csv') {
+    try {
+      records = parseCsv(content).map(fromCsvRow);
+    } catch (error) {
+      throw new Error(`Invalid CSV: ${error.message}`);
+    }
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    records = Array.isArray(parsed) ? parsed : parsed?.projects;
+    if (!Array.isArray(records)) throw new Error('JSON must be an export document or an array of projects');
+  }
+
+  if (!records.length) throw new Error('The file has no projects');
+  if (records.length > MAX_IMPORT_PROJECTS) {
+    throw new Error(`At most ${MAX_IMPORT_PROJECTS} projects can be imported at once`);
+  }
+
+  return records;
+};
+
+// Task ids in a file only link tasks to each other; they are replaced on import
+const checkTaskLinks = (tasks, errors) => {
+  const ids = new Set();
+
+  tasks.forEach((task, index) => {
+    if (!task.id) return;
+    if (ids.has(task.id)) errors.push({ field: `tasks[${index}].id`, message: 'is used by another task' });
+    ids.add(task.id);
+  });
+
+  tasks.forEach((task, index) => {
+    if (task.parent_id && !ids.has(task.parent_id)) {
+      errors.push({ field: `tasks[${index}].parent_id`, message: 'must be the id of a task in this project' });
+    } else if (task.parent_id && createsCycle(tasks, task.id, task.parent_id)) {
+      errors.push({ field: `tasks[${index}].parent_id`, message: 'would make the task its own ancestor' });
+    }
+    (task.depends_on || []).forEach((id, position) => {
+      if (!ids.has(id)) {
+        errors.push({ field: `tasks[${index}].depends_on[${position}]`, message: 'must be the id of a task in this project' });
+      }
+    });
+  });
+};
+
+/**
+ * Validate records against `rules` (schemas/transfer.js)
+ * Returns { records, errors } with the coerced records and errors as
+ * { row, field, message }, rows numbered from 1 (after the header in a CSV).
+ */
+const prepareImport = (records, rules) => {
+  const prepared = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ row, field: null, message: 'must be an object' });
+      return;
+    }
+
+    const { errors: rowErrors, value } = validateFields(record, rules);
+    if (!rowErrors.length && value.tasks) checkTaskLinks(value.tasks, rowErrors);
+
+    errors.push(...rowErrors.map(error => ({ row, field: error.field, message: error.message })));
+    prepared.push(value);
+  });
+
+  return { records: prepared, errors };
+};
+
+/**
+ * The projects insert row for a checked record
+ */
+const toProjectRow = (userId, record) => ({ ...pick(record, PROJECT_IMPORT_FIELDS), user_id: userId });
+
+/**
+ * Task and milestone insert rows for a newly created project
+ * Task ids are regenerated and parent/dependency links remapped to them;
+ * assignees are dropped since they may not exist here. Insert the tasks in
+ * one statement so parents and subtasks land together.
+ */
+const toChildRows = (projectId, record) => {
+  const tasks = record.tasks || [];
+  const newIds = new Map(tasks.filter(task => task.id).map(task => [task.id, crypto.randomUUID()]));
+
+  const taskRows = tasks.map(task => ({
+    ...pick(task, TASK_IMPORT_FIELDS),
+    id: newIds.get(task.id) || crypto.randomUUID(),
+    project_id: projectId,
+    parent_id: newIds.get(task.parent_id) || null,
+    depends_on: (task.depends_on || []).map(id => newIds.get(id)).filter(Boolean)
+  }));
+
+  const milestoneRows = (record.milestones || []).map((milestone, index) => ({
+    position: index,
+    ...pick(milestone, MILESTONE_IMPORT_FIELDS),
+    project_id: projectId
+  }));
+
+  return { taskRows, milestoneRows };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  MAX_IMPORT_PROJECTS,
+  loadProjectDetails,
+  toExportDocument,
+  toProjectCsv,
+  toMarkdownReport,
+  exportFilename,
+  readImportFile,
+  prepareImport,
+  toProjectRow,
+  toChildRows
+};
@@ -0,0 +1,30 @@
+const { purgeTrashedBefore } = require('./repositories/projects');
+
+/**
+ * Project trash
+ * Deleting a project sets deleted_at; it is purged for good once it has
+ * been in the trash longer than the retention period.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * When a project trashed at `deletedAt` will be purged (ISO string)
+ */
+const purgeAfter = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+};
+
+/**
+ * Permanently delete projects trashed before the retention cutoff
+ * Child rows go with them via ON DELETE CASCADE. Returns the purged ids.
+ */
+const purgeExpiredProjects = async (supabase, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+  return purgeTrashedBefore(supabase, cutoff);
+};
+
+module.exports = { TRASH_RETENTION_DAYS, purgeAfter, purgeExpiredProjects };
@@ -0,0 +1,155 @@
+/**
+ * AI usage accounting
+ * lib/ai records one `ai_usage` row per model call through the recorder
+ * created here; the admin reports aggregate those rows.
+ */
+
+const { logger } = require('./logger');
+
+const USAGE_GROUPS = ['day', 'user', 'route', 'project', 'model'];
+
+// PostgREST caps rows per request, so reports read in batches
+const BATCH_SIZE = 1000;
+
+// USD per million tokens; extend or override with AI_MODEL_PRICING
+const DEFAULT_PRICING = {
+  'gemini-3-flash-preview': { input: 0.5, output: 3 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  mock: { input: 0, output: 0 }
+};
+
+// A malformed override leaves the defaults in place rather than stopping the server
+const loadPricing = () => {
+  if (!process.env.AI_MODEL_PRICING) return DEFAULT_PRICING;
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_MODEL_PRICING) };
+  } catch (error) {
+    logger.error('Invalid AI_MODEL_PRICING, using the default prices', { error });
+    return DEFAULT_PRICING;
+  }
+};
+
+const PRICING = loadPricing();
+
+/**
+ * Cost of one call in USD, or null when the model has no price configured
+ */
+const costOf = (row) => {
+  const price = PRICING[row.model];
+  if (!price) return null;
+  return (row.prompt_tokens * price.input + row.completion_tokens * price.output) / 1e6;
+};
+
+/**
+ * Recorder for ai.setUsageRecorder that writes to the ai_usage table
+ */
+const createUsageRecorder = (supabase) => async (entry) => {
+  const { error } = await supabase
+    .from('ai_usage')
+    .insert(entry);
+
+  if (error) throw error;
+};
+
+const applyFilters = (query, filters) => {
+  query = query.gte('created_at', filters.from).lte('created_at', filters.to);
+  if (filters.userId) query = query.eq('user_id', filters.userId);
+  if (filters.route) query = query.eq('route', filters.route);
+  if (filters.projectId) query = query.eq('project_id', filters.projectId);
+  return query;
+};
+
+/**
+ * All usage rows in a date range (ISO strings), oldest first
+ */
+const fetchUsage = async (supabase, filters) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data, error } = await applyFilters(
+      supabase.from('ai_usage').select('*'),
+      filters
+    )
+      .order('created_at', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < BATCH_SIZE) return rows;
+  }
+};
+
+const GROUP_KEYS = {
+  day: row => row.created_at.slice(0, 10),
+  user: row => row.user_id || 'anonymous',
+  route: row => row.route || 'unknown',
+  project: row => row.project_id || 'none',
+  model: row => `${row.provider}/${row.model}`
+};
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Totals per group: requests, errors, tokens, average latency and cost
+ */
+const aggregateUsage = (rows, groupBy) => {
+  const keyOf = GROUP_KEYS[groupBy];
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = keyOf(row);
+    const group = groups.get(key) || {
+      [groupBy]: key,
+      requests: 0,
+      errors: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      latency_ms: 0,
+      cost_usd: 0,
+      unpriced_requests: 0
+    };
+
+    const cost = costOf(row);
+
+    group.requests++;
+    if (row.status === 'error') group.errors++;
+    group.prompt_tokens += row.prompt_tokens;
+    group.completion_tokens += row.completion_tokens;
+    group.total_tokens += row.total_tokens;
+    group.latency_ms += row.latency_ms;
+    if (cost === null) group.unpriced_requests++;
+    else group.cost_usd += cost;
+
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .map(({ latency_ms, ...group }) => ({
+      ...group,
+      avg_latency_ms: Math.round(latency_ms / group.requests),
+      cost_usd: roundCost(group.cost_usd)
+    }))
+    .sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])));
+};
+
+/**
+ * Grand totals across report rows
+ */
+const totalUsage = (report) => report.reduce((totals, row) => ({
+  requests: totals.requests + row.requests,
+  errors: totals.errors + row.errors,
+  total_tokens: totals.total_tokens + row.total_tokens,
+  cost_usd: roundCost(totals.cost_usd + row.cost_usd)
+}), { requests: 0, errors: 0, total_tokens: 0, cost_usd: 0 });
+
+module.exports = {
+  USAGE_GROUPS,
+  costOf,
+  createUsageRecorder,
+  fetchUsage,
+  aggregateUsage,
+  totalUsage
+};
@@ -0,0 +1,190 @@
+/**
+ * Declarative request validation
+ *
+ * A route schema describes `params`, `query` and `body` as maps of field
+ * rules, plus `summary`, `tags`, `response`, `stream` (supports SSE), `csv` and
+ * `contentType` (one or more types, no JSON envelope) for the API docs
+ * (lib/openapi.js):
+ *
+ *   {
+ *     summary: 'Create a project',
+ *     params: { id: { type: 'string', format: 'uuid', required: true } },
+ *     body: { name: { type: 'string', required: true, maxLength: 200 } }
+ *   }
+ *
+ * Rules: type (string, integer, number, boolean, array, object), required,
+ * nullable, default, enum, trim, minLength, maxLength, format (uuid, email,
+ * date, date-time, uri), min, max, items, minItems, maxItems, properties,
+ * description.
+ *
+ * Values are coerced where it is unambiguous: numeric and boolean strings
+ * anywhere, and comma-separated strings to arrays in params and query.
+ */
+
+const FORMATS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+  uri: /^https?:\/\/\S+$/i
+};
+
+const FORMAT_NAMES = {
+  uuid: 'a UUID',
+  email: 'an email address',
+  date: 'a date (YYYY-MM-DD)',
+  'date-time': 'an ISO 8601 date or timestamp',
+  uri: 'an http(s) URL'
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const coerce = (value, rule, location) => {
+  if (typeof value !== 'string') return value;
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const number = Number(value);
+    return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+  }
+  if (rule.type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  if (rule.type === 'array' && location !== 'body') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+};
+
+/**
+ * Check one value against a rule
+ * Pushes { field, message } into `errors` and returns the normalized value
+ */
+const checkValue = (value, rule, field, errors, location) => {
+  const fail = (message) => {
+    errors.push({ location, field, message });
+    return value;
+  };
+
+  if (value === undefined) {
+    if (rule.required) return fail('is required');
+    return rule.default;
+  }
+  if (value === null) {
+    return rule.nullable ? null : fail('must not be null');
+  }
+
+  value = coerce(value, rule, location);
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.trim) value = value.trim();
+      if (rule.required && !value.length) return fail('must not be empty');
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(`must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.format && !(FORMATS[rule.format].test(value) &&
+        (!rule.format.startsWith('date') || !Number.isNaN(Date.parse(value))))) {
+        return fail(`must be ${FORMAT_NAMES[rule.format]}`);
+      }
+      break;
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || Number.isNaN(value)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(`must have at least ${rule.minItems} items`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        value = value.map((item, i) => checkValue(item, rule.items, `${field}[${i}]`, errors, location));
+      }
+      break;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (rule.properties) value = checkFields(value, rule.properties, errors, location, `${field}.`);
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Check an object's known fields; unknown fields pass through untouched
+ */
+const checkFields = (input, fields, errors, location, prefix = '') => {
+  const output = { ...input };
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkValue(input[name], rule, `${prefix}${name}`, errors, location);
+    if (value === undefined) delete output[name];
+    else output[name] = value;
+  }
+
+  return output;
+};
+
+/**
+ * Validate a request against a route schema
+ * Returns { errors, values } where values holds the coerced params/query/body
+ */
+const validateRequest = (schema, req) => {
+  const errors = [];
+  const values = {};
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+    values[location] = checkFields(req[location] || {}, schema[location], errors, location);
+  }
+
+  return { errors, values };
+};
+
+/**
+ * Validate a plain object against a map of field rules, e.g. one row of
+ * an import file. Returns { errors, value } like validateRequest.
+ */
+const validateFields = (input, fields, location = 'body') => {
+  const errors = [];
+  const value = checkFields(input, fields, errors, location);
+  return { errors, value };
+};
+
+/**
+ * One-line summary of field errors for the `error` message
+ */
+const describeErrors = (errors) => {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+};
+
+module.exports = { FORMATS, validateRequest, validateFields, describeErrors };
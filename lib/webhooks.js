@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Outgoing webhooks
+ * Events are written to webhook_deliveries first and then sent, so a
+ * delivery that fails (or a serverless function that stops early) is
+ * picked up again by processDueDeliveries with exponential backoff.
+ *
+ * Requests carry:
+ *   X-Nexus-Event: project.updated
+ *   X-Nexus-Delivery: <delivery id>
+ *   X-Nexus-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+ */
+
+const WEBHOOK_EVENTS = [
+  'project.created',
+  'project.updated',
+  'project.deleted',
+  'project.status_changed',
+  'roadmap.generated'
+];
+
+// Sent by the test endpoint only; not subscribable
+const PING_EVENT = 'ping';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+// Consecutive failed attempts before a webhook is switched off
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 15;
+const TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Loopback, private, link-local (cloud metadata), CGNAT and other reserved ranges.
+// IPv4 rules also match IPv4-mapped IPv6 addresses such as ::ffff:7f00:1.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// For local development against a webhook receiver on this machine or network
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// '[::1]' -> '::1'
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+const privateHostError = () => Object.assign(new Error('Webhook URL resolves to a private address'), { code: 'private_address' });
+
+/**
+ * dns.lookup that refuses private addresses
+ * Used when connecting, so a name can't pass the URL check and then
+ * resolve somewhere internal.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!ALLOW_PRIVATE_HOSTS && addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(privateHostError());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Reason a webhook URL is not acceptable, or null
+ * Names are resolved so an obviously internal target is refused up front;
+ * every delivery checks the addresses again as it connects.
+ */
+const checkWebhookUrl = async (value) => {
+  const url = new URL(value);
+  const httpAllowed = process.env.NODE_ENV !== 'production';
+  if (url.protocol !== 'https:' && !(httpAllowed && url.protocol === 'http:')) return 'Webhook URLs must use https';
+  if (ALLOW_PRIVATE_HOSTS) return null;
+
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return 'Webhook URL host could not be resolved';
+  }
+
+  if (addresses.some(entry => !isPublicAddress(entry.address))) return 'Webhook URLs must point to a public host';
+  return null;
+};
+
+/**
+ * POST `body` to `url` through publicLookup, without following redirects
+ * Resolves to { status, ok, text } with at most RESPONSE_BODY_LIMIT characters of the body
+ */
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const host = hostOf(target);
+
+  // Literal IPs skip the lookup, so they're checked here
+  if (!ALLOW_PRIVATE_HOSTS && net.isIP(host) && !isPublicAddress(host)) return reject(privateHostError());
+
+  const timer = setTimeout(() => {
+    request.destroy(Object.assign(new Error('Timed out'), { name: 'TimeoutError' }));
+  }, TIMEOUT_MS);
+
+  const fail = (error) => {
+    clearTimeout(timer);
+    reject(error);
+  };
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup
+  }, (response) => {
+    let text = '';
+    const finish = () => {
+      clearTimeout(timer);
+      const status = response.statusCode;
+      resolve({ status, ok: status >= 200 && status < 300, text: text.slice(0, RESPONSE_BODY_LIMIT) });
+    };
+
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+      // Enough for the delivery log; don't wait for the rest
+      if (text.length >= RESPONSE_BODY_LIMIT) {
+        response.destroy();
+        finish();
+      }
+    });
+    response.on('end', finish);
+    response.on('error', fail);
+  });
+
+  request.on('error', fail);
+  request.end(body);
+});
+
+// Delay before attempt n + 1 after n failed attempts: 30s, 1m, 2m, 4m, ...
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+/**
+ * POST one delivery and record the outcome
+ * Returns the updated delivery row
+ */
+const attemptDelivery = async (supabase, webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const result = { attempts, response_status: null, response_body: null, error: null };
+
+  try {
+    const response = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Nexus-Webhooks/1.0',
+      'X-Nexus-Event': delivery.event,
+      'X-Nexus-Delivery': delivery.id,
+      'X-Nexus-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+    }, body);
+
+    result.response_status = response.status;
+    result.response_body = response.text;
+    if (!response.ok) result.error = `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    result.error = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : error.message;
+  }
+
+  const succeeded = !result.error;
+  // Pings get one attempt and don't count towards disabling the webhook
+  const isPing = delivery.event === PING_EVENT;
+  const final = succeeded || isPing || attempts >= MAX_ATTEMPTS;
+  const updates = {
+    ...result,
+    status: succeeded ? 'success' : final ? 'failed' : 'pending',
+    next_attempt_at: final ? null : new Date(Date.now() + retryDelayMs(attempts)).toISOString(),
+    delivered_at: succeeded ? new Date().toISOString() : null
+  };
+
+  const { data: updated, error } = await supabase
+    .from('webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (!isPing) await recordOutcome(supabase, webhook, succeeded);
+  return updated;
+};
+
+/**
+ * Track consecutive failures and switch the webhook off when they pile up
+ */
+const recordOutcome = async (supabase, webhook, succeeded) => {
+  const failures = succeeded ? 0 : webhook.consecutive_failures + 1;
+  if (failures === webhook.consecutive_failures) return;
+
+  const updates = { consecutive_failures: failures };
+  if (failures >= DISABLE_AFTER_FAILURES) {
+    Object.assign(updates, {
+      enabled: false,
+      disabled_at: new Date().toISOString(),
+      disabled_reason: `Disabled after ${failures} consecutive failed deliveries`
+    });
+  }
+
+  const { error } = await supabase
+    .from('webhooks')
+    .update(updates)
+    .eq('id', webhook.id);
+
+  if (error) throw error;
+  Object.assign(webhook, updates);
+};
+
+/**
+ * Queue a delivery row for a webhook
+ * The caller attempts it right away; next_attempt_at only comes due if
+ * that attempt never gets recorded.
+ */
+const queueDelivery = async (supabase, webhook, event, data) => {
+  const id = crypto.randomUUID();
+  const { data: delivery, error } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      id,
+      webhook_id: webhook.id,
+      event,
+      payload: { id, event, created_at: new Date().toISOString(), data },
+      next_attempt_at: event === PING_EVENT ? null : new Date(Date.now() + retryDelayMs(1)).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return delivery;
+};
+
+/**
+ * Send `event` to the enabled webhooks of `userIds` that subscribe to it
+ * The first attempt happens right away; failures are retried later.
+ */
+const emitEvent = async (supabase, { event, userIds, data }) => {
+  const { data: webhooks, error } = await supabase
+    .from('webhooks')
+    .select('*')
+    .in('user_id', [...new Set(userIds)])
+    .eq('enabled', true)
+    .contains('events', [event]);
+
+  if (error) throw error;
+
+  await Promise.all(webhooks.map(async (webhook) => {
+    const delivery = await queueDelivery(supabase, webhook, event, data);
+    await attemptDelivery(supabase, webhook, delivery);
+  }));
+};
+
+/**
+ * Send a ping to one webhook and return the delivery
+ * A failed ping is final: it isn't retried
+ */
+const sendTestEvent = async (supabase, webhook) => {
+  const delivery = await queueDelivery(supabase, webhook, PING_EVENT, {
+    webhook_id: webhook.id,
+    message: 'Test event from Nexus'
+  });
+  return attemptDelivery(supabase, webhook, delivery);
+};
+
+/**
+ * Retry pending deliveries that are due, oldest first
+ * Deliveries for disabled webhooks wait until it is enabled again.
+ * Returns the number attempted.
+ */
+const processDueDeliveries = async (supabase, limit = 50) => {
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook:webhooks!inner(*)')
+    .eq('status', 'pending')
+    .eq('webhook.enabled', true)
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  // Sequential and sharing one webhook object, so failure counts stay current
+  const webhooks = new Map();
+  let attempted = 0;
+
+  for (const { webhook: row, ...delivery } of deliveries) {
+    if (!webhooks.has(row.id)) webhooks.set(row.id, row);
+    const webhook = webhooks.get(row.id);
+    if (!webhook.enabled) continue;
+
+    await attemptDelivery(supabase, webhook, delivery);
+    attempted++;
+  }
+
+  return attempted;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  checkWebhookUrl,
+  emitEvent,
+  sendTestEvent,
+  processDueDeliveries
+};
@@ -1,3 +1,6 @@
+const { recordAdminAction } = require('../lib/repositories/adminActions');
+const { logger } = require('../lib/logger');
+
 /**
  * Admin-only middleware
  * Must be used AFTER verifyAuth middleware
@@ -14,28 +17,23 @@ const requireAdmin = (req, res, next) => {
   if (!req.isAdmin) {
     return res.status(403).json({ 
       success: false, 
-      error: 'Admin access required. This action is restricted to administrators.' 
+      error: 'Admin access required. This action is restricted to administrators.',
+      code: 'admin_required' 
     });
   }
 
   next();
 };
+requireAdmin.docs = { admin: true };
 
 /**
  * Log admin actions to database
  */
 const logAdminAction = async (supabase, adminId, action, details = {}) => {
   try {
-    await supabase
-      .from('admin_actions')
-      .insert({
-        admin_id: adminId,
-        action_type: action,
-        details: details,
-        ip_address: details.ip || null
-      });
+    await recordAdminAction(supabase, { adminId, action, details, ip: details.ip || null });
   } catch (error) {
-    console.error('Error logging admin action:', error);
+    logger.error('Error logging admin action', { error });
   }
 };
 
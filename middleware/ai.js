@@ -0,0 +1,320 @@
+const ai = require('../lib/ai');
+const { DEFAULT_PROVIDER, isProviderAllowed } = ai;
+const { cacheKey, withCache } = require('../lib/ai/cache');
+const { MAX_INPUT_CHARS, SAFETY_MODE, screenInputs, screenOutput } = require('../lib/ai/safety');
+const { AD_HOC_HISTORY_TURNS } = require('../lib/conversations');
+const { recordModerationEvent } = require('../lib/moderation');
+const { openEventStream } = require('../lib/sse');
+const { logger } = require('../lib/logger');
+const { supabase } = require('./auth');
+const { chargeTokens } = require('./rateLimit');
+const { getRouteLabel } = require('./requestContext');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Pick the AI provider for this request
+ * Honors an `X-AI-Provider` header or `provider` body field,
+ * limited to the providers allowed by configuration.
+ * Sets req.aiProvider
+ */
+const selectProvider = (req, res, next) => {
+  const requested = (req.get('x-ai-provider') || req.body?.provider || '').toLowerCase();
+
+  if (!requested) {
+    req.aiProvider = DEFAULT_PROVIDER;
+    return next();
+  }
+
+  if (!isProviderAllowed(requested)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `AI provider "${requested}" is not available`,
+      code: 'provider_not_available' 
+    });
+  }
+
+  req.aiProvider = requested;
+  next();
+};
+selectProvider.docs = { aiProvider: true };
+
+// The project a request is about: a project route's, or a saved one sent inline
+const getRequestProjectId = (req) => {
+  const bodyProjectId = req.body?.project?.id;
+  return req.project?.id || (UUID_PATTERN.test(bodyProjectId) ? bodyProjectId : null);
+};
+
+/**
+ * Write a moderation event for this request (see lib/moderation.js)
+ */
+const recordModeration = (req, { stage, action, flags, excerpt }) => {
+  logger.warn(`AI ${stage} ${action}`, { flags });
+
+  return recordModerationEvent(supabase, {
+    userId: req.user?.id,
+    ip: req.ip,
+    projectId: getRequestProjectId(req),
+    conversationId: req.body?.conversationId,
+    route: getRouteLabel(req),
+    requestId: req.id,
+    stage,
+    action,
+    flags,
+    excerpt
+  });
+};
+
+/**
+ * User-supplied text that ends up in this request's prompt
+ */
+const collectUserContent = (req) => {
+  const body = req.body || {};
+  const project = body.project || req.project;
+  const texts = [];
+
+  if (project) texts.push(project.name, project.description, ...(project.tags || []));
+  if (body.message) texts.push(body.message);
+  // Saved conversations use the stored history, which was screened as it was sent
+  if (!body.conversationId) {
+    texts.push(...(body.conversationHistory || []).slice(-AD_HOC_HISTORY_TURNS).map(turn => turn.content));
+  }
+
+  return texts.filter(text => typeof text === 'string' && text);
+};
+
+/**
+ * Check the user-supplied text of an AI request before it reaches a prompt
+ * Rejects more than AI_MAX_INPUT_CHARS in total, and known prompt-injection
+ * phrasings unless AI_SAFETY_MODE=flag. Flagged requests are recorded either way.
+ * Must be used AFTER validate (and requireProjectRole on project routes)
+ */
+const screenPrompt = async (req, res, next) => {
+  const texts = collectUserContent(req);
+  const size = texts.reduce((total, text) => total + text.length, 0);
+
+  if (size > MAX_INPUT_CHARS) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Too much text for one AI request (${size} characters, the limit is ${MAX_INPUT_CHARS})`,
+      code: 'input_too_long' 
+    });
+  }
+
+  const flags = screenInputs(texts);
+  if (!flags.length) return next();
+
+  const blocked = SAFETY_MODE === 'block';
+  const excerpt = texts.filter(text => screenInputs([text]).length).join('\n---\n');
+  await recordModeration(req, { stage: 'input', action: blocked ? 'blocked' : 'flagged', flags, excerpt });
+
+  if (!blocked) return next();
+
+  res.status(422).json({ 
+    success: false, 
+    error: 'This request looks like an attempt to override the assistant\'s instructions',
+    code: 'unsafe_input' 
+  });
+};
+screenPrompt.docs = { moderated: true };
+
+/**
+ * onOutput hook for lib/ai: records a flagged response and, unless
+ * AI_SAFETY_MODE=flag, withholds it by throwing an unsafe_output error
+ * Synchronous, so streams can call it from onChunk (recording runs in the background)
+ */
+const screenResponse = (req) => (text) => {
+  const flags = screenOutput(text);
+  if (!flags.length) return;
+
+  const blocked = SAFETY_MODE === 'block';
+  recordModeration(req, { stage: 'output', action: blocked ? 'blocked' : 'flagged', flags, excerpt: text });
+
+  if (blocked) {
+    const error = new Error(`Response withheld: ${flags.join(', ')}`);
+    error.code = 'unsafe_output';
+    throw error;
+  }
+};
+
+// Everything up to the last sentence end or line break
+const RELEASABLE_TEXT = /^[\s\S]*(?:[.!?]\s|\n)/;
+
+/**
+ * Chunk forwarding for a screened stream
+ * In block mode text is held back until it ends a sentence or line and the
+ * response so far passes screenResponse, so a flagged response stops before
+ * the flagged part reaches the client. `push` throws unsafe_output then,
+ * which ends the generation; `flush` sends the rest once the full text has
+ * been screened. In flag mode chunks go straight through.
+ */
+const createStreamGate = (req, send) => {
+  if (SAFETY_MODE !== 'block') return { push: send, flush: () => {} };
+
+  const screen = screenResponse(req);
+  let released = '';
+  let held = '';
+
+  return {
+    push: (piece) => {
+      held += piece;
+      const ready = held.match(RELEASABLE_TEXT)?.[0];
+      if (!ready) return;
+
+      screen(released + ready);
+      released += ready;
+      held = held.slice(ready.length);
+      send(ready);
+    },
+    flush: () => {
+      if (held) send(held);
+      held = '';
+    }
+  };
+};
+
+/**
+ * AI call options for a request: its provider, token usage charged
+ * to the caller's quota, output screening, and who/what the call is
+ * recorded against
+ */
+const aiOptions = (req, extra = {}) => ({
+  provider: req.aiProvider,
+  onUsage: (usage) => chargeTokens(req, usage),
+  onOutput: screenResponse(req),
+  context: {
+    userId: req.user?.id || null,
+    projectId: getRequestProjectId(req),
+    route: getRouteLabel(req)
+  },
+  ...extra
+});
+
+/**
+ * Full text response from the request's AI provider
+ * Options: see aiOptions
+ */
+const getModelResponse = async (prompt, options = {}) => {
+  const { text } = await ai.generate(prompt, options);
+  return text;
+};
+
+/**
+ * Cache key for this request's AI response (see lib/ai/cache.js)
+ * `name` tells apart what was asked; `inputs` are the values the prompt is built from
+ */
+const aiCacheKey = (req, name, inputs) => {
+  const provider = ai.getProvider(req.aiProvider);
+  return cacheKey({ name, provider: provider.name, model: provider.model, inputs });
+};
+
+// `refresh: true` in the body (or ?refresh=true) asks for a new answer
+const wantsRefresh = (req) => !!(req.body?.refresh || req.query.refresh);
+
+/**
+ * Cached response for this request, running `compute()` on a miss or refresh
+ * Only the caller that runs compute is charged tokens.
+ * Resolves to { value, cached, cachedAt }
+ */
+const getCachedResponse = (req, key, compute) => withCache(key, compute, { refresh: wantsRefresh(req) });
+
+/**
+ * What to tell the client about a failed AI request, as { status, code, message }
+ * Provider messages can carry upstream response bodies, so they stay in the logs.
+ */
+const describeAiError = (error) => {
+  if (error.code === 'invalid_output') {
+    return { status: 502, code: 'invalid_output', message: error.message };
+  }
+  if (error.code === 'unsafe_output') {
+    return { status: 502, code: 'unsafe_output', message: 'The response was withheld by the safety filter. Please try again.' };
+  }
+  if (!error.provider) {
+    return { status: 500, code: 'internal_error', message: 'Internal server error' };
+  }
+  if (error.status === 429) {
+    return { status: 503, code: 'rate_limited', message: 'The AI provider is busy. Please try again shortly.' };
+  }
+  if (error.name === 'GoogleGenerativeAIResponseError') {
+    return { status: 502, code: 'content_blocked', message: 'The AI provider declined to answer this request' };
+  }
+  return { status: 502, code: 'generation_failed', message: 'The AI provider failed to respond' };
+};
+
+/**
+ * Log a failed AI request and answer with its describeAiError status and code
+ */
+const sendAiError = (res, error, label = 'AI request error') => {
+  const { status, code, message } = describeAiError(error);
+  logger.error(label, { error });
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    code,
+    ...(code === 'invalid_output' ? { details: error.details } : {})
+  });
+};
+
+const NO_USAGE = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+/**
+ * Send a model response as Server-Sent Events
+ * Events: `chunk` { text }, `done` { text, usage }, `error` { code, message }
+ * `onComplete(text)` may return extra fields for the `done` event
+ * With `cacheKey` the response goes through the cache: a cached response,
+ * or one an identical request is already generating, is replayed as a
+ * single chunk once ready. `done` then also carries { cached, cachedAt }.
+ */
+const sendModelStream = async (req, res, prompt, { onComplete, cacheKey: key } = {}) => {
+  const stream = openEventStream(req, res);
+
+  // This request's own model call, streamed as it passes screening
+  let usage = NO_USAGE;
+  const generate = async () => {
+    const gate = createStreamGate(req, (text) => stream.send('chunk', { text }));
+    const result = await ai.stream(prompt, aiOptions(req, {
+      signal: stream.signal,
+      onChunk: gate.push
+    }));
+    gate.flush();
+    usage = result.usage;
+    return result.text;
+  };
+
+  try {
+    if (!key) {
+      const text = await generate();
+      const extra = onComplete ? await onComplete(text) : {};
+      stream.send('done', { text, usage, ...extra });
+      return;
+    }
+
+    const { value: text, cached, cachedAt } = await getCachedResponse(req, key, generate);
+    if (cached) stream.send('chunk', { text });
+
+    const extra = onComplete ? await onComplete(text) : {};
+    stream.send('done', { text, usage: cached ? NO_USAGE : usage, cached, cachedAt, ...extra });
+  } catch (error) {
+    // Client went away - nothing left to tell them
+    if (stream.signal.aborted) return;
+
+    logger.error('Stream error', { error });
+    const { code, message } = describeAiError(error);
+    stream.send('error', { code, message, request_id: req.id });
+  } finally {
+    stream.close();
+  }
+};
+
+module.exports = {
+  selectProvider,
+  screenPrompt,
+  aiOptions,
+  getModelResponse,
+  aiCacheKey,
+  getCachedResponse,
+  describeAiError,
+  sendAiError,
+  sendModelStream
+};
@@ -0,0 +1,161 @@
+const { getBackend } = require('../lib/db');
+const { isAccessToken, findAccessToken } = require('../lib/accessTokens');
+const { findProfile } = require('../lib/repositories/profiles');
+const { logger } = require('../lib/logger');
+const { routeAcceptsTokens } = require('./scopes');
+
+// Shared service-role client of the configured data backend
+const supabase = getBackend().client;
+
+/**
+ * The user behind a bearer token: a Supabase session JWT or a personal access token
+ * Returns { user, scopes } (scopes is null for sessions), or null if the token is invalid
+ */
+const resolveBearerToken = async (token) => {
+  if (isAccessToken(token)) {
+    const accessToken = await findAccessToken(supabase, token);
+    if (!accessToken) return null;
+
+    const { data, error } = await supabase.auth.admin.getUserById(accessToken.user_id);
+    if (error || !data?.user) return null;
+
+    return { user: data.user, scopes: accessToken.scopes };
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) return null;
+
+  return { user, scopes: null };
+};
+
+/**
+ * Verify the bearer token (session JWT or personal access token)
+ * Attaches req.user, req.profile, req.isAdmin and req.tokenScopes
+ */
+const verifyAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'No authorization token provided' 
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const resolved = await resolveBearerToken(token);
+
+    if (!resolved) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or expired token' 
+      });
+    }
+
+    const { user, scopes } = resolved;
+
+    if (scopes && !routeAcceptsTokens(req)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Personal access tokens cannot be used for this route',
+        code: 'token_not_allowed' 
+      });
+    }
+
+    const profile = await findProfile(supabase, user.id);
+
+    if (!profile) {
+      logger.error('Error fetching profile: no profile for user', { user_id: user.id });
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Error fetching user profile' 
+      });
+    }
+
+    if (profile.suspended_at) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'This account has been suspended',
+        code: 'account_suspended' 
+      });
+    }
+
+    req.user = user;
+    req.profile = profile;
+    req.isAdmin = profile.is_admin || false;
+    req.tokenScopes = scopes;
+
+    next();
+  } catch (error) {
+    logger.error('Auth middleware error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Authentication error' 
+    });
+  }
+};
+verifyAuth.docs = { auth: 'required' };
+
+/**
+ * Optional auth - doesn't fail if no token
+ * Useful for public endpoints that want to know if user is logged in
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      req.user = null;
+      req.profile = null;
+      req.isAdmin = false;
+      return next();
+    }
+
+    const token = authHeader.split(' ')[1];
+    const resolved = await resolveBearerToken(token);
+
+    if (!resolved) {
+      req.user = null;
+      req.profile = null;
+      req.isAdmin = false;
+      return next();
+    }
+
+    const { user, scopes } = resolved;
+
+    // A valid token that isn't allowed here is an error, not an anonymous request
+    if (scopes && !routeAcceptsTokens(req)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Personal access tokens cannot be used for this route',
+        code: 'token_not_allowed' 
+      });
+    }
+
+    const profile = await findProfile(supabase, user.id);
+
+    // Suspended accounts are treated as anonymous
+    if (profile?.suspended_at) {
+      req.user = null;
+      req.profile = null;
+      req.isAdmin = false;
+      return next();
+    }
+
+    req.user = user;
+    req.profile = profile;
+    req.isAdmin = profile?.is_admin || false;
+    req.tokenScopes = scopes;
+
+    next();
+  } catch (error) {
+    req.user = null;
+    req.profile = null;
+    req.isAdmin = false;
+    next();
+  }
+};
+optionalAuth.docs = { auth: 'optional' };
+
+module.exports = { verifyAuth, optionalAuth, supabase };
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Scheduled-job middleware
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; anything else is rejected.
+ */
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return res.status(503).json({ 
+      success: false, 
+      error: 'Scheduled jobs are not configured',
+      code: 'cron_not_configured' 
+    });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(req.get('authorization') || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Invalid cron secret' 
+    });
+  }
+
+  next();
+};
+requireCronSecret.docs = { auth: 'cron' };
+
+module.exports = { requireCronSecret };
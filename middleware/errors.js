@@ -0,0 +1,102 @@
+const { logger } = require('../lib/logger');
+
+/**
+ * Error responses
+ * Every error is JSON: { success: false, error, code, request_id }. `error`
+ * is for people and may change; `code` is stable for clients to branch on.
+ * Routes that don't pick a code get the one for their status.
+ */
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'service_unavailable'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+/**
+ * An error to hand to next() or throw from middleware; the error handler
+ * sends it with this status, code and message
+ */
+const httpError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+};
+
+/**
+ * Add `code` and `request_id` to error bodies sent with res.json
+ * Register before the routes.
+ */
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && body.success === false) {
+      body = { ...body, code: body.code || codeForStatus(res.statusCode), request_id: req.id };
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+/**
+ * 404 for requests no route matched; register after the routes
+ */
+const notFound = (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: `No route for ${req.method} ${req.path}`,
+    code: 'route_not_found'
+  });
+};
+
+// What express.json() and the errors above report, as { status, code, message } for the client
+const describeError = (error) => {
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', message: 'Request body is not valid JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'payload_too_large', message: 'Request body is too large' };
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: error.code || codeForStatus(error.status), message: error.message };
+  }
+  return { status: 500, code: 'internal_error', message: 'Internal server error' };
+};
+
+/**
+ * Last-resort handler for errors passed to next() or thrown by middleware
+ * Only client errors explain themselves; anything else is logged and
+ * answered with a generic 500. Register last; Express spots error
+ * handlers by their four arguments, so `next` stays.
+ */
+const errorHandler = (error, req, res, next) => {
+  const { status, code, message } = describeError(error);
+
+  if (status >= 500) logger.error('Unhandled error', { error });
+  else logger.warn('Request rejected', { code, error: error.message });
+
+  // Too late for a JSON answer; Express closes the connection
+  if (res.headersSent) return next(error);
+
+  res.status(status).json({
+    success: false,
+    error: message,
+    code
+  });
+};
+
+module.exports = { STATUS_CODES, httpError, errorEnvelope, notFound, errorHandler };
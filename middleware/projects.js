@@ -0,0 +1,48 @@
+const { supabase } = require('./auth');
+const { getProjectAccess } = require('../lib/repositories/projects');
+const { logger } = require('../lib/logger');
+
+// Project roles, weakest first. The owner is projects.user_id; everyone else is in project_members
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Require at least `minimumRole` on the project in req.params.id
+ * Must be used AFTER verifyAuth. Attaches req.project and req.projectRole
+ */
+const requireProjectRole = (minimumRole) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const access = await getProjectAccess(supabase, req.params.id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Project not found or access denied' 
+        });
+      }
+
+      if (PROJECT_ROLES.indexOf(access.role) < PROJECT_ROLES.indexOf(minimumRole)) {
+        return res.status(403).json({ 
+          success: false, 
+          error: `This action requires ${minimumRole} access to the project`,
+          code: 'project_role_required' 
+        });
+      }
+
+      req.project = access.project;
+      req.projectRole = access.role;
+      next();
+    } catch (error) {
+      logger.error('Project access error', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to check project access' 
+      });
+    }
+  };
+
+  middleware.docs = { projectRole: minimumRole };
+  return middleware;
+};
+
+module.exports = { PROJECT_ROLES, requireProjectRole };
@@ -0,0 +1,147 @@
+const { createMemoryStore } = require('../lib/rateLimitStore');
+const { PLANS, IP_REQUESTS_PER_MINUTE, getPlanName } = require('../lib/plans');
+const { logger } = require('../lib/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+let store = createMemoryStore();
+
+/**
+ * Swap the counter store (see lib/rateLimitStore.js for the interface)
+ */
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+// Signed-in users are limited per account, everyone else per IP
+const getSubject = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+// Token quotas run per calendar day and month (UTC)
+const getPeriods = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  return {
+    day: { key: now.toISOString().slice(0, 10), resetAt: Date.UTC(year, month, now.getUTCDate() + 1) },
+    month: { key: now.toISOString().slice(0, 7), resetAt: Date.UTC(year, month + 1, 1) }
+  };
+};
+
+const tokenKeys = (subject, periods) => ({
+  day: `tokens:day:${subject}:${periods.day.key}`,
+  month: `tokens:month:${subject}:${periods.month.key}`
+});
+
+const secondsUntil = (timestamp) => Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+
+// `code` is rate_limited for the per-minute windows, quota_exceeded for token quotas
+const sendLimited = (res, error, code, resetAt) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({ 
+    success: false, 
+    error,
+    code 
+  });
+};
+
+/**
+ * Request rate limits and token quotas for AI routes
+ * Must be used AFTER optionalAuth or verifyAuth
+ * Sets RateLimit-* headers for the tightest window that applies
+ */
+const aiRateLimit = async (req, res, next) => {
+  try {
+    const plan = PLANS[getPlanName(req)];
+    const subject = getSubject(req);
+
+    const windows = [{ key: `req:${subject}`, limit: plan.requestsPerMinute }];
+    if (IP_REQUESTS_PER_MINUTE) windows.push({ key: `req:ipcap:${req.ip}`, limit: IP_REQUESTS_PER_MINUTE });
+
+    const counters = await Promise.all(windows.map(window => store.increment(window.key, 1, MINUTE_MS)));
+
+    const tightest = windows
+      .map((window, i) => ({ ...window, remaining: window.limit - counters[i].count, resetAt: counters[i].resetAt }))
+      .sort((a, b) => a.remaining - b.remaining)[0];
+
+    res.set({
+      'RateLimit-Policy': windows.map(window => `${window.limit};w=60`).join(', '),
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(Math.max(0, tightest.remaining)),
+      'RateLimit-Reset': String(secondsUntil(tightest.resetAt))
+    });
+
+    if (tightest.remaining < 0) {
+      return sendLimited(res, 'Too many AI requests. Please slow down and try again shortly.', 'rate_limited', tightest.resetAt);
+    }
+
+    // Quotas are checked before the call and charged after it (see chargeTokens)
+    const periods = getPeriods();
+    const keys = tokenKeys(subject, periods);
+    const [day, month] = await Promise.all([store.get(keys.day), store.get(keys.month)]);
+
+    if ((day?.count || 0) >= plan.tokensPerDay) {
+      return sendLimited(res, 'Daily AI token quota reached. It resets at midnight UTC.', 'quota_exceeded', periods.day.resetAt);
+    }
+    if ((month?.count || 0) >= plan.tokensPerMonth) {
+      return sendLimited(res, 'Monthly AI token quota reached.', 'quota_exceeded', periods.month.resetAt);
+    }
+
+    next();
+  } catch (error) {
+    // A broken counter store shouldn't take the AI routes down with it
+    logger.error('Rate limit error', { error });
+    next();
+  }
+};
+aiRateLimit.docs = { rateLimited: true };
+
+/**
+ * Charge the tokens of a model call to the caller's quotas
+ */
+const chargeTokens = async (req, usage) => {
+  const tokens = usage?.totalTokens || 0;
+  if (!tokens) return;
+
+  const periods = getPeriods();
+  const keys = tokenKeys(getSubject(req), periods);
+
+  await Promise.all([
+    store.increment(keys.day, tokens, periods.day.resetAt - Date.now()),
+    store.increment(keys.month, tokens, periods.month.resetAt - Date.now())
+  ]);
+};
+
+const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+/**
+ * Current limits and consumption for the caller
+ */
+const getUsage = async (req) => {
+  const planName = getPlanName(req);
+  const plan = PLANS[planName];
+  const subject = getSubject(req);
+  const periods = getPeriods();
+  const keys = tokenKeys(subject, periods);
+
+  const [requests, day, month] = await Promise.all([
+    store.get(`req:${subject}`),
+    store.get(keys.day),
+    store.get(keys.month)
+  ]);
+
+  return {
+    plan: planName,
+    requests: {
+      limit: plan.requestsPerMinute,
+      used: requests?.count || 0,
+      windowSeconds: 60,
+      resetsAt: toIso(requests?.resetAt)
+    },
+    tokens: {
+      day: { limit: plan.tokensPerDay, used: day?.count || 0, resetsAt: toIso(periods.day.resetAt) },
+      month: { limit: plan.tokensPerMonth, used: month?.count || 0, resetsAt: toIso(periods.month.resetAt) }
+    }
+  };
+};
+
+module.exports = { aiRateLimit, chargeTokens, getUsage, setRateLimitStore };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+// Incoming ids are kept if they look like ids, so callers can trace a request end to end
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Route pattern a request matched, e.g. /api/projects/:id/tasks, or its
+ * path if none did. Logs use it so ids and secrets in paths stay out of them.
+ */
+const getRouteLabel = (req) => {
+  const path = req.route?.path;
+  if (!path) return req.originalUrl.split('?')[0];
+
+  const routePath = Array.isArray(path) ? path[0] : path;
+  // A router's '/' is its mount path itself
+  return routePath === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${routePath}`;
+};
+
+/**
+ * Give each request an id and log it when the response is done
+ * The id comes from an X-Request-Id header or is generated; it is sent back
+ * in X-Request-Id, set on req.id and attached to everything logged while
+ * the request is handled. Register before the routes.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  res.on('finish', () => {
+    const fields = {
+      request_id: id,
+      method: req.method,
+      route: getRouteLabel(req),
+      status: res.statusCode,
+      duration_ms: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      user_id: req.user?.id || null
+    };
+
+    if (res.statusCode >= 500) logger.error('Request failed', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  logger.withContext({ request_id: id }, next);
+};
+
+module.exports = { requestContext, getRouteLabel };
@@ -0,0 +1,35 @@
+const { hasScope } = require('../lib/accessTokens');
+
+/**
+ * Scopes a personal access token needs for this route
+ * Must be used AFTER verifyAuth or optionalAuth, which set req.tokenScopes
+ * for token requests (null for sessions, which have every scope).
+ * Routes without requireScope don't accept personal access tokens at all.
+ */
+const requireScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    const missing = req.tokenScopes ? scopes.filter(scope => !hasScope(req.tokenScopes, scope)) : [];
+
+    if (missing.length) {
+      return res.status(403).json({ 
+        success: false, 
+        error: `This token is missing the ${missing.join(', ')} scope${missing.length === 1 ? '' : 's'}`,
+        code: 'insufficient_scope' 
+      });
+    }
+
+    next();
+  };
+
+  middleware.docs = { scopes };
+  return middleware;
+};
+
+/**
+ * Does the matched route accept personal access tokens (has a requireScope)?
+ */
+const routeAcceptsTokens = (req) => {
+  return (req.route?.stack || []).some(layer => layer.handle.docs?.scopes);
+};
+
+module.exports = { requireScope, routeAcceptsTokens };
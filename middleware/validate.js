@@ -0,0 +1,38 @@
+const { validateRequest, describeErrors } = require('../lib/validation');
+
+/**
+ * Send a 400 for field-level validation errors
+ * `details` is a list of { location, field, message }
+ */
+const sendValidationError = (res, details) => {
+  return res.status(400).json({
+    success: false,
+    error: `Validation failed: ${describeErrors(details)}`,
+    code: 'validation_failed',
+    details
+  });
+};
+
+/**
+ * Validate params, query and body against a route schema
+ * Replaces them with the coerced values so handlers can trust their types.
+ * The schema is kept on the middleware for the API docs.
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const { errors, values } = validateRequest(schema, req);
+
+    if (errors.length) return sendValidationError(res, errors);
+
+    if (values.params) req.params = values.params;
+    if (values.query) req.query = values.query;
+    if (values.body) req.body = values.body;
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = { validate, sendValidationError };
@@ -0,0 +1,366 @@
+const express = require('express');
+const { verifyAuth, supabase } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { createSessionClient, checkPassword, requestEmailChange, deleteAccount } = require('../lib/account');
+const { logger } = require('../lib/logger');
+const { findProfile, updateProfile } = require('../lib/repositories/profiles');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+router.post('/signup', validate(schemas.auth.signup), async (req, res) => {
+  try {
+    const { email, password, fullName } = req.body;
+
+    const { data, error } = await createSessionClient().auth.signUp({
+      email,
+      password,
+      options: {
+        data: {
+          full_name: fullName || null
+        }
+      }
+    });
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Account created successfully',
+      user: data.user,
+      session: data.session
+    });
+
+  } catch (error) {
+    logger.error('Signup error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Signup failed' 
+    });
+  }
+});
+
+router.post('/login', validate(schemas.auth.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const { data, error } = await createSessionClient().auth.signInWithPassword({
+      email,
+      password
+    });
+
+    if (error) {
+      return res.status(401).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
+    const profile = await findProfile(supabase, data.user.id);
+
+    res.json({ 
+      success: true, 
+      message: 'Login successful',
+      user: data.user,
+      profile: profile,
+      session: data.session
+    });
+
+  } catch (error) {
+    logger.error('Login error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Login failed' 
+    });
+  }
+});
+
+router.post('/logout', validate(schemas.auth.logout), async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.split(' ')[1];
+
+    if (token) {
+      await supabase.auth.admin.signOut(token, 'local');
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Logged out successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Logout error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Logout failed' 
+    });
+  }
+});
+
+router.get('/me', validate(schemas.auth.me), async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'No token provided' 
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid token' 
+      });
+    }
+
+    const profile = await findProfile(supabase, user.id);
+
+    res.json({ 
+      success: true, 
+      user,
+      profile 
+    });
+
+  } catch (error) {
+    logger.error('Get user error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get user' 
+    });
+  }
+});
+
+router.post('/refresh', validate(schemas.auth.refresh), async (req, res) => {
+  try {
+    const { data, error } = await createSessionClient().auth.refreshSession({
+      refresh_token: req.body.refresh_token
+    });
+
+    if (error || !data.session) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or expired refresh token' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      user: data.user,
+      session: data.session 
+    });
+
+  } catch (error) {
+    logger.error('Refresh session error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to refresh session' 
+    });
+  }
+});
+
+router.post('/password/reset', validate(schemas.auth.requestPasswordReset), async (req, res) => {
+  try {
+    const { error } = await supabase.auth.resetPasswordForEmail(req.body.email, {
+      redirectTo: process.env.PASSWORD_RESET_REDIRECT_URL
+    });
+
+    // Same answer either way, so the endpoint can't be used to probe for accounts
+    if (error) logger.error('Password reset email error', { error });
+
+    res.json({ 
+      success: true, 
+      message: 'If an account exists for that email, a reset link is on its way' 
+    });
+
+  } catch (error) {
+    logger.error('Password reset error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to start password reset' 
+    });
+  }
+});
+
+router.post('/password/reset/confirm', validate(schemas.auth.confirmPasswordReset), async (req, res) => {
+  try {
+    const { token_hash, password } = req.body;
+
+    const { data, error } = await createSessionClient().auth.verifyOtp({ token_hash, type: 'recovery' });
+
+    if (error || !data.user) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid or expired reset link' 
+      });
+    }
+
+    const { error: updateError } = await supabase.auth.admin.updateUserById(data.user.id, { password });
+
+    if (updateError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: updateError.message 
+      });
+    }
+
+    // Whoever had the old password is signed out everywhere else
+    await supabase.auth.admin.signOut(data.session.access_token, 'others');
+
+    res.json({ 
+      success: true, 
+      message: 'Password updated',
+      user: data.user,
+      session: data.session 
+    });
+
+  } catch (error) {
+    logger.error('Confirm password reset error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reset password' 
+    });
+  }
+});
+
+// Account changes below only accept sessions (no requireScope), and ask for the password again
+
+router.patch('/password', verifyAuth, validate(schemas.auth.changePassword), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!(await checkPassword(supabase, req.user.email, current_password))) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Current password is incorrect' 
+      });
+    }
+
+    const { error } = await supabase.auth.admin.updateUserById(req.user.id, { password: new_password });
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
+    await supabase.auth.admin.signOut(req.headers.authorization.split(' ')[1], 'others');
+
+    res.json({ 
+      success: true, 
+      message: 'Password changed; other sessions were signed out' 
+    });
+
+  } catch (error) {
+    logger.error('Change password error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to change password' 
+    });
+  }
+});
+
+router.patch('/email', verifyAuth, validate(schemas.auth.changeEmail), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!(await checkPassword(supabase, req.user.email, password))) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Password is incorrect' 
+      });
+    }
+
+    // Invitations are matched by email, so the new address has to be confirmed before it counts
+    const { error } = await requestEmailChange(req.headers.authorization.split(' ')[1], email);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Check your inbox to confirm the new email address' 
+    });
+
+  } catch (error) {
+    logger.error('Change email error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to change email' 
+    });
+  }
+});
+
+router.patch('/profile', verifyAuth, validate(schemas.auth.updateProfile), async (req, res) => {
+  try {
+    const { full_name, avatar_url } = req.body;
+
+    const updates = {};
+    if (full_name !== undefined) updates.full_name = full_name;
+    if (avatar_url !== undefined) updates.avatar_url = avatar_url;
+
+    if (!Object.keys(updates).length) {
+      return res.json({ 
+        success: true, 
+        profile: req.profile 
+      });
+    }
+
+    const profile = await updateProfile(supabase, req.user.id, updates);
+
+    res.json({ 
+      success: true, 
+      profile 
+    });
+
+  } catch (error) {
+    logger.error('Update profile error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update profile' 
+    });
+  }
+});
+
+router.delete('/account', verifyAuth, validate(schemas.auth.deleteAccount), async (req, res) => {
+  try {
+    if (!(await checkPassword(supabase, req.user.email, req.body.password))) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Password is incorrect' 
+      });
+    }
+
+    const deletedProjects = await deleteAccount(supabase, req.user);
+
+    res.json({ 
+      success: true, 
+      message: 'Account deleted',
+      deleted_projects: deletedProjects 
+    });
+
+  } catch (error) {
+    logger.error('Delete account error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete account' 
+    });
+  }
+});
+
+module.exports = router;
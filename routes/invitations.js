@@ -0,0 +1,142 @@
+const express = require('express');
+const { verifyAuth, supabase } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { validate } = require('../middleware/validate');
+const { logger } = require('../lib/logger');
+const { getProjectAccess } = require('../lib/repositories/projects');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// Pending invitation addressed to the current user, or null
+const getOwnInvitation = async (invitationId, user) => {
+  const { data: invitation } = await supabase
+    .from('project_invitations')
+    .select('*, projects!inner(id)')
+    .eq('id', invitationId)
+    .is('projects.deleted_at', null)
+    .eq('email', user.email.toLowerCase())
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .single();
+
+  return invitation || null;
+};
+
+router.get('/', verifyAuth, validate(schemas.projects.listOwnInvitations), requireScope('projects:read'), async (req, res) => {
+  try {
+    const { data: invitations, error } = await supabase
+      .from('project_invitations')
+      .select('id, project_id, role, invited_by, created_at, expires_at, projects!inner(name)')
+      .is('projects.deleted_at', null)
+      .eq('email', req.user.email.toLowerCase())
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      invitations 
+    });
+
+  } catch (error) {
+    logger.error('Get my invitations error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch invitations' 
+    });
+  }
+});
+
+router.post('/:invitationId/accept', verifyAuth, validate(schemas.projects.acceptInvitation), requireScope('projects:write'), async (req, res) => {
+  try {
+    const invitation = await getOwnInvitation(req.params.invitationId, req.user);
+
+    if (!invitation) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invitation not found or expired' 
+      });
+    }
+
+    const access = await getProjectAccess(supabase, invitation.project_id, req.user.id);
+
+    // Already the owner or a member: keep the stronger role
+    if (!access) {
+      const { error: memberError } = await supabase
+        .from('project_members')
+        .insert({
+          project_id: invitation.project_id,
+          user_id: req.user.id,
+          role: invitation.role,
+          invited_by: invitation.invited_by
+        });
+
+      if (memberError) throw memberError;
+    } else if (access.role === 'viewer' && invitation.role === 'editor') {
+      const { error: memberError } = await supabase
+        .from('project_members')
+        .update({ role: 'editor' })
+        .eq('project_id', invitation.project_id)
+        .eq('user_id', req.user.id);
+
+      if (memberError) throw memberError;
+    }
+
+    const { error } = await supabase
+      .from('project_invitations')
+      .update({ status: 'accepted', responded_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Invitation accepted',
+      project_id: invitation.project_id 
+    });
+
+  } catch (error) {
+    logger.error('Accept invitation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to accept invitation' 
+    });
+  }
+});
+
+router.post('/:invitationId/decline', verifyAuth, validate(schemas.projects.declineInvitation), requireScope('projects:write'), async (req, res) => {
+  try {
+    const invitation = await getOwnInvitation(req.params.invitationId, req.user);
+
+    if (!invitation) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invitation not found or expired' 
+      });
+    }
+
+    const { error } = await supabase
+      .from('project_invitations')
+      .update({ status: 'declined', responded_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Invitation declined' 
+    });
+
+  } catch (error) {
+    logger.error('Decline invitation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to decline invitation' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,218 +1,1674 @@
+const crypto = require('crypto');
 const express = require('express');
-const { supabase } = require('../middleware/auth');
-const { verifyAuth } = require('../middleware/auth');
+const { verifyAuth, supabase } = require('../middleware/auth');
+const { selectProvider, screenPrompt, aiOptions, sendAiError } = require('../middleware/ai');
+const { requireProjectRole } = require('../middleware/projects');
+const { aiRateLimit } = require('../middleware/rateLimit');
+const { requireScope } = require('../middleware/scopes');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { TRACKED_FIELDS, diffProjects, recordActivity } = require('../lib/activity');
+const { NEXUS_SYSTEM_PROMPT } = require('../lib/ai/prompts');
+const { generateStructured } = require('../lib/ai/structured');
+const { buildBreakdownPrompt, validateBreakdown, assessCapacity, toTaskRows } = require('../lib/breakdown');
+const {
+  SUMMARY_COLUMNS,
+  findCurrentInsight,
+  diffInsights,
+  countRatings
+} = require('../lib/insights');
+const { logger } = require('../lib/logger');
+const { parseProjectListQuery, encodeCursor } = require('../lib/projects');
+const { findProfiles } = require('../lib/repositories/profiles');
+const {
+  findTrashedProject,
+  listProjectPage,
+  listAccessibleProjects,
+  listTrashedProjects,
+  createProject,
+  updateProject,
+  trashProject,
+  restoreProject,
+  deleteProjects,
+  isProjectMember
+} = require('../lib/repositories/projects');
+const { getPagination } = require('../lib/repositories/query');
+const { validateRoadmap, scheduleRoadmap, toMilestoneRows } = require('../lib/roadmap');
+const { recalculateProjectProgress, nestTasks, createsCycle } = require('../lib/tasks');
+const {
+  loadProjectDetails,
+  toExportDocument,
+  toProjectCsv,
+  toMarkdownReport,
+  exportFilename,
+  readImportFile,
+  prepareImport,
+  toProjectRow,
+  toChildRows
+} = require('../lib/transfer');
+const { TRASH_RETENTION_DAYS, purgeAfter } = require('../lib/trash');
+const { emitEvent } = require('../lib/webhooks');
+const schemas = require('../schemas');
+
 const router = express.Router();
 
-// All routes require authentication
-router.use(verifyAuth);
+/**
+ * Send a webhook event to everyone on the project
+ * Fire-and-forget: failed deliveries are retried by the webhook job
+ */
+const emitProjectEvent = (event, project, data = {}) => {
+  const send = async () => {
+    const { data: members, error } = await supabase
+      .from('project_members')
+      .select('user_id')
+      .eq('project_id', project.id);
+
+    if (error) throw error;
+
+    await emitEvent(supabase, {
+      event,
+      userIds: [project.user_id, ...members.map(member => member.user_id)],
+      data: { project, ...data }
+    });
+  };
+
+  send().catch(error => logger.error('Webhook event error', { error }));
+};
+
+// project.updated with the changed fields, plus project.status_changed when the status moved
+const emitProjectUpdate = (before, after) => {
+  const changes = diffProjects(before, after);
+  if (!Object.keys(changes).length) return;
+
+  emitProjectEvent('project.updated', after, { changes });
+  if (changes.status) emitProjectEvent('project.status_changed', after, changes.status);
+};
+
+// Recalculate progress after a task change; a new value is logged and announced like a manual edit
+const syncProjectProgress = async (req, project) => {
+  const progress = await recalculateProjectProgress(supabase, project.id);
+  if (progress === project.progress) return progress;
+
+  const after = { ...project, progress };
+
+  await recordActivity(supabase, {
+    projectId: project.id,
+    actorId: req.user.id,
+    action: 'update',
+    before: project,
+    after,
+    fields: ['progress']
+  });
+  emitProjectUpdate(project, after);
+
+  return progress;
+};
+
+router.get('/', verifyAuth, validate(schemas.projects.listProjects), requireScope('projects:read'), async (req, res) => {
+  try {
+    const { errors, options } = parseProjectListQuery(req.query);
+
+    if (errors.length) return sendValidationError(res, errors);
+
+    const { projects, total, hasMore } = await listProjectPage(supabase, req.user.id, options);
+
+    res.json({ 
+      success: true, 
+      projects,
+      pagination: {
+        limit: options.limit,
+        total,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(projects[projects.length - 1], options.sort) : null
+      } 
+    });
+
+  } catch (error) {
+    logger.error('Get projects error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch projects' 
+    });
+  }
+});
+
+// --- TRASH ROUTES ---
+// Registered before /api/projects/:id so "trash" isn't taken for an id
+
+router.get('/trash', verifyAuth, validate(schemas.projects.listTrash), requireScope('projects:read'), async (req, res) => {
+  try {
+    const projects = await listTrashedProjects(supabase, req.user.id);
+
+    res.json({ 
+      success: true, 
+      projects: projects.map(project => ({ ...project, purge_after: purgeAfter(project.deleted_at) })),
+      retentionDays: TRASH_RETENTION_DAYS 
+    });
+
+  } catch (error) {
+    logger.error('Get trash error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch trash' 
+    });
+  }
+});
+
+router.post('/trash/:id/restore', verifyAuth, validate(schemas.projects.restoreProject), requireScope('projects:write'), async (req, res) => {
+  try {
+    const trashed = await findTrashedProject(supabase, req.params.id, req.user.id);
+
+    if (!trashed) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Project not found in trash' 
+      });
+    }
+
+    const project = await restoreProject(supabase, trashed.id);
+
+    await recordActivity(supabase, {
+      projectId: project.id,
+      actorId: req.user.id,
+      action: 'restore',
+      before: trashed,
+      after: project,
+      fields: ['deleted_at']
+    });
+
+    res.json({ 
+      success: true, 
+      project: { ...project, role: 'owner' } 
+    });
+
+  } catch (error) {
+    logger.error('Restore project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to restore project' 
+    });
+  }
+});
+
+router.delete('/trash/:id', verifyAuth, validate(schemas.projects.purgeProject), requireScope('projects:write'), async (req, res) => {
+  try {
+    const trashed = await findTrashedProject(supabase, req.params.id, req.user.id);
+
+    if (!trashed) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Project not found in trash' 
+      });
+    }
+
+    // Tasks, milestones, members, invitations and conversations cascade
+    await deleteProjects(supabase, [trashed.id]);
+
+    res.json({ 
+      success: true, 
+      message: 'Project permanently deleted' 
+    });
+
+  } catch (error) {
+    logger.error('Purge project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to permanently delete project' 
+    });
+  }
+});
+
+// --- EXPORT & IMPORT ROUTES ---
+// Also registered before /api/projects/:id
+
+// Send projects as a download; JSON and Markdown include tasks and milestones
+const sendExport = async (res, projects, format, name) => {
+  const exportedAt = new Date();
+  const detailed = format === 'csv'
+    ? projects
+    : await loadProjectDetails(supabase, projects, { insights: format === 'markdown' });
+
+  res.set('Content-Disposition', `attachment; filename="${exportFilename(name, format, exportedAt)}"`);
+
+  if (format === 'csv') return res.type('text/csv').send(toProjectCsv(detailed));
+  if (format === 'markdown') return res.type('text/markdown').send(toMarkdownReport(detailed, exportedAt));
+  res.json(toExportDocument(detailed, exportedAt));
+};
+
+router.get('/export', verifyAuth, validate(schemas.transfer.exportProjects), requireScope('projects:read'), async (req, res) => {
+  try {
+    const projects = await listAccessibleProjects(supabase, req.user.id, req.query.ids);
+
+    await sendExport(res, projects, req.query.format, 'nexus-projects');
+
+  } catch (error) {
+    logger.error('Export projects error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export projects' 
+    });
+  }
+});
+
+router.post('/import', verifyAuth, validate(schemas.transfer.importProjects), requireScope('projects:write'), async (req, res) => {
+  try {
+    const { format, content, dry_run: dryRun } = req.body;
+
+    let records;
+    try {
+      records = readImportFile(format, content);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+
+    const { records: checked, errors } = prepareImport(records, schemas.transfer.importRecord);
+
+    if (dryRun) {
+      return res.json({ 
+        success: true, 
+        dry_run: true,
+        imported: 0,
+        projects: checked.map(record => toProjectRow(req.user.id, record)),
+        errors 
+      });
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Import has ${errors.length} invalid field${errors.length === 1 ? '' : 's'}; nothing was imported`,
+        errors 
+      });
+    }
+
+    const projects = [];
+    const createdIds = [];
+
+    try {
+      for (const record of checked) {
+        const project = await createProject(supabase, toProjectRow(req.user.id, record));
+        createdIds.push(project.id);
+
+        const { taskRows, milestoneRows } = toChildRows(project.id, record);
+
+        if (taskRows.length) {
+          const { error: taskError } = await supabase.from('tasks').insert(taskRows);
+          if (taskError) throw taskError;
+        }
+        if (milestoneRows.length) {
+          const { error: milestoneError } = await supabase.from('milestones').insert(milestoneRows);
+          if (milestoneError) throw milestoneError;
+        }
+
+        const progress = taskRows.length ? await recalculateProjectProgress(supabase, project.id) : project.progress;
+        projects.push({ ...project, progress });
+      }
+    } catch (error) {
+      // No transaction across inserts: remove what this import created (tasks and milestones cascade)
+      if (createdIds.length) await deleteProjects(supabase, createdIds);
+      throw error;
+    }
+
+    for (const project of projects) {
+      await recordActivity(supabase, { projectId: project.id, actorId: req.user.id, action: 'create', after: project });
+      emitProjectEvent('project.created', project);
+    }
+
+    res.json({ 
+      success: true, 
+      dry_run: false,
+      imported: projects.length,
+      projects,
+      errors: [] 
+    });
+
+  } catch (error) {
+    logger.error('Import projects error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to import projects' 
+    });
+  }
+});
+
+router.get('/:id/export', verifyAuth, validate(schemas.transfer.exportProject), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = { ...req.project, role: req.projectRole };
+
+    await sendExport(res, [project], req.query.format, project.name);
+
+  } catch (error) {
+    logger.error('Export project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export project' 
+    });
+  }
+});
+
+router.get('/:id', verifyAuth, validate(schemas.projects.getProject), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  res.json({ 
+    success: true, 
+    project: { ...req.project, role: req.projectRole } 
+  });
+});
+
+router.post('/', verifyAuth, validate(schemas.projects.createProject), requireScope('projects:write'), async (req, res) => {
+  try {
+    const { name, description, logo_url, team_size, due_date, tags, priority } = req.body;
+
+    const project = await createProject(supabase, {
+      user_id: req.user.id,
+      name,
+      description,
+      logo_url,
+      team_size,
+      due_date,
+      tags,
+      priority
+    });
+
+    await recordActivity(supabase, { projectId: project.id, actorId: req.user.id, action: 'create', after: project });
+    emitProjectEvent('project.created', project);
+
+    res.json({ 
+      success: true, 
+      project 
+    });
+
+  } catch (error) {
+    logger.error('Create project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create project' 
+    });
+  }
+});
+
+router.patch('/:id', verifyAuth, validate(schemas.projects.updateProject), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { name, description, logo_url, progress, team_size, due_date, status, tags, priority } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (logo_url !== undefined) updates.logo_url = logo_url;
+    if (progress !== undefined) {
+      // Once a project has tasks its progress is calculated from them
+      const { count: taskCount } = await supabase
+        .from('tasks')
+        .select('id', { count: 'exact', head: true })
+        .eq('project_id', req.params.id);
+
+      if (taskCount) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'Progress is calculated from the project\'s tasks and cannot be set directly',
+          code: 'progress_calculated' 
+        });
+      }
+      updates.progress = progress;
+    }
+    if (team_size !== undefined) updates.team_size = team_size;
+    if (due_date !== undefined) updates.due_date = due_date;
+    if (status !== undefined) updates.status = status;
+    if (tags !== undefined) updates.tags = tags;
+    if (priority !== undefined) updates.priority = priority;
+
+    const project = await updateProject(supabase, req.params.id, updates);
+
+    await recordActivity(supabase, {
+      projectId: project.id,
+      actorId: req.user.id,
+      action: 'update',
+      before: req.project,
+      after: project
+    });
+    emitProjectUpdate(req.project, project);
+
+    res.json({ 
+      success: true, 
+      project: { ...project, role: req.projectRole } 
+    });
+
+  } catch (error) {
+    logger.error('Update project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update project' 
+    });
+  }
+});
+
+router.delete('/:id', verifyAuth, validate(schemas.projects.deleteProject), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const project = await trashProject(supabase, req.params.id);
+
+    await recordActivity(supabase, {
+      projectId: project.id,
+      actorId: req.user.id,
+      action: 'delete',
+      before: req.project,
+      after: project,
+      fields: ['deleted_at']
+    });
+    emitProjectEvent('project.deleted', project);
+
+    res.json({ 
+      success: true, 
+      message: 'Project moved to trash',
+      project: { ...project, purge_after: purgeAfter(project.deleted_at) } 
+    });
+
+  } catch (error) {
+    logger.error('Delete project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete project' 
+    });
+  }
+});
+
+// --- ACTIVITY ROUTES ---
+router.get('/:id/activity', verifyAuth, validate(schemas.projects.listActivity), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('project_activity')
+      .select('*', { count: 'exact' })
+      .eq('project_id', req.project.id)
+      .order('id', { ascending: false })
+      .range(from, to);
+
+    if (req.query.action) query = query.eq('action', req.query.action);
+    if (req.query.actor_id) query = query.eq('actor_id', req.query.actor_id);
+
+    const { data: activity, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      activity,
+      pagination: { page, limit, total: count } 
+    });
+
+  } catch (error) {
+    logger.error('Get project activity error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch project activity' 
+    });
+  }
+});
+
+router.post('/:id/activity/:activityId/revert', verifyAuth, validate(schemas.projects.revertActivity), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { data: entry } = await supabase
+      .from('project_activity')
+      .select('*')
+      .eq('id', req.params.activityId)
+      .eq('project_id', req.project.id)
+      .single();
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Activity entry not found' 
+      });
+    }
+
+    // Back to the project as it was right after that change
+    const updates = {};
+    for (const field of TRACKED_FIELDS) {
+      if (field in entry.snapshot) updates[field] = entry.snapshot[field];
+    }
+
+    // Once a project has tasks its progress is calculated from them
+    const { count: taskCount } = await supabase
+      .from('tasks')
+      .select('id', { count: 'exact', head: true })
+      .eq('project_id', req.project.id);
+
+    // Reported back rather than failing the whole revert
+    const ignored = [];
+    if (taskCount && 'progress' in updates) {
+      delete updates.progress;
+      ignored.push('progress');
+    }
+
+    const project = await updateProject(supabase, req.project.id, updates);
+
+    await recordActivity(supabase, {
+      projectId: project.id,
+      actorId: req.user.id,
+      action: 'revert',
+      before: req.project,
+      after: project,
+      revertedFrom: entry.id
+    });
+    emitProjectUpdate(req.project, project);
+
+    res.json({ 
+      success: true, 
+      project: { ...project, role: req.projectRole },
+      ignored 
+    });
+
+  } catch (error) {
+    logger.error('Revert project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revert project' 
+    });
+  }
+});
+
+// --- MEMBER ROUTES ---
+
+// Invitations expire after this many days
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 14;
+
+router.get('/:id/members', verifyAuth, validate(schemas.projects.listMembers), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { data: memberships, error } = await supabase
+      .from('project_members')
+      .select('user_id, role, created_at')
+      .eq('project_id', req.project.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const members = [
+      { user_id: req.project.user_id, role: 'owner', created_at: req.project.created_at },
+      ...memberships
+    ];
+
+    const profiles = await findProfiles(supabase, members.map(member => member.user_id));
+
+    const profilesById = new Map(profiles.map(profile => [profile.id, profile]));
+
+    res.json({ 
+      success: true, 
+      members: members.map(member => ({ ...member, profile: profilesById.get(member.user_id) || null })) 
+    });
+
+  } catch (error) {
+    logger.error('Get members error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch members' 
+    });
+  }
+});
+
+router.patch('/:id/members/:userId', verifyAuth, validate(schemas.projects.updateMember), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const { data: member, error } = await supabase
+      .from('project_members')
+      .update({ role })
+      .eq('project_id', req.project.id)
+      .eq('user_id', req.params.userId)
+      .select()
+      .single();
+
+    if (error || !member) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      member 
+    });
+
+  } catch (error) {
+    logger.error('Update member error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update member' 
+    });
+  }
+});
+
+router.delete('/:id/members/:userId', verifyAuth, validate(schemas.projects.removeMember), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    if (req.params.userId === req.project.user_id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'The owner cannot be removed. Transfer ownership first.' 
+      });
+    }
+
+    const { error } = await supabase
+      .from('project_members')
+      .delete()
+      .eq('project_id', req.project.id)
+      .eq('user_id', req.params.userId);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Member removed successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Remove member error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove member' 
+    });
+  }
+});
+
+router.post('/:id/leave', verifyAuth, validate(schemas.projects.leaveProject), requireScope('projects:write'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    if (req.projectRole === 'owner') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Owners cannot leave their project. Transfer ownership or delete it instead.' 
+      });
+    }
+
+    const { error } = await supabase
+      .from('project_members')
+      .delete()
+      .eq('project_id', req.project.id)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'You left the project' 
+    });
+
+  } catch (error) {
+    logger.error('Leave project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to leave project' 
+    });
+  }
+});
+
+router.post('/:id/transfer', verifyAuth, validate(schemas.projects.transferProject), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    if (user_id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'user_id of another project member is required' 
+      });
+    }
+
+    const { data: newOwner } = await supabase
+      .from('project_members')
+      .select('user_id')
+      .eq('project_id', req.project.id)
+      .eq('user_id', user_id)
+      .single();
+
+    if (!newOwner) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Ownership can only be transferred to an existing member' 
+      });
+    }
+
+    // The previous owner stays on as an editor
+    const { error: memberError } = await supabase
+      .from('project_members')
+      .upsert({ project_id: req.project.id, user_id: req.user.id, role: 'editor' });
+
+    if (memberError) throw memberError;
+
+    const project = await updateProject(supabase, req.project.id, { user_id });
+
+    await recordActivity(supabase, {
+      projectId: project.id,
+      actorId: req.user.id,
+      action: 'transfer',
+      before: req.project,
+      after: project,
+      fields: ['user_id']
+    });
+
+    const { error: cleanupError } = await supabase
+      .from('project_members')
+      .delete()
+      .eq('project_id', req.project.id)
+      .eq('user_id', user_id);
+
+    if (cleanupError) throw cleanupError;
+
+    res.json({ 
+      success: true, 
+      project: { ...project, role: 'editor' } 
+    });
+
+  } catch (error) {
+    logger.error('Transfer project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to transfer project' 
+    });
+  }
+});
+
+router.get('/:id/invitations', verifyAuth, validate(schemas.projects.listInvitations), requireScope('projects:read'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { data: invitations, error } = await supabase
+      .from('project_invitations')
+      .select('*')
+      .eq('project_id', req.project.id)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      invitations 
+    });
+
+  } catch (error) {
+    logger.error('Get invitations error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch invitations' 
+    });
+  }
+});
+
+router.post('/:id/invitations', verifyAuth, validate(schemas.projects.createInvitation), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+
+    // Re-inviting replaces any pending invitation for the same email
+    const { error: cleanupError } = await supabase
+      .from('project_invitations')
+      .delete()
+      .eq('project_id', req.project.id)
+      .eq('email', email)
+      .eq('status', 'pending');
+
+    if (cleanupError) throw cleanupError;
+
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data: invitation, error } = await supabase
+      .from('project_invitations')
+      .insert({
+        project_id: req.project.id,
+        email,
+        role,
+        invited_by: req.user.id,
+        expires_at: expiresAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // New users get a sign-up email from Supabase; existing users see it under GET /api/invitations
+    const { error: inviteError } = await supabase.auth.admin.inviteUserByEmail(email, {
+      redirectTo: process.env.INVITE_REDIRECT_URL,
+      data: { project_invitation_id: invitation.id }
+    });
+
+    res.json({ 
+      success: true, 
+      invitation,
+      emailSent: !inviteError 
+    });
+
+  } catch (error) {
+    logger.error('Create invitation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create invitation' 
+    });
+  }
+});
+
+router.delete('/:id/invitations/:invitationId', verifyAuth, validate(schemas.projects.revokeInvitation), requireScope('projects:write'), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('project_invitations')
+      .delete()
+      .eq('id', req.params.invitationId)
+      .eq('project_id', req.project.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Invitation revoked successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Revoke invitation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke invitation' 
+    });
+  }
+});
+
+// --- MILESTONE ROUTES ---
+router.get('/:id/milestones', verifyAuth, validate(schemas.projects.listMilestones), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { data: milestones, error } = await supabase
+      .from('milestones')
+      .select('*')
+      .eq('project_id', req.params.id)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      milestones 
+    });
+
+  } catch (error) {
+    logger.error('Get milestones error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch milestones' 
+    });
+  }
+});
+
+router.post('/:id/milestones', verifyAuth, validate(schemas.projects.saveMilestones), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { roadmap, start_date, replace = true } = req.body;
+
+    const errors = validateRoadmap(roadmap);
+    if (errors.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid roadmap',
+        details: errors 
+      });
+    }
+
+    const project = req.project;
+
+    // Dates are re-derived from the project's own due date, not trusted from the client
+    const schedule = scheduleRoadmap(roadmap, {
+      startDate: start_date || roadmap.start_date,
+      dueDate: project.due_date
+    });
+
+    if (replace) {
+      const { error: deleteError } = await supabase
+        .from('milestones')
+        .delete()
+        .eq('project_id', project.id);
+
+      if (deleteError) throw deleteError;
+    }
+
+    const { data: milestones, error } = await supabase
+      .from('milestones')
+      .insert(toMilestoneRows(project.id, schedule))
+      .select();
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      roadmap: schedule,
+      milestones 
+    });
+
+  } catch (error) {
+    logger.error('Save milestones error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save milestones' 
+    });
+  }
+});
+
+router.delete('/:id/milestones/:milestoneId', verifyAuth, validate(schemas.projects.deleteMilestone), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const { error } = await supabase
+      .from('milestones')
+      .delete()
+      .eq('id', req.params.milestoneId)
+      .eq('project_id', project.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Milestone deleted successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Delete milestone error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete milestone' 
+    });
+  }
+});
+
+// --- INSIGHT ROUTES ---
+
+// An insight of the project in req.params, or null
+const findProjectInsight = async (req, insightId = req.params.insightId) => {
+  const { data, error } = await supabase
+    .from('project_insights')
+    .select('*')
+    .eq('id', insightId)
+    .eq('project_id', req.project.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const sendInsightNotFound = (res) => res.status(404).json({ 
+  success: false, 
+  error: 'Insight not found' 
+});
+
+router.get('/:id/insights', verifyAuth, validate(schemas.insights.listInsights), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('project_insights')
+      .select(SUMMARY_COLUMNS, { count: 'exact' })
+      .eq('project_id', req.project.id)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (req.query.kind) query = query.eq('kind', req.query.kind);
+
+    const { data: insights, count, error } = await query;
+
+    if (error) throw error;
+
+    const ratings = await countRatings(supabase, insights.map(insight => insight.id));
+
+    res.json({ 
+      success: true, 
+      insights: insights.map(insight => ({ ...insight, ratings: ratings[insight.id] })),
+      pagination: { page, limit, total: count } 
+    });
+
+  } catch (error) {
+    logger.error('Get insights error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch insights' 
+    });
+  }
+});
+
+router.get('/:id/insights/current', verifyAuth, validate(schemas.insights.getCurrentInsight), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const insight = await findCurrentInsight(supabase, req.project.id, req.query.kind);
+    if (!insight) return sendInsightNotFound(res);
+
+    const ratings = await countRatings(supabase, [insight.id]);
+
+    res.json({ 
+      success: true, 
+      insight: { ...insight, ratings: ratings[insight.id] } 
+    });
 
-/**
- * GET /api/projects
- * Get all projects for current user
- */
-router.get('/', async (req, res) => {
+  } catch (error) {
+    logger.error('Get current insight error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch insight' 
+    });
+  }
+});
+
+router.get('/:id/insights/:insightId', verifyAuth, validate(schemas.insights.getInsight), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
   try {
-    const { data: projects, error } = await supabase
-      .from('projects')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    const [ratings, { data: feedback, error }] = await Promise.all([
+      countRatings(supabase, [insight.id]),
+      supabase
+        .from('insight_feedback')
+        .select('rating, comment, updated_at')
+        .eq('insight_id', insight.id)
+        .eq('user_id', req.user.id)
+        .maybeSingle()
+    ]);
 
     if (error) throw error;
 
     res.json({ 
       success: true, 
-      projects 
+      insight: { ...insight, ratings: ratings[insight.id] },
+      feedback 
     });
 
   } catch (error) {
-    console.error('Get projects error:', error);
+    logger.error('Get insight error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch projects' 
+      error: 'Failed to fetch insight' 
     });
   }
 });
 
-/**
- * GET /api/projects/:id
- * Get single project by ID
- */
-router.get('/:id', async (req, res) => {
+router.get('/:id/insights/:insightId/diff', verifyAuth, validate(schemas.insights.diffInsight), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
   try {
-    const { data: project, error } = await supabase
-      .from('projects')
-      .select('*')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    let other;
+    if (req.query.against) {
+      other = await findProjectInsight(req, req.query.against);
+    } else {
+      const { data, error } = await supabase
+        .from('project_insights')
+        .select('*')
+        .eq('project_id', req.project.id)
+        .eq('kind', insight.kind)
+        .lt('version', insight.version)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      other = data;
+    }
+
+    if (!other) {
+      return res.status(404).json({ 
+        success: false, 
+        error: req.query.against ? 'Insight to compare with not found' : 'This is the first version; there is nothing to compare with' 
+      });
+    }
+    if (other.kind !== insight.kind) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Cannot compare ${insight.kind} with ${other.kind}` 
+      });
+    }
+
+    // Always older -> newer, whichever side was asked for
+    const [older, newer] = other.version < insight.version ? [other, insight] : [insight, other];
+
+    res.json({ 
+      success: true, 
+      ...diffInsights(older, newer) 
+    });
+
+  } catch (error) {
+    logger.error('Diff insight error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to compare insights' 
+    });
+  }
+});
+
+router.post('/:id/insights/:insightId/pin', verifyAuth, validate(schemas.insights.pinInsight), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    // One pinned version per kind: clear the old pin first
+    const { error: unpinError } = await supabase
+      .from('project_insights')
+      .update({ pinned_at: null })
+      .eq('project_id', req.project.id)
+      .eq('kind', insight.kind)
+      .neq('id', insight.id)
+      .not('pinned_at', 'is', null);
+
+    if (unpinError) throw unpinError;
+
+    const { data: pinned, error } = await supabase
+      .from('project_insights')
+      .update({ pinned_at: insight.pinned_at || new Date().toISOString() })
+      .eq('id', insight.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      insight: pinned 
+    });
+
+  } catch (error) {
+    logger.error('Pin insight error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to pin insight' 
+    });
+  }
+});
+
+router.delete('/:id/insights/:insightId/pin', verifyAuth, validate(schemas.insights.unpinInsight), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    const { data: unpinned, error } = await supabase
+      .from('project_insights')
+      .update({ pinned_at: null })
+      .eq('id', insight.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      insight: unpinned 
+    });
+
+  } catch (error) {
+    logger.error('Unpin insight error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to unpin insight' 
+    });
+  }
+});
+
+// Any member can rate; one rating per member and version, replaced on change
+router.put('/:id/insights/:insightId/feedback', verifyAuth, validate(schemas.insights.rateInsight), requireScope('projects:write'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    const { data: feedback, error } = await supabase
+      .from('insight_feedback')
+      .upsert({
+        insight_id: insight.id,
+        user_id: req.user.id,
+        rating: req.body.rating,
+        comment: req.body.comment || null
+      }, { onConflict: 'insight_id,user_id' })
+      .select('rating, comment, created_at, updated_at')
       .single();
 
     if (error) throw error;
 
-    if (!project) {
+    const ratings = await countRatings(supabase, [insight.id]);
+
+    res.json({ 
+      success: true, 
+      feedback,
+      ratings: ratings[insight.id] 
+    });
+
+  } catch (error) {
+    logger.error('Rate insight error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save feedback' 
+    });
+  }
+});
+
+router.delete('/:id/insights/:insightId/feedback', verifyAuth, validate(schemas.insights.deleteFeedback), requireScope('projects:write'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const insight = await findProjectInsight(req);
+    if (!insight) return sendInsightNotFound(res);
+
+    const { error } = await supabase
+      .from('insight_feedback')
+      .delete()
+      .eq('insight_id', insight.id)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      message: 'Feedback removed' 
+    });
+
+  } catch (error) {
+    logger.error('Delete insight feedback error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove feedback' 
+    });
+  }
+});
+
+// --- TASK ROUTES ---
+router.get('/:id/tasks', verifyAuth, validate(schemas.tasks.listTasks), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    let query = supabase
+      .from('tasks')
+      .select('*')
+      .eq('project_id', project.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (req.query.status) query = query.eq('status', req.query.status);
+    if (req.query.assignee_id) query = query.eq('assignee_id', req.query.assignee_id);
+
+    const { data: tasks, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      tasks: req.query.flat ? tasks : nestTasks(tasks) 
+    });
+
+  } catch (error) {
+    logger.error('Get tasks error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch tasks' 
+    });
+  }
+});
+
+router.get('/:id/tasks/:taskId', verifyAuth, validate(schemas.tasks.getTask), requireScope('projects:read'), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('id', req.params.taskId)
+      .eq('project_id', project.id)
+      .single();
+
+    if (!task) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found' 
+        error: 'Task not found' 
       });
     }
 
+    const { data: subtasks, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('parent_id', task.id)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+
     res.json({ 
       success: true, 
-      project 
+      task: { ...task, subtasks } 
     });
 
   } catch (error) {
-    console.error('Get project error:', error);
+    logger.error('Get task error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch project' 
+      error: 'Failed to fetch task' 
     });
   }
 });
 
-/**
- * POST /api/projects
- * Create new project
- */
-router.post('/', async (req, res) => {
+router.post('/:id/tasks', verifyAuth, validate(schemas.tasks.createTask), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
   try {
-    const { name, description, logo_url, team_size, due_date, tags, priority } = req.body;
+    const { title, description, status, priority, assignee_id, estimate, due_date, parent_id, position } = req.body;
+
+    const project = req.project;
 
-    if (!name) {
+    if (assignee_id && !(await isProjectMember(supabase, project, assignee_id))) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Project name is required' 
+        error: 'Assignee must be a member of the project' 
       });
     }
 
-    const { data: project, error } = await supabase
-      .from('projects')
+    if (parent_id) {
+      const { data: parent } = await supabase
+        .from('tasks')
+        .select('id')
+        .eq('id', parent_id)
+        .eq('project_id', project.id)
+        .single();
+
+      if (!parent) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Parent task not found in this project' 
+        });
+      }
+    }
+
+    // New tasks go to the end of their list unless a position is given
+    let taskPosition = position;
+    if (taskPosition === undefined) {
+      let siblings = supabase
+        .from('tasks')
+        .select('position')
+        .eq('project_id', project.id)
+        .order('position', { ascending: false })
+        .limit(1);
+
+      siblings = parent_id ? siblings.eq('parent_id', parent_id) : siblings.is('parent_id', null);
+
+      const { data: last } = await siblings;
+      taskPosition = last?.length ? last[0].position + 1 : 0;
+    }
+
+    const { data: task, error } = await supabase
+      .from('tasks')
       .insert({
-        user_id: req.user.id,
-        name,
+        project_id: project.id,
+        parent_id: parent_id || null,
+        title: title.trim(),
         description,
-        logo_url,
-        team_size: team_size || 1,
+        status: status || 'todo',
+        priority: priority || 'medium',
+        assignee_id: assignee_id || null,
+        estimate: estimate ?? null,
         due_date,
-        tags: tags || [],
-        priority: priority || 'medium'
+        position: taskPosition,
+        completed_at: status === 'done' ? new Date().toISOString() : null
       })
       .select()
       .single();
 
     if (error) throw error;
 
+    const progress = await syncProjectProgress(req, project);
+
     res.json({ 
       success: true, 
-      project 
+      task,
+      progress 
     });
 
   } catch (error) {
-    console.error('Create project error:', error);
+    logger.error('Create task error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to create project' 
+      error: 'Failed to create task' 
     });
   }
 });
 
-/**
- * PATCH /api/projects/:id
- * Update project
- */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id/tasks/:taskId', verifyAuth, validate(schemas.tasks.updateTask), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
   try {
-    const { name, description, logo_url, progress, team_size, due_date, status, tags, priority } = req.body;
+    const { title, description, status, priority, assignee_id, estimate, due_date, parent_id, position } = req.body;
 
-    // Verify ownership
-    const { data: existing } = await supabase
-      .from('projects')
-      .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
+    const project = req.project;
+
+    const { data: projectTasks, error: tasksError } = await supabase
+      .from('tasks')
+      .select('id, parent_id, status')
+      .eq('project_id', project.id);
+
+    if (tasksError) throw tasksError;
+
+    const existing = projectTasks.find(task => task.id === req.params.taskId);
 
     if (!existing) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found or access denied' 
+        error: 'Task not found' 
       });
     }
 
-    const updates = {};
-    if (name !== undefined) updates.name = name;
+    if (assignee_id && !(await isProjectMember(supabase, project, assignee_id))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Assignee must be a member of the project' 
+      });
+    }
+
+    if (parent_id) {
+      if (!projectTasks.some(task => task.id === parent_id)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Parent task not found in this project' 
+        });
+      }
+
+      if (createsCycle(projectTasks, existing.id, parent_id)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'A task cannot be nested under itself or its subtasks' 
+        });
+      }
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (title !== undefined) updates.title = title.trim();
     if (description !== undefined) updates.description = description;
-    if (logo_url !== undefined) updates.logo_url = logo_url;
-    if (progress !== undefined) updates.progress = progress;
-    if (team_size !== undefined) updates.team_size = team_size;
-    if (due_date !== undefined) updates.due_date = due_date;
-    if (status !== undefined) updates.status = status;
-    if (tags !== undefined) updates.tags = tags;
     if (priority !== undefined) updates.priority = priority;
+    if (assignee_id !== undefined) updates.assignee_id = assignee_id;
+    if (estimate !== undefined) updates.estimate = estimate;
+    if (due_date !== undefined) updates.due_date = due_date;
+    if (parent_id !== undefined) updates.parent_id = parent_id;
+    if (position !== undefined) updates.position = position;
+    if (status !== undefined && status !== existing.status) {
+      updates.status = status;
+      updates.completed_at = status === 'done' ? new Date().toISOString() : null;
+    }
 
-    const { data: project, error } = await supabase
-      .from('projects')
+    const { data: task, error } = await supabase
+      .from('tasks')
       .update(updates)
-      .eq('id', req.params.id)
+      .eq('id', existing.id)
       .select()
       .single();
 
     if (error) throw error;
 
+    const progress = await syncProjectProgress(req, project);
+
     res.json({ 
       success: true, 
-      project 
+      task,
+      progress 
     });
 
   } catch (error) {
-    console.error('Update project error:', error);
+    logger.error('Update task error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update project' 
+      error: 'Failed to update task' 
     });
   }
 });
 
-/**
- * DELETE /api/projects/:id
- * Delete project
- */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/tasks/reorder', verifyAuth, validate(schemas.tasks.reorderTasks), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const { task_ids } = req.body;
+
+    const project = req.project;
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from('tasks')
+      .select('id')
+      .eq('project_id', project.id)
+      .in('id', task_ids);
+
+    if (tasksError) throw tasksError;
+
+    if (tasks.length !== new Set(task_ids).size) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'All task_ids must belong to this project' 
+      });
+    }
+
+    // Positions follow the order given
+    for (const [position, taskId] of task_ids.entries()) {
+      const { error } = await supabase
+        .from('tasks')
+        .update({ position })
+        .eq('id', taskId);
+
+      if (error) throw error;
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Tasks reordered successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Reorder tasks error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reorder tasks' 
+    });
+  }
+});
+
+router.post('/:id/tasks/breakdown', verifyAuth, validate(schemas.tasks.breakdownTasks), requireScope('projects:write', 'ai:use'), requireProjectRole('editor'), aiRateLimit, selectProvider, screenPrompt, async (req, res) => {
+  try {
+    const project = req.project;
+
+    const { data: draft, attempts } = await generateStructured(
+      buildBreakdownPrompt(NEXUS_SYSTEM_PROMPT, project),
+      validateBreakdown,
+      aiOptions(req)
+    );
+
+    res.json({ 
+      success: true, 
+      draft,
+      capacity: assessCapacity(draft, { teamSize: project.team_size, dueDate: project.due_date }),
+      attempts 
+    });
+
+  } catch (error) {
+    sendAiError(res, error, 'Task breakdown error');
+  }
+});
+
+router.post('/:id/tasks/bulk', verifyAuth, validate(schemas.tasks.bulkCreateTasks), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
+  try {
+    const draft = { tasks: req.body.tasks };
+
+    const errors = validateBreakdown(draft);
+    if (errors.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid task list',
+        details: errors 
+      });
+    }
+
+    const project = req.project;
+
+    const assigneeIds = [...new Set(draft.tasks.map(task => task.assignee_id).filter(Boolean))];
+    for (const assigneeId of assigneeIds) {
+      if (!(await isProjectMember(supabase, project, assigneeId))) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Assignee must be a member of the project',
+          details: [`${assigneeId} is not a member`] 
+        });
+      }
+    }
+
+    // Append after the existing top-level tasks
+    const { data: last } = await supabase
+      .from('tasks')
+      .select('position')
+      .eq('project_id', project.id)
+      .is('parent_id', null)
+      .order('position', { ascending: false })
+      .limit(1);
+
+    const startPosition = last?.length ? last[0].position + 1 : 0;
+
+    const { data: tasks, error } = await supabase
+      .from('tasks')
+      .insert(toTaskRows(project.id, draft, startPosition, crypto.randomUUID))
+      .select();
+
+    if (error) throw error;
+
+    const progress = await syncProjectProgress(req, project);
+
+    res.json({ 
+      success: true, 
+      tasks,
+      progress,
+      capacity: assessCapacity(draft, { teamSize: project.team_size, dueDate: project.due_date }) 
+    });
+
+  } catch (error) {
+    logger.error('Bulk create tasks error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create tasks' 
+    });
+  }
+});
+
+router.delete('/:id/tasks/:taskId', verifyAuth, validate(schemas.tasks.deleteTask), requireScope('projects:write'), requireProjectRole('editor'), async (req, res) => {
   try {
-    // Verify ownership
+    const project = req.project;
+
     const { data: existing } = await supabase
-      .from('projects')
+      .from('tasks')
       .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
+      .eq('id', req.params.taskId)
+      .eq('project_id', project.id)
       .single();
 
     if (!existing) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found or access denied' 
+        error: 'Task not found' 
       });
     }
 
+    // Subtasks go with it (ON DELETE CASCADE)
     const { error } = await supabase
-      .from('projects')
+      .from('tasks')
       .delete()
-      .eq('id', req.params.id);
+      .eq('id', existing.id);
 
     if (error) throw error;
 
+    const progress = await syncProjectProgress(req, project);
+
     res.json({ 
       success: true, 
-      message: 'Project deleted successfully' 
+      message: 'Task deleted successfully',
+      progress 
     });
 
   } catch (error) {
-    console.error('Delete project error:', error);
+    logger.error('Delete task error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to delete project' 
+      error: 'Failed to delete task' 
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
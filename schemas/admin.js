@@ -0,0 +1,177 @@
+const { PROJECT_STATUSES } = require('../lib/projects');
+const { USAGE_GROUPS } = require('../lib/usage');
+const { MODERATION_STAGES, MODERATION_ACTIONS } = require('../lib/moderation');
+const { uuid, dateTime, idParam, pagination, ref, listOf, message } = require('./common');
+
+const userParams = { id: idParam('User ID') };
+const projectParams = { id: idParam('Project ID') };
+const search = { type: 'string', trim: true, maxLength: 100 };
+
+const listUsers = {
+  summary: 'List and search users',
+  tags: ['Admin'],
+  query: {
+    ...pagination,
+    search,
+    is_admin: { type: 'boolean' },
+    suspended: { type: 'boolean' }
+  },
+  response: { users: listOf('Profile'), pagination: ref('Pagination') }
+};
+
+const getUser = {
+  summary: 'Get a user with their projects',
+  tags: ['Admin'],
+  params: userParams,
+  response: { user: { type: 'object' }, profile: ref('Profile'), projectCount: { type: 'integer' } }
+};
+
+const setAdmin = {
+  summary: 'Grant or revoke admin access',
+  tags: ['Admin'],
+  params: userParams,
+  body: {
+    is_admin: { type: 'boolean', required: true }
+  },
+  response: { profile: ref('Profile') }
+};
+
+const suspendUser = {
+  summary: 'Suspend a user',
+  tags: ['Admin'],
+  params: userParams,
+  body: {
+    reason: { type: 'string', trim: true, maxLength: 500 }
+  },
+  response: { profile: ref('Profile') }
+};
+
+const reactivateUser = {
+  summary: 'Lift a suspension',
+  tags: ['Admin'],
+  params: userParams,
+  response: { profile: ref('Profile') }
+};
+
+const listProjects = {
+  summary: 'List and search all projects',
+  tags: ['Admin'],
+  query: {
+    ...pagination,
+    search,
+    user_id: uuid,
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    deleted: { type: 'boolean', description: 'true for trashed projects only, false to hide them' }
+  },
+  response: { projects: listOf('Project'), pagination: ref('Pagination') }
+};
+
+const getProject = {
+  summary: 'Get any project',
+  tags: ['Admin'],
+  params: projectParams,
+  response: { project: ref('Project') }
+};
+
+const deleteProject = {
+  summary: 'Delete any project',
+  tags: ['Admin'],
+  params: projectParams,
+  response: { message }
+};
+
+const listActions = {
+  summary: 'Admin action log',
+  tags: ['Admin'],
+  query: {
+    ...pagination,
+    admin_id: uuid,
+    action_type: { type: 'string', maxLength: 100 },
+    from: dateTime,
+    to: dateTime
+  },
+  response: { actions: listOf('AdminAction'), pagination: ref('Pagination') }
+};
+
+// Usage reports default to the last 30 days
+const usageFilters = {
+  from: dateTime,
+  to: dateTime,
+  user_id: uuid,
+  project_id: uuid,
+  route: { type: 'string', maxLength: 200 },
+  format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+};
+
+const usageReport = {
+  summary: 'Aggregated AI usage and cost',
+  tags: ['Admin'],
+  csv: true,
+  query: {
+    ...usageFilters,
+    group_by: { type: 'string', enum: USAGE_GROUPS, default: 'day' }
+  },
+  response: {
+    groupBy: { type: 'string' },
+    from: dateTime,
+    to: dateTime,
+    totals: { type: 'object' },
+    report: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+const usageCalls = {
+  summary: 'Individual AI calls',
+  tags: ['Admin'],
+  csv: true,
+  query: {
+    ...usageFilters,
+    ...pagination,
+    status: { type: 'string', enum: ['success', 'error', 'aborted'] }
+  },
+  response: { calls: listOf('UsageCall'), pagination: ref('Pagination') }
+};
+
+const listModerationEvents = {
+  summary: 'Flagged and blocked AI inputs and outputs, newest first',
+  tags: ['Admin'],
+  query: {
+    ...pagination,
+    from: dateTime,
+    to: dateTime,
+    stage: { type: 'string', enum: MODERATION_STAGES },
+    action: { type: 'string', enum: MODERATION_ACTIONS },
+    flag: { type: 'string', maxLength: 50, description: 'e.g. ignore_instructions or persona_break' },
+    user_id: uuid,
+    reviewed: { type: 'boolean', description: 'false for the review queue' }
+  },
+  response: { events: listOf('ModerationEvent'), pagination: ref('Pagination') }
+};
+
+const reviewModerationEvent = {
+  summary: 'Mark a moderation event as reviewed',
+  tags: ['Admin'],
+  params: {
+    id: { type: 'integer', min: 1, required: true, description: 'Moderation event ID' }
+  },
+  body: {
+    note: { type: 'string', trim: true, maxLength: 1000, nullable: true }
+  },
+  response: { event: ref('ModerationEvent') }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  setAdmin,
+  suspendUser,
+  reactivateUser,
+  listProjects,
+  getProject,
+  deleteProject,
+  listActions,
+  usageReport,
+  usageCalls,
+  listModerationEvents,
+  reviewModerationEvent
+};
@@ -0,0 +1,125 @@
+const { MESSAGE_ROLES } = require('../lib/conversations');
+const { PROJECT_PRIORITIES } = require('../lib/projects');
+const { uuid, date, message } = require('./common');
+
+/**
+ * AI routes take the project inline so anonymous users can try them
+ */
+const project = {
+  type: 'object',
+  required: true,
+  properties: {
+    id: uuid,
+    name: { type: 'string', trim: true, required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000, nullable: true },
+    progress: { type: 'number', min: 0, max: 100, nullable: true },
+    team_size: { type: 'integer', min: 1, max: 1000, nullable: true },
+    team: { type: 'integer', min: 1, max: 1000, nullable: true },
+    due_date: { ...date, nullable: true },
+    priority: { type: 'string', enum: PROJECT_PRIORITIES, nullable: true },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } }
+  }
+};
+
+const provider = {
+  type: 'string',
+  maxLength: 50,
+  description: 'AI provider override; the X-AI-Provider header also works'
+};
+
+const refresh = {
+  type: 'boolean',
+  description: 'Skip the response cache and replace the cached answer'
+};
+
+const cacheFields = {
+  cached: { type: 'boolean', description: 'Served from the response cache; cached answers use no tokens' },
+  cachedAt: { type: 'string', format: 'date-time', description: 'When the answer was generated' }
+};
+
+const insight = {
+  type: 'object',
+  nullable: true,
+  description: 'Saved version { id, version } when signed in as an editor of project.id',
+  properties: { id: uuid, version: { type: 'integer' } }
+};
+
+const health = {
+  summary: 'Service and AI provider status',
+  tags: ['AI'],
+  response: { status: { type: 'string' }, ai: { type: 'object' }, supabaseConfigured: { type: 'boolean' }, dataBackend: { type: 'string', enum: ['supabase', 'memory'] } }
+};
+
+const usage = {
+  summary: "The caller's AI limits and usage",
+  tags: ['AI'],
+  response: { usage: { type: 'object', description: 'Plan, request and token limits with current consumption' } }
+};
+
+const test = {
+  summary: 'Check the AI provider responds',
+  tags: ['AI'],
+  response: { message }
+};
+
+const projectHints = {
+  summary: 'Insights, tech stack and next steps for a project',
+  tags: ['AI'],
+  stream: true,
+  body: {
+    project,
+    provider,
+    refresh
+  },
+  response: { hints: { type: 'string', description: 'Markdown' }, ...cacheFields, insight }
+};
+
+const chat = {
+  summary: 'Chat with the assistant',
+  tags: ['AI'],
+  stream: true,
+  body: {
+    message: { type: 'string', trim: true, required: true, maxLength: 4000 },
+    project: { ...project, required: false },
+    conversationId: { ...uuid, description: 'Saved conversation (requires auth)' },
+    conversationHistory: {
+      type: 'array',
+      maxItems: 50,
+      description: 'History for ad-hoc chats; ignored with conversationId',
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          role: { type: 'string', required: true, enum: MESSAGE_ROLES },
+          content: { type: 'string', required: true, maxLength: 4000 }
+        }
+      }
+    },
+    provider
+  },
+  response: { response: { type: 'string', description: 'Markdown' }, conversationId: uuid }
+};
+
+const roadmap = {
+  summary: 'Generate a roadmap (markdown, or JSON with format=json)',
+  tags: ['AI'],
+  stream: true,
+  query: {
+    format: { type: 'string', enum: ['markdown', 'json'] },
+    refresh
+  },
+  body: {
+    project,
+    format: { type: 'string', enum: ['markdown', 'json'] },
+    provider,
+    refresh
+  },
+  response: {
+    roadmap: { type: 'object', description: 'Markdown string, or a scheduled roadmap with format=json' },
+    attempts: { type: 'integer' },
+    ...cacheFields,
+    insight
+  }
+};
+
+module.exports = { health, usage, test, projectHints, chat, roadmap };
@@ -0,0 +1,118 @@
+const { ref, message } = require('./common');
+
+const email = { type: 'string', format: 'email', trim: true, required: true, maxLength: 254 };
+const newPassword = { type: 'string', required: true, minLength: 6, maxLength: 72 };
+const currentPassword = { type: 'string', required: true, maxLength: 72, description: 'Current password, to confirm it is you' };
+
+const signup = {
+  summary: 'Create an account',
+  tags: ['Auth'],
+  body: {
+    email,
+    password: newPassword,
+    fullName: { type: 'string', trim: true, maxLength: 200 }
+  },
+  response: { message, user: { type: 'object' }, session: { type: 'object', nullable: true } }
+};
+
+const login = {
+  summary: 'Log in with email and password',
+  tags: ['Auth'],
+  body: {
+    email,
+    password: { type: 'string', required: true, maxLength: 72 }
+  },
+  response: { message, user: { type: 'object' }, profile: ref('Profile'), session: { type: 'object' } }
+};
+
+const logout = {
+  summary: 'Revoke the current session',
+  tags: ['Auth'],
+  response: { message }
+};
+
+const me = {
+  summary: 'Current user and profile',
+  tags: ['Auth'],
+  response: { user: { type: 'object' }, profile: ref('Profile') }
+};
+
+const refresh = {
+  summary: 'Exchange a refresh token for a new session',
+  tags: ['Auth'],
+  body: {
+    refresh_token: { type: 'string', required: true, maxLength: 500 }
+  },
+  response: { user: { type: 'object' }, session: { type: 'object' } }
+};
+
+const requestPasswordReset = {
+  summary: 'Email a password reset link',
+  tags: ['Auth'],
+  body: { email },
+  response: { message }
+};
+
+const confirmPasswordReset = {
+  summary: 'Set a new password from a reset link',
+  tags: ['Auth'],
+  body: {
+    token_hash: { type: 'string', required: true, maxLength: 500, description: 'token_hash from the reset link' },
+    password: newPassword
+  },
+  response: { message, user: { type: 'object' }, session: { type: 'object' } }
+};
+
+const changePassword = {
+  summary: 'Change the password',
+  tags: ['Auth'],
+  body: {
+    current_password: currentPassword,
+    new_password: newPassword
+  },
+  response: { message }
+};
+
+const changeEmail = {
+  summary: 'Change the email address (after confirming the new one)',
+  tags: ['Auth'],
+  body: {
+    email,
+    password: currentPassword
+  },
+  response: { message }
+};
+
+const updateProfile = {
+  summary: "Update the current user's profile",
+  tags: ['Auth'],
+  body: {
+    full_name: { type: 'string', trim: true, maxLength: 200, nullable: true },
+    avatar_url: { type: 'string', format: 'uri', maxLength: 2048, nullable: true }
+  },
+  response: { profile: ref('Profile') }
+};
+
+const deleteAccount = {
+  summary: 'Delete the account and its data',
+  tags: ['Auth'],
+  body: {
+    password: currentPassword,
+    confirm: { type: 'string', required: true, enum: ['DELETE'], description: 'Must be "DELETE"' }
+  },
+  response: { message, deleted_projects: { type: 'integer' } }
+};
+
+module.exports = {
+  signup,
+  login,
+  logout,
+  me,
+  refresh,
+  requestPasswordReset,
+  confirmPasswordReset,
+  changePassword,
+  changeEmail,
+  updateProfile,
+  deleteAccount
+};
@@ -0,0 +1,49 @@
+const { PROJECT_STATUSES } = require('../lib/projects');
+const { uuid, ref, message } = require('./common');
+
+const feedLinks = {
+  feed: ref('CalendarFeed'),
+  token: { type: 'string', description: 'Only returned here; regenerate the feed if it is lost' },
+  url: { type: 'string', description: 'Feed URL with the token; add filters as query parameters' },
+  webcal_url: { type: 'string', description: 'The same URL for one-click subscribing' }
+};
+
+const getFeed = {
+  summary: "The current user's calendar feed (null if none)",
+  tags: ['Calendar'],
+  response: { feed: ref('CalendarFeed') }
+};
+
+const createFeed = {
+  summary: 'Create the calendar feed, or regenerate its token',
+  tags: ['Calendar'],
+  response: feedLinks
+};
+
+const revokeFeed = {
+  summary: 'Revoke the calendar feed',
+  tags: ['Calendar'],
+  response: { message }
+};
+
+const feed = {
+  summary: 'iCalendar feed of project due dates and milestones',
+  tags: ['Calendar'],
+  params: {
+    token: { type: 'string', required: true, maxLength: 100, description: 'Feed token' }
+  },
+  query: {
+    project_id: { type: 'array', minItems: 1, maxItems: 100, items: uuid, description: 'Comma-separated' },
+    status: { type: 'array', minItems: 1, items: { type: 'string', enum: PROJECT_STATUSES }, description: 'Comma-separated' },
+    tags: { type: 'array', minItems: 1, items: { type: 'string', maxLength: 50 }, description: 'Comma-separated; projects with any of them' },
+    milestones: { type: 'boolean', default: true, description: 'Include milestones with a due date' }
+  },
+  contentType: 'text/calendar'
+};
+
+module.exports = {
+  getFeed,
+  createFeed,
+  revokeFeed,
+  feed
+};
@@ -0,0 +1,22 @@
+/**
+ * Field rules shared by the route schemas (see lib/validation.js)
+ */
+
+const uuid = { type: 'string', format: 'uuid' };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const idParam = (description) => ({ ...uuid, required: true, description });
+
+// Admin lists are paged with 1-based page/limit
+const pagination = {
+  page: { type: 'integer', min: 1, default: 1, description: 'Page number, starting at 1' },
+  limit: { type: 'integer', min: 1, max: 100, default: 25, description: 'Page size' }
+};
+
+// Response fields (see schemas/components.js)
+const ref = (name) => ({ ref: name });
+const listOf = (name) => ({ type: 'array', items: ref(name) });
+const message = { type: 'string' };
+
+module.exports = { uuid, date, dateTime, idParam, pagination, ref, listOf, message };
@@ -0,0 +1,383 @@
+const { PROJECT_STATUSES, PROJECT_PRIORITIES, MEMBER_ROLES } = require('../lib/projects');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../lib/tasks');
+const { ACTIVITY_ACTIONS } = require('../lib/activity');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { TOKEN_SCOPES } = require('../lib/accessTokens');
+const { INSIGHT_KINDS, INSIGHT_FORMATS, INSIGHT_RATINGS } = require('../lib/insights');
+const { MODERATION_STAGES, MODERATION_ACTIONS } = require('../lib/moderation');
+const { uuid, date, dateTime } = require('./common');
+
+/**
+ * Response object shapes for the API docs, in the same rule format as the
+ * request schemas. Routes point at them with ref('Name').
+ */
+
+const timestamp = { ...dateTime, nullable: true };
+const text = { type: 'string', nullable: true };
+
+const Project = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    user_id: { ...uuid, description: 'Owner' },
+    name: { type: 'string' },
+    description: text,
+    logo_url: text,
+    progress: { type: 'integer', min: 0, max: 100 },
+    team_size: { type: 'integer' },
+    due_date: { ...date, nullable: true },
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    priority: { type: 'string', enum: PROJECT_PRIORITIES },
+    tags: { type: 'array', items: { type: 'string' } },
+    role: { type: 'string', enum: ['owner', ...MEMBER_ROLES], description: "The caller's role" },
+    created_at: dateTime,
+    updated_at: dateTime,
+    deleted_at: { ...timestamp, description: 'Set while the project is in the trash' },
+    purge_after: { ...dateTime, description: 'Trash only: when it will be permanently deleted' }
+  }
+};
+
+const Activity = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    project_id: uuid,
+    actor_id: { ...uuid, nullable: true },
+    action: { type: 'string', enum: ACTIVITY_ACTIONS },
+    changes: { type: 'object', description: 'Changed fields as { field: { from, to } }' },
+    snapshot: { type: 'object', description: 'Tracked project fields after the change' },
+    reverted_from: { type: 'integer', nullable: true, description: 'Entry a revert restored' },
+    created_at: dateTime
+  }
+};
+
+const Profile = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    email: text,
+    full_name: text,
+    avatar_url: text,
+    is_admin: { type: 'boolean' },
+    plan: { type: 'string' },
+    suspended_at: timestamp,
+    suspended_reason: text,
+    created_at: dateTime,
+    updated_at: dateTime
+  }
+};
+
+const PublicProfile = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    email: text,
+    full_name: text,
+    avatar_url: text
+  }
+};
+
+const Member = {
+  type: 'object',
+  properties: {
+    project_id: uuid,
+    user_id: uuid,
+    role: { type: 'string', enum: MEMBER_ROLES },
+    invited_by: { ...uuid, nullable: true },
+    created_at: dateTime,
+    profile: { ref: 'PublicProfile' }
+  }
+};
+
+const Invitation = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    project_id: uuid,
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: MEMBER_ROLES },
+    status: { type: 'string', enum: ['pending', 'accepted', 'declined'] },
+    invited_by: { ...uuid, nullable: true },
+    created_at: dateTime,
+    expires_at: dateTime,
+    responded_at: timestamp
+  }
+};
+
+const Milestone = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    project_id: uuid,
+    phase_key: { type: 'string' },
+    phase_title: { type: 'string' },
+    phase_depends_on: { type: 'array', items: { type: 'string' } },
+    title: { type: 'string' },
+    description: text,
+    start_date: { ...date, nullable: true },
+    due_date: { ...date, nullable: true },
+    status: { type: 'string', enum: ['pending', 'done'] },
+    position: { type: 'integer' },
+    created_at: dateTime
+  }
+};
+
+const Task = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    project_id: uuid,
+    parent_id: { ...uuid, nullable: true },
+    title: { type: 'string' },
+    description: text,
+    status: { type: 'string', enum: TASK_STATUSES },
+    priority: { type: 'string', enum: TASK_PRIORITIES },
+    assignee_id: { ...uuid, nullable: true },
+    estimate: { type: 'number', nullable: true, description: 'Hours' },
+    due_date: { ...date, nullable: true },
+    depends_on: { type: 'array', items: uuid },
+    position: { type: 'integer' },
+    completed_at: timestamp,
+    created_at: dateTime,
+    updated_at: dateTime,
+    subtasks: { type: 'array', items: { ref: 'Task' }, description: 'Only in nested lists' }
+  }
+};
+
+const Capacity = {
+  type: 'object',
+  properties: {
+    total_estimate_hours: { type: 'number' },
+    critical_path_hours: { type: 'number' },
+    team_size: { type: 'integer' },
+    hours_per_day: { type: 'number' },
+    required_working_days: { type: 'integer' },
+    available_working_days: { type: 'integer', nullable: true },
+    fits_due_date: { type: 'boolean', nullable: true },
+    warning: { type: 'string' }
+  }
+};
+
+const Conversation = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    user_id: uuid,
+    project_id: { ...uuid, nullable: true },
+    title: text,
+    created_at: dateTime,
+    updated_at: dateTime
+  }
+};
+
+const Message = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    conversation_id: uuid,
+    role: { type: 'string', enum: ['user', 'assistant'] },
+    content: { type: 'string' },
+    created_at: dateTime
+  }
+};
+
+const AdminAction = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    admin_id: uuid,
+    action_type: { type: 'string' },
+    details: { type: 'object' },
+    ip_address: text,
+    created_at: dateTime
+  }
+};
+
+const UsageCall = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    user_id: { ...uuid, nullable: true },
+    project_id: { ...uuid, nullable: true },
+    route: text,
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    streamed: { type: 'boolean' },
+    status: { type: 'string', enum: ['success', 'error', 'aborted'] },
+    prompt_tokens: { type: 'integer' },
+    completion_tokens: { type: 'integer' },
+    total_tokens: { type: 'integer' },
+    latency_ms: { type: 'integer' },
+    cost_usd: { type: 'number', nullable: true },
+    error: text,
+    created_at: dateTime
+  }
+};
+
+const Roadmap = {
+  type: 'object',
+  description: 'Scheduled roadmap; dates are derived from estimates and the due date',
+  properties: {
+    start_date: date,
+    end_date: date,
+    due_date: { ...date, nullable: true },
+    estimated_days: { type: 'integer' },
+    fits_due_date: { type: 'boolean', nullable: true },
+    warning: { type: 'string' },
+    phases: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+const Webhook = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    url: { type: 'string' },
+    secret: { type: 'string', description: 'Signing secret, only returned when the webhook is created' },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    description: text,
+    enabled: { type: 'boolean' },
+    consecutive_failures: { type: 'integer' },
+    disabled_at: timestamp,
+    disabled_reason: text,
+    created_at: dateTime,
+    updated_at: dateTime
+  }
+};
+
+const WebhookDelivery = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    webhook_id: uuid,
+    event: { type: 'string' },
+    payload: { type: 'object', description: 'The JSON body that was sent' },
+    status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+    attempts: { type: 'integer' },
+    response_status: { type: 'integer', nullable: true },
+    response_body: text,
+    error: text,
+    next_attempt_at: { ...timestamp, description: 'When a pending delivery is retried' },
+    delivered_at: timestamp,
+    created_at: dateTime
+  }
+};
+
+const CalendarFeed = {
+  type: 'object',
+  properties: {
+    created_at: dateTime,
+    last_accessed_at: { ...timestamp, description: 'Last time a calendar app fetched the feed' }
+  }
+};
+
+const AccessToken = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    name: { type: 'string' },
+    token_hint: { type: 'string', description: 'First characters of the token' },
+    scopes: { type: 'array', items: { type: 'string', enum: TOKEN_SCOPES } },
+    expires_at: timestamp,
+    last_used_at: timestamp,
+    revoked_at: timestamp,
+    created_at: dateTime
+  }
+};
+
+const Insight = {
+  type: 'object',
+  properties: {
+    id: uuid,
+    project_id: uuid,
+    kind: { type: 'string', enum: INSIGHT_KINDS },
+    version: { type: 'integer', description: 'Counts up per project and kind' },
+    format: { type: 'string', enum: INSIGHT_FORMATS },
+    content: { type: 'object', description: 'Markdown string, or the unscheduled roadmap for format json; left out of lists' },
+    inputs: { type: 'object', description: 'Project fields the prompt was built from' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    created_by: { ...uuid, nullable: true },
+    pinned_at: { ...timestamp, description: 'Set on the current version of its kind' },
+    ratings: {
+      type: 'object',
+      properties: { up: { type: 'integer' }, down: { type: 'integer' } }
+    },
+    created_at: dateTime
+  }
+};
+
+const InsightFeedback = {
+  type: 'object',
+  properties: {
+    insight_id: uuid,
+    project_id: uuid,
+    kind: { type: 'string', enum: INSIGHT_KINDS },
+    version: { type: 'integer' },
+    format: { type: 'string', enum: INSIGHT_FORMATS },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    rating: { type: 'string', enum: INSIGHT_RATINGS },
+    comment: text,
+    user_id: uuid,
+    inputs: { type: 'object' },
+    content: { type: 'string', description: 'Rated output; JSON roadmaps pretty-printed' },
+    created_at: dateTime,
+    updated_at: dateTime
+  }
+};
+
+const ModerationEvent = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    user_id: { ...uuid, nullable: true },
+    ip_address: text,
+    project_id: { ...uuid, nullable: true },
+    conversation_id: { ...uuid, nullable: true },
+    route: text,
+    request_id: text,
+    stage: { type: 'string', enum: MODERATION_STAGES },
+    action: { type: 'string', enum: MODERATION_ACTIONS },
+    flags: { type: 'array', items: { type: 'string' } },
+    excerpt: { type: 'string', description: 'The flagged text, cut to 1000 characters' },
+    reviewed_at: timestamp,
+    reviewed_by: { ...uuid, nullable: true },
+    review_note: text,
+    created_at: dateTime
+  }
+};
+
+const Pagination = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' }
+  }
+};
+
+module.exports = {
+  Project,
+  Activity,
+  Profile,
+  PublicProfile,
+  Member,
+  Invitation,
+  Milestone,
+  Task,
+  Capacity,
+  Conversation,
+  Message,
+  AdminAction,
+  UsageCall,
+  Roadmap,
+  Webhook,
+  WebhookDelivery,
+  CalendarFeed,
+  AccessToken,
+  Insight,
+  InsightFeedback,
+  ModerationEvent,
+  Pagination
+};
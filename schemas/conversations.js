@@ -0,0 +1,55 @@
+const { uuid, idParam, ref, listOf, message } = require('./common');
+
+const conversationParams = { id: idParam('Conversation ID') };
+const title = { type: 'string', trim: true, minLength: 1, maxLength: 200 };
+
+const listConversations = {
+  summary: "List the current user's conversations",
+  tags: ['Conversations'],
+  query: {
+    project_id: uuid
+  },
+  response: { conversations: listOf('Conversation') }
+};
+
+const getConversation = {
+  summary: 'Get a conversation with its messages',
+  tags: ['Conversations'],
+  params: conversationParams,
+  response: { conversation: ref('Conversation'), messages: listOf('Message') }
+};
+
+const createConversation = {
+  summary: 'Start a conversation',
+  tags: ['Conversations'],
+  body: {
+    title,
+    project_id: { ...uuid, nullable: true }
+  },
+  response: { conversation: ref('Conversation') }
+};
+
+const renameConversation = {
+  summary: 'Rename a conversation',
+  tags: ['Conversations'],
+  params: conversationParams,
+  body: {
+    title: { ...title, required: true }
+  },
+  response: { conversation: ref('Conversation') }
+};
+
+const deleteConversation = {
+  summary: 'Delete a conversation',
+  tags: ['Conversations'],
+  params: conversationParams,
+  response: { message }
+};
+
+module.exports = {
+  listConversations,
+  getConversation,
+  createConversation,
+  renameConversation,
+  deleteConversation
+};
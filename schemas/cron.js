@@ -0,0 +1,18 @@
+const purgeTrash = {
+  summary: 'Purge projects past the trash retention period',
+  tags: ['Jobs'],
+  response: {
+    purged: { type: 'integer' },
+    retentionDays: { type: 'integer' }
+  }
+};
+
+const retryWebhooks = {
+  summary: 'Retry webhook deliveries that are due',
+  tags: ['Jobs'],
+  response: {
+    attempted: { type: 'integer' }
+  }
+};
+
+module.exports = { purgeTrash, retryWebhooks };
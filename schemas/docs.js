@@ -0,0 +1,13 @@
+const openApi = {
+  summary: 'This OpenAPI document',
+  tags: ['Docs'],
+  contentType: 'application/json'
+};
+
+const docsPage = {
+  summary: 'Interactive API docs',
+  tags: ['Docs'],
+  contentType: 'text/html'
+};
+
+module.exports = { openApi, docsPage };
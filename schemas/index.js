@@ -0,0 +1,20 @@
+/**
+ * Request schemas for every route, grouped by area
+ */
+
+module.exports = {
+  auth: require('./auth'),
+  projects: require('./projects'),
+  tasks: require('./tasks'),
+  conversations: require('./conversations'),
+  admin: require('./admin'),
+  ai: require('./ai'),
+  transfer: require('./transfer'),
+  calendar: require('./calendar'),
+  tokens: require('./tokens'),
+  webhooks: require('./webhooks'),
+  insights: require('./insights'),
+  cron: require('./cron'),
+  docs: require('./docs'),
+  components: require('./components')
+};
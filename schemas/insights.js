@@ -0,0 +1,127 @@
+const { INSIGHT_KINDS, INSIGHT_RATINGS } = require('../lib/insights');
+const { uuid, dateTime, idParam, pagination, ref, listOf, message } = require('./common');
+
+const projectParams = { id: idParam('Project ID') };
+const insightParams = { ...projectParams, insightId: idParam('Insight ID') };
+const kind = { type: 'string', enum: INSIGHT_KINDS };
+
+const ratings = {
+  type: 'object',
+  properties: { up: { type: 'integer' }, down: { type: 'integer' } }
+};
+
+const listInsights = {
+  summary: 'Saved hint and roadmap versions, newest first',
+  tags: ['Insights'],
+  params: projectParams,
+  query: {
+    ...pagination,
+    kind
+  },
+  response: { insights: listOf('Insight'), pagination: ref('Pagination') }
+};
+
+const getCurrentInsight = {
+  summary: 'The pinned version of a kind, or the latest when none is pinned',
+  tags: ['Insights'],
+  params: projectParams,
+  query: {
+    kind: { ...kind, required: true }
+  },
+  response: { insight: ref('Insight') }
+};
+
+const getInsight = {
+  summary: 'One saved version with its ratings',
+  tags: ['Insights'],
+  params: insightParams,
+  response: {
+    insight: ref('Insight'),
+    feedback: { type: 'object', nullable: true, description: "The caller's own rating and comment" }
+  }
+};
+
+const diffInsight = {
+  summary: 'Line diff against another version of the same kind',
+  tags: ['Insights'],
+  params: insightParams,
+  query: {
+    against: { ...uuid, description: 'Version to compare with; defaults to the previous one' }
+  },
+  response: {
+    from: { type: 'object', description: '{ id, version } of the older side' },
+    to: { type: 'object', description: '{ id, version } of this version' },
+    added: { type: 'integer' },
+    removed: { type: 'integer' },
+    diff: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          op: { type: 'string', enum: ['equal', 'add', 'remove'] },
+          line: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const pinInsight = {
+  summary: 'Pin a version as current for its kind',
+  tags: ['Insights'],
+  params: insightParams,
+  response: { insight: ref('Insight') }
+};
+
+const unpinInsight = {
+  summary: 'Unpin a version',
+  tags: ['Insights'],
+  params: insightParams,
+  response: { insight: ref('Insight') }
+};
+
+const rateInsight = {
+  summary: 'Rate a version up or down, with an optional comment',
+  tags: ['Insights'],
+  params: insightParams,
+  body: {
+    rating: { type: 'string', enum: INSIGHT_RATINGS, required: true },
+    comment: { type: 'string', trim: true, maxLength: 2000, nullable: true }
+  },
+  response: { feedback: { type: 'object' }, ratings }
+};
+
+const deleteFeedback = {
+  summary: 'Remove your rating',
+  tags: ['Insights'],
+  params: insightParams,
+  response: { message }
+};
+
+const exportFeedback = {
+  summary: 'Insight ratings with the rated output and inputs, for prompt tuning',
+  tags: ['Admin'],
+  csv: true,
+  query: {
+    ...pagination,
+    from: dateTime,
+    to: dateTime,
+    kind,
+    rating: { type: 'string', enum: INSIGHT_RATINGS },
+    project_id: uuid,
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+  },
+  response: { feedback: listOf('InsightFeedback'), pagination: ref('Pagination') }
+};
+
+module.exports = {
+  listInsights,
+  getCurrentInsight,
+  getInsight,
+  diffInsight,
+  pinInsight,
+  unpinInsight,
+  rateInsight,
+  deleteFeedback,
+  exportFeedback
+};
@@ -0,0 +1,286 @@
+const { PROJECT_STATUSES, PROJECT_PRIORITIES, MEMBER_ROLES, SORT_FIELDS } = require('../lib/projects');
+const { ACTIVITY_ACTIONS } = require('../lib/activity');
+const { uuid, date, idParam, pagination, ref, listOf, message } = require('./common');
+
+const projectParams = { id: idParam('Project ID') };
+
+const projectFields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000, nullable: true },
+  logo_url: { type: 'string', format: 'uri', maxLength: 2048, nullable: true },
+  team_size: { type: 'integer', min: 1, max: 1000 },
+  due_date: { ...date, nullable: true },
+  tags: {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', trim: true, minLength: 1, maxLength: 50 }
+  },
+  priority: { type: 'string', enum: PROJECT_PRIORITIES },
+  status: { type: 'string', enum: PROJECT_STATUSES },
+  progress: { type: 'integer', min: 0, max: 100, description: 'Rejected (409 progress_calculated) while the project has tasks' }
+};
+
+const listProjects = {
+  summary: 'List owned and shared projects',
+  tags: ['Projects'],
+  query: {
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+    cursor: { type: 'string', maxLength: 500, description: 'next_cursor from the previous page' },
+    sort: { type: 'string', enum: SORT_FIELDS, default: 'created_at' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    status: { type: 'array', minItems: 1, items: { type: 'string', enum: PROJECT_STATUSES }, description: 'Comma-separated' },
+    priority: { type: 'array', minItems: 1, items: { type: 'string', enum: PROJECT_PRIORITIES }, description: 'Comma-separated' },
+    tags: { type: 'array', minItems: 1, items: { type: 'string', maxLength: 50 }, description: 'Comma-separated' },
+    tag_match: { type: 'string', enum: ['any', 'all'], default: 'any' },
+    due_after: date,
+    due_before: date,
+    q: { type: 'string', trim: true, minLength: 1, maxLength: 200, description: 'Full-text search' }
+  },
+  response: {
+    projects: listOf('Project'),
+    pagination: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        has_more: { type: 'boolean' },
+        next_cursor: { type: 'string', nullable: true }
+      }
+    }
+  }
+};
+
+const getProject = {
+  summary: 'Get a project',
+  tags: ['Projects'],
+  params: projectParams,
+  response: { project: ref('Project') }
+};
+
+const createProject = {
+  summary: 'Create a project',
+  tags: ['Projects'],
+  body: {
+    name: { ...projectFields.name, required: true },
+    description: projectFields.description,
+    logo_url: projectFields.logo_url,
+    team_size: { ...projectFields.team_size, default: 1 },
+    due_date: projectFields.due_date,
+    tags: { ...projectFields.tags, default: [] },
+    priority: { ...projectFields.priority, default: 'medium' }
+  },
+  response: { project: ref('Project') }
+};
+
+const updateProject = {
+  summary: 'Update a project',
+  tags: ['Projects'],
+  params: projectParams,
+  body: projectFields,
+  response: { project: ref('Project') }
+};
+
+const deleteProject = {
+  summary: 'Move a project to the trash',
+  tags: ['Projects'],
+  params: projectParams,
+  response: { message, project: ref('Project') }
+};
+
+// --- Trash ---
+
+const listTrash = {
+  summary: "List the current user's trashed projects",
+  tags: ['Trash'],
+  response: { projects: listOf('Project'), retentionDays: { type: 'integer' } }
+};
+
+const restoreProject = {
+  summary: 'Restore a project from the trash',
+  tags: ['Trash'],
+  params: projectParams,
+  response: { project: ref('Project') }
+};
+
+const purgeProject = {
+  summary: 'Permanently delete a trashed project',
+  tags: ['Trash'],
+  params: projectParams,
+  response: { message }
+};
+
+// --- Activity ---
+
+const listActivity = {
+  summary: 'Project change history, newest first',
+  tags: ['Activity'],
+  params: projectParams,
+  query: {
+    ...pagination,
+    action: { type: 'string', enum: ACTIVITY_ACTIONS },
+    actor_id: uuid
+  },
+  response: { activity: listOf('Activity'), pagination: ref('Pagination') }
+};
+
+const revertActivity = {
+  summary: 'Restore the project fields recorded by an activity entry',
+  tags: ['Activity'],
+  params: {
+    ...projectParams,
+    activityId: { type: 'integer', min: 1, required: true, description: 'Activity entry ID' }
+  },
+  response: {
+    project: ref('Project'),
+    ignored: { type: 'array', items: { type: 'string' }, description: 'Fields left as they are: progress while the project has tasks' }
+  }
+};
+
+// --- Members and invitations ---
+
+const memberParams = { ...projectParams, userId: idParam('Member user ID') };
+const invitationParams = { ...projectParams, invitationId: idParam('Invitation ID') };
+
+const listMembers = {
+  summary: 'List project members',
+  tags: ['Members'],
+  params: projectParams,
+  response: { members: listOf('Member') }
+};
+
+const updateMember = {
+  summary: "Change a member's role",
+  tags: ['Members'],
+  params: memberParams,
+  body: {
+    role: { type: 'string', required: true, enum: MEMBER_ROLES, description: 'Use the transfer endpoint to change owners' }
+  },
+  response: { member: ref('Member') }
+};
+
+const removeMember = {
+  summary: 'Remove a member',
+  tags: ['Members'],
+  params: memberParams,
+  response: { message }
+};
+
+const leaveProject = {
+  summary: 'Leave a shared project',
+  tags: ['Members'],
+  params: projectParams,
+  response: { message }
+};
+
+const transferProject = {
+  summary: 'Transfer ownership to a member',
+  tags: ['Members'],
+  params: projectParams,
+  body: {
+    user_id: { ...uuid, required: true, description: 'An existing member' }
+  },
+  response: { project: ref('Project') }
+};
+
+const listInvitations = {
+  summary: 'List pending invitations',
+  tags: ['Members'],
+  params: projectParams,
+  response: { invitations: listOf('Invitation') }
+};
+
+const createInvitation = {
+  summary: 'Invite someone by email',
+  tags: ['Members'],
+  params: projectParams,
+  body: {
+    email: { type: 'string', format: 'email', trim: true, required: true, maxLength: 254 },
+    role: { type: 'string', enum: MEMBER_ROLES, default: 'viewer' }
+  },
+  response: { invitation: ref('Invitation'), emailSent: { type: 'boolean' } }
+};
+
+const revokeInvitation = {
+  summary: 'Revoke an invitation',
+  tags: ['Members'],
+  params: invitationParams,
+  response: { message }
+};
+
+const listOwnInvitations = {
+  summary: 'Invitations addressed to the current user',
+  tags: ['Members'],
+  response: { invitations: listOf('Invitation') }
+};
+
+const ownInvitationParams = { invitationId: idParam('Invitation ID') };
+
+const acceptInvitation = {
+  summary: 'Accept an invitation and join the project',
+  tags: ['Members'],
+  params: ownInvitationParams,
+  response: { message, project_id: uuid }
+};
+
+const declineInvitation = {
+  summary: 'Decline an invitation',
+  tags: ['Members'],
+  params: ownInvitationParams,
+  response: { message }
+};
+
+// --- Milestones ---
+
+const listMilestones = {
+  summary: 'List saved milestones',
+  tags: ['Milestones'],
+  params: projectParams,
+  response: { milestones: listOf('Milestone') }
+};
+
+const saveMilestones = {
+  summary: 'Save a structured roadmap as milestones',
+  tags: ['Milestones'],
+  params: projectParams,
+  body: {
+    roadmap: { type: 'object', required: true, description: 'Roadmap from POST /api/roadmap with format=json' },
+    start_date: date,
+    replace: { type: 'boolean', default: true, description: 'Replace existing milestones' }
+  },
+  response: { roadmap: ref('Roadmap'), milestones: listOf('Milestone') }
+};
+
+const deleteMilestone = {
+  summary: 'Delete a milestone',
+  tags: ['Milestones'],
+  params: { ...projectParams, milestoneId: idParam('Milestone ID') },
+  response: { message }
+};
+
+module.exports = {
+  projectFields,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  listTrash,
+  restoreProject,
+  purgeProject,
+  listActivity,
+  revertActivity,
+  listMembers,
+  updateMember,
+  removeMember,
+  leaveProject,
+  transferProject,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  listOwnInvitations,
+  acceptInvitation,
+  declineInvitation,
+  listMilestones,
+  saveMilestones,
+  deleteMilestone
+};
@@ -0,0 +1,100 @@
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../lib/tasks');
+const { uuid, date, idParam, ref, listOf, message } = require('./common');
+
+const projectParams = { id: idParam('Project ID') };
+const taskParams = { ...projectParams, taskId: idParam('Task ID') };
+
+// Project progress after the change; null while the project has no tasks
+const progress = { type: 'integer', nullable: true };
+
+const taskFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 500 },
+  description: { type: 'string', maxLength: 10000, nullable: true },
+  status: { type: 'string', enum: TASK_STATUSES },
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  assignee_id: { ...uuid, nullable: true, description: 'Must be a project member' },
+  estimate: { type: 'number', min: 0, max: 10000, nullable: true, description: 'Hours' },
+  due_date: { ...date, nullable: true },
+  parent_id: { ...uuid, nullable: true },
+  position: { type: 'integer', min: 0 }
+};
+
+const listTasks = {
+  summary: 'List tasks, nested by parent unless flat=true',
+  tags: ['Tasks'],
+  params: projectParams,
+  query: {
+    status: { type: 'string', enum: TASK_STATUSES },
+    assignee_id: uuid,
+    flat: { type: 'boolean', default: false }
+  },
+  response: { tasks: listOf('Task') }
+};
+
+const getTask = {
+  summary: 'Get a task with its subtasks',
+  tags: ['Tasks'],
+  params: taskParams,
+  response: { task: ref('Task') }
+};
+
+const createTask = {
+  summary: 'Create a task',
+  tags: ['Tasks'],
+  params: projectParams,
+  body: { ...taskFields, title: { ...taskFields.title, required: true } },
+  response: { task: ref('Task'), progress }
+};
+
+const updateTask = {
+  summary: 'Update a task',
+  tags: ['Tasks'],
+  params: taskParams,
+  body: taskFields,
+  response: { task: ref('Task'), progress }
+};
+
+const reorderTasks = {
+  summary: 'Set task positions from an ordered list of ids',
+  tags: ['Tasks'],
+  params: projectParams,
+  body: {
+    task_ids: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { ...uuid, required: true } }
+  },
+  response: { message }
+};
+
+const breakdownTasks = {
+  summary: 'Draft a task breakdown with AI',
+  tags: ['Tasks', 'AI'],
+  params: projectParams,
+  response: { draft: { type: 'object' }, capacity: ref('Capacity'), attempts: { type: 'integer' } }
+};
+
+const bulkCreateTasks = {
+  summary: 'Create tasks from an accepted breakdown draft',
+  tags: ['Tasks'],
+  params: projectParams,
+  body: {
+    tasks: { type: 'array', required: true, minItems: 1, maxItems: 50, items: { type: 'object', required: true } }
+  },
+  response: { tasks: listOf('Task'), progress, capacity: ref('Capacity') }
+};
+
+const deleteTask = {
+  summary: 'Delete a task and its subtasks',
+  tags: ['Tasks'],
+  params: taskParams,
+  response: { message, progress }
+};
+
+module.exports = {
+  listTasks,
+  getTask,
+  createTask,
+  updateTask,
+  reorderTasks,
+  breakdownTasks,
+  bulkCreateTasks,
+  deleteTask
+};
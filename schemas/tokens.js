@@ -0,0 +1,44 @@
+const { TOKEN_SCOPES } = require('../lib/accessTokens');
+const { idParam, ref, listOf, message } = require('./common');
+
+const listTokens = {
+  summary: "List the current user's personal access tokens",
+  tags: ['Access Tokens'],
+  query: {
+    include_revoked: { type: 'boolean', default: false }
+  },
+  response: { tokens: listOf('AccessToken') }
+};
+
+const createToken = {
+  summary: 'Create a personal access token',
+  tags: ['Access Tokens'],
+  body: {
+    name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'string', enum: TOKEN_SCOPES },
+      description: 'A :write scope also allows the matching :read'
+    },
+    expires_in_days: { type: 'integer', min: 1, max: 365, nullable: true, description: 'Never expires when omitted' }
+  },
+  response: {
+    token: ref('AccessToken'),
+    secret: { type: 'string', description: 'The token to send as a Bearer token; only returned here' }
+  }
+};
+
+const revokeToken = {
+  summary: 'Revoke a personal access token',
+  tags: ['Access Tokens'],
+  params: { id: idParam('Token ID') },
+  response: { message }
+};
+
+module.exports = {
+  listTokens,
+  createToken,
+  revokeToken
+};
@@ -0,0 +1,101 @@
+const { EXPORT_FORMATS, IMPORT_FORMATS } = require('../lib/transfer');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../lib/tasks');
+const { uuid, date, dateTime, idParam, ref } = require('./common');
+const { projectFields } = require('./projects');
+
+const exportQuery = {
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'json' }
+};
+
+// Exports are files, not { success } envelopes
+const exportContentTypes = ['application/json', 'text/csv', 'text/markdown'];
+
+const exportProjects = {
+  summary: 'Export your projects as JSON, CSV or Markdown',
+  tags: ['Import & Export'],
+  query: {
+    ...exportQuery,
+    ids: { type: 'array', minItems: 1, maxItems: 100, items: uuid, description: 'Comma-separated; all projects when omitted' }
+  },
+  contentType: exportContentTypes
+};
+
+const exportProject = {
+  summary: 'Export one project as JSON, CSV or Markdown',
+  tags: ['Import & Export'],
+  params: { id: idParam('Project ID') },
+  query: exportQuery,
+  contentType: exportContentTypes
+};
+
+// One project in an import file: the project fields plus, in JSON, its tasks and milestones
+const importTask = {
+  id: { ...uuid, description: 'Only used to link parent_id and depends_on within the file' },
+  parent_id: { ...uuid, nullable: true },
+  depends_on: { type: 'array', maxItems: 100, items: uuid },
+  title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 500 },
+  description: { type: 'string', maxLength: 10000, nullable: true },
+  status: { type: 'string', enum: TASK_STATUSES },
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  estimate: { type: 'number', min: 0, max: 10000, nullable: true },
+  due_date: { ...date, nullable: true },
+  position: { type: 'integer', min: 0 },
+  completed_at: { ...dateTime, nullable: true }
+};
+
+const importMilestone = {
+  phase_key: { type: 'string', required: true, maxLength: 100 },
+  phase_title: { type: 'string', required: true, maxLength: 200 },
+  phase_depends_on: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } },
+  title: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 500 },
+  description: { type: 'string', maxLength: 5000, nullable: true },
+  start_date: { ...date, nullable: true },
+  due_date: { ...date, nullable: true },
+  status: { type: 'string', enum: ['pending', 'done'] },
+  position: { type: 'integer', min: 0 }
+};
+
+const importRecord = {
+  ...projectFields,
+  name: { ...projectFields.name, required: true },
+  tasks: { type: 'array', maxItems: 1000, items: { type: 'object', properties: importTask } },
+  milestones: { type: 'array', maxItems: 100, items: { type: 'object', properties: importMilestone } }
+};
+
+const importProjects = {
+  summary: 'Import projects from a JSON export or a CSV',
+  tags: ['Import & Export'],
+  body: {
+    format: { type: 'string', enum: IMPORT_FORMATS, default: 'json' },
+    content: { type: 'string', required: true, description: 'The file contents' },
+    dry_run: { type: 'boolean', default: false, description: 'Check the file without importing' }
+  },
+  response: {
+    dry_run: { type: 'boolean' },
+    imported: { type: 'integer', description: 'Projects created (0 on a dry run)' },
+    projects: {
+      type: 'array',
+      description: 'Created projects, or on a dry run the project rows that would be inserted',
+      items: ref('Project')
+    },
+    errors: {
+      type: 'array',
+      description: 'Per-row problems; nothing is imported unless this is empty',
+      items: {
+        type: 'object',
+        properties: {
+          row: { type: 'integer', description: 'Record number, from 1 (after the header in a CSV)' },
+          field: { type: 'string', nullable: true },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  exportProjects,
+  exportProject,
+  importProjects,
+  importRecord
+};
@@ -0,0 +1,77 @@
+const { idParam, pagination, ref, listOf, message } = require('./common');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+
+const webhookParams = { id: idParam('Webhook ID') };
+
+const webhookFields = {
+  url: { type: 'string', trim: true, format: 'uri', maxLength: 2048, description: 'Receives a POST for every subscribed event' },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: WEBHOOK_EVENTS }
+  },
+  description: { type: 'string', maxLength: 500, nullable: true }
+};
+
+const listWebhooks = {
+  summary: "List the current user's webhooks",
+  tags: ['Webhooks'],
+  response: { webhooks: listOf('Webhook') }
+};
+
+const createWebhook = {
+  summary: 'Register a webhook',
+  tags: ['Webhooks'],
+  body: {
+    ...webhookFields,
+    url: { ...webhookFields.url, required: true },
+    events: { ...webhookFields.events, required: true }
+  },
+  response: { webhook: ref('Webhook') }
+};
+
+const updateWebhook = {
+  summary: 'Update a webhook',
+  tags: ['Webhooks'],
+  params: webhookParams,
+  body: {
+    ...webhookFields,
+    enabled: { type: 'boolean', description: 'Re-enabling resets the failure count' }
+  },
+  response: { webhook: ref('Webhook') }
+};
+
+const deleteWebhook = {
+  summary: 'Delete a webhook and its delivery log',
+  tags: ['Webhooks'],
+  params: webhookParams,
+  response: { message }
+};
+
+const testWebhook = {
+  summary: 'Send a ping event to a webhook now',
+  tags: ['Webhooks'],
+  params: webhookParams,
+  response: { delivery: ref('WebhookDelivery') }
+};
+
+const listDeliveries = {
+  summary: 'Delivery log for a webhook, newest first',
+  tags: ['Webhooks'],
+  params: webhookParams,
+  query: {
+    ...pagination,
+    status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+    event: { type: 'string' }
+  },
+  response: { deliveries: listOf('WebhookDelivery'), pagination: ref('Pagination') }
+};
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  listDeliveries
+};
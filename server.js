@@ -1,589 +1,1616 @@
 require('dotenv').config(); 
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { createClient } = require('@supabase/supabase-js');
+const ai = require('./lib/ai');
+const { DATA_BACKEND } = require('./lib/db');
+const { logger } = require('./lib/logger');
+const { verifyAuth, optionalAuth, supabase } = require('./middleware/auth');
+const {
+  selectProvider,
+  screenPrompt,
+  aiOptions,
+  getModelResponse,
+  aiCacheKey,
+  getCachedResponse,
+  sendAiError,
+  sendModelStream
+} = require('./middleware/ai');
+const { validate } = require('./middleware/validate');
+const { requireAdmin, logAdminAction } = require('./middleware/admin');
+const { requireCronSecret } = require('./middleware/cron');
+const { requireScope } = require('./middleware/scopes');
+const { aiRateLimit, getUsage } = require('./middleware/rateLimit');
+const { requestContext } = require('./middleware/requestContext');
+const { PROJECT_ROLES } = require('./middleware/projects');
+const { httpError, errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
+const authRoutes = require('./routes/auth');
+const projectRoutes = require('./routes/projects');
+const invitationRoutes = require('./routes/invitations');
+const { NEXUS_SYSTEM_PROMPT } = require('./lib/ai/prompts');
+const { fenceUserContent } = require('./lib/ai/safety');
+const { wantsEventStream } = require('./lib/sse');
+const { generateStructured } = require('./lib/ai/structured');
+const { costOf, createUsageRecorder, fetchUsage, aggregateUsage, totalUsage } = require('./lib/usage');
+const { toCsv } = require('./lib/csv');
+const { TRASH_RETENTION_DAYS, purgeExpiredProjects } = require('./lib/trash');
+const {
+  generateSecret,
+  checkWebhookUrl,
+  emitEvent,
+  sendTestEvent,
+  processDueDeliveries
+} = require('./lib/webhooks');
+const { generateFeedToken, hashFeedToken, buildCalendar } = require('./lib/calendar');
+const {
+  MAX_TOKENS_PER_USER,
+  generateAccessToken,
+  hasScope
+} = require('./lib/accessTokens');
+const { buildOpenApiSpec, findUndocumentedRoutes, renderDocsPage } = require('./lib/openapi');
+const { findProfile, updateProfile, listProfiles } = require('./lib/repositories/profiles');
+const {
+  getProjectAccess,
+  findProject,
+  listAccessibleProjects,
+  listAllProjects,
+  countOwnedProjects,
+  deleteProjects
+} = require('./lib/repositories/projects');
+const { getPagination } = require('./lib/repositories/query');
+const { listAdminActions } = require('./lib/repositories/adminActions');
+const { buildRoadmapPrompt, validateRoadmap, scheduleRoadmap } = require('./lib/roadmap');
+const { saveInsight, listFeedback, fetchFeedback } = require('./lib/insights');
+const { listModerationEvents } = require('./lib/moderation');
+const {
+  getConversation,
+  getMessages,
+  appendMessage,
+  buildConversationContext,
+  formatAdHocHistory,
+  titleFromMessage
+} = require('./lib/conversations');
+const schemas = require('./schemas');
+const { version: packageVersion } = require('./package.json');
 
 const app = express();
 
-// Initialize Gemini AI
-const API_KEY = process.env.GEMINI_API_KEY;
-if (!API_KEY) {
-  console.error('❌ GEMINI_API_KEY not found in environment variables!');
+// Behind Vercel's proxy: take the client IP from the first X-Forwarded-For hop
+app.set('trust proxy', 1);
+
+// Initialize AI provider
+const aiStatus = ai.describeProvider();
+if (!aiStatus.configured) {
+  logger.error(`AI provider "${aiStatus.provider}" is not configured! Check your environment variables.`);
 }
-const genAI = new GoogleGenerativeAI(API_KEY || "");
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_SERVICE_ROLE_KEY || ''
-);
+// Record every AI call in ai_usage
+ai.setUsageRecorder(createUsageRecorder(supabase));
 
 // Middleware
 const allowedOrigins = process.env.ALLOWED_ORIGINS 
   ? process.env.ALLOWED_ORIGINS.split(',')
   : ['http://localhost:3000'];
 
+// Request ids and error bodies first, so everything after is covered
+app.use(requestContext);
+app.use(errorEnvelope);
+
 app.use(cors({
   origin: function(origin, callback) {
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      callback(httpError(403, 'cors_origin_not_allowed', 'Origin not allowed by CORS policy'));
     }
   }
 }));
-app.use(express.json());
+// Room for project imports, which send the whole file as JSON
+app.use(express.json({ limit: '2mb' }));
 
-// --- AUTH MIDDLEWARE (INLINE) ---
-const verifyAuth = async (req, res, next) => {
+// --- AUTH & PROJECT ROUTES (routes/) ---
+app.use('/api/auth', authRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/invitations', invitationRoutes);
+
+// --- CONVERSATION ROUTES ---
+app.get('/api/conversations', verifyAuth, validate(schemas.conversations.listConversations), requireScope('conversations:read'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'No authorization token provided' 
-      });
-    }
+    let query = supabase
+      .from('conversations')
+      .select('id, project_id, title, created_at, updated_at')
+      .eq('user_id', req.user.id)
+      .order('updated_at', { ascending: false });
 
-    const token = authHeader.split(' ')[1];
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (req.query.project_id) query = query.eq('project_id', req.query.project_id);
 
-    if (error || !user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid or expired token' 
-      });
-    }
+    const { data: conversations, error } = await query;
 
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
-      .single();
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      conversations 
+    });
 
-    if (profileError) {
-      console.error('Error fetching profile:', profileError);
-      return res.status(500).json({ 
+  } catch (error) {
+    logger.error('Get conversations error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch conversations' 
+    });
+  }
+});
+
+app.get('/api/conversations/:id', verifyAuth, validate(schemas.conversations.getConversation), requireScope('conversations:read'), async (req, res) => {
+  try {
+    const conversation = await getConversation(supabase, req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Error fetching user profile' 
+        error: 'Conversation not found' 
       });
     }
 
-    req.user = user;
-    req.profile = profile;
-    req.isAdmin = profile.is_admin || false;
+    const messages = await getMessages(supabase, conversation.id);
+
+    res.json({ 
+      success: true, 
+      conversation,
+      messages 
+    });
 
-    next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    logger.error('Get conversation error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Authentication error' 
+      error: 'Failed to fetch conversation' 
     });
   }
-};
+});
 
-const optionalAuth = async (req, res, next) => {
+app.post('/api/conversations', verifyAuth, validate(schemas.conversations.createConversation), requireScope('conversations:write'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      req.user = null;
-      req.profile = null;
-      req.isAdmin = false;
-      return next();
-    }
+    const { title, project_id } = req.body;
 
-    const token = authHeader.split(' ')[1];
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (project_id) {
+      const access = await getProjectAccess(supabase, project_id, req.user.id);
 
-    if (error || !user) {
-      req.user = null;
-      req.profile = null;
-      req.isAdmin = false;
-      return next();
+      if (!access) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Project not found or access denied' 
+        });
+      }
     }
 
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .insert({
+        user_id: req.user.id,
+        project_id: project_id || null,
+        title: title || null
+      })
+      .select()
       .single();
 
-    req.user = user;
-    req.profile = profile;
-    req.isAdmin = profile?.is_admin || false;
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      conversation 
+    });
 
-    next();
   } catch (error) {
-    req.user = null;
-    req.profile = null;
-    req.isAdmin = false;
-    next();
+    logger.error('Create conversation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create conversation' 
+    });
   }
-};
+});
 
-// --- AUTH ROUTES ---
-app.post('/api/auth/signup', async (req, res) => {
+app.patch('/api/conversations/:id', verifyAuth, validate(schemas.conversations.renameConversation), requireScope('conversations:write'), async (req, res) => {
   try {
-    const { email, password, fullName } = req.body;
+    const { title } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ 
+    const existing = await getConversation(supabase, req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ 
         success: false, 
-        error: 'Email and password are required' 
+        error: 'Conversation not found' 
       });
     }
 
-    const { data, error } = await supabase.auth.signUp({
-      email,
-      password,
-      options: {
-        data: {
-          full_name: fullName || null
-        }
-      }
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .update({ title })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      conversation 
     });
 
-    if (error) {
-      return res.status(400).json({ 
+  } catch (error) {
+    logger.error('Rename conversation error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to rename conversation' 
+    });
+  }
+});
+
+app.delete('/api/conversations/:id', verifyAuth, validate(schemas.conversations.deleteConversation), requireScope('conversations:write'), async (req, res) => {
+  try {
+    const existing = await getConversation(supabase, req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ 
         success: false, 
-        error: error.message 
+        error: 'Conversation not found' 
       });
     }
 
+    // Messages go with it (ON DELETE CASCADE)
+    const { error } = await supabase
+      .from('conversations')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
     res.json({ 
       success: true, 
-      message: 'Account created successfully',
-      user: data.user,
-      session: data.session
+      message: 'Conversation deleted successfully' 
     });
 
   } catch (error) {
-    console.error('Signup error:', error);
+    logger.error('Delete conversation error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Signup failed' 
+      error: 'Failed to delete conversation' 
     });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// --- ACCESS TOKEN ROUTES ---
+// Session only: a personal access token can't list or mint other tokens
+
+// Everything but the hash
+const ACCESS_TOKEN_COLUMNS = 'id, name, token_hint, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+app.get('/api/tokens', verifyAuth, validate(schemas.tokens.listTokens), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    let query = supabase
+      .from('personal_access_tokens')
+      .select(ACCESS_TOKEN_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
 
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email and password are required' 
-      });
-    }
+    if (!req.query.include_revoked) query = query.is('revoked_at', null);
 
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password
+    const { data: tokens, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      tokens 
+    });
+
+  } catch (error) {
+    logger.error('Get tokens error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch access tokens' 
     });
+  }
+});
+
+app.post('/api/tokens', verifyAuth, validate(schemas.tokens.createToken), async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    const { count, error: countError } = await supabase
+      .from('personal_access_tokens')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null);
 
-    if (error) {
-      return res.status(401).json({ 
+    if (countError) throw countError;
+
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ 
         success: false, 
-        error: error.message 
+        error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens; revoke one first` 
       });
     }
 
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', data.user.id)
+    const { token, hash, hint } = generateAccessToken();
+    const expiresAt = expires_in_days
+      ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data: accessToken, error } = await supabase
+      .from('personal_access_tokens')
+      .insert({
+        user_id: req.user.id,
+        name,
+        token_hash: hash,
+        token_hint: hint,
+        scopes: [...new Set(scopes)],
+        expires_at: expiresAt
+      })
+      .select(ACCESS_TOKEN_COLUMNS)
       .single();
 
+    if (error) throw error;
+
     res.json({ 
       success: true, 
-      message: 'Login successful',
-      user: data.user,
-      profile: profile,
-      session: data.session
+      token: accessToken,
+      secret: token 
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Create token error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Login failed' 
+      error: 'Failed to create access token' 
     });
   }
 });
 
-app.post('/api/auth/logout', async (req, res) => {
+app.delete('/api/tokens/:id', verifyAuth, validate(schemas.tokens.revokeToken), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader?.split(' ')[1];
+    const { data: revoked, error } = await supabase
+      .from('personal_access_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw error;
 
-    if (token) {
-      await supabase.auth.signOut(token);
+    if (!revoked.length) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Access token not found' 
+      });
     }
 
     res.json({ 
       success: true, 
-      message: 'Logged out successfully' 
+      message: 'Access token revoked' 
     });
 
   } catch (error) {
-    console.error('Logout error:', error);
+    logger.error('Revoke token error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Logout failed' 
+      error: 'Failed to revoke access token' 
     });
   }
 });
 
-app.get('/api/auth/me', async (req, res) => {
+// --- CALENDAR ROUTES ---
+
+// Public base URL for links handed out by the API, e.g. calendar feeds
+const getPublicBaseUrl = (req) => {
+  if (process.env.PUBLIC_API_URL) return process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+  return `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+};
+
+app.get('/api/calendar/feed', verifyAuth, validate(schemas.calendar.getFeed), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'No token provided' 
-      });
-    }
+    const { data: feed, error } = await supabase
+      .from('calendar_feeds')
+      .select('created_at, last_accessed_at')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
 
-    const token = authHeader.split(' ')[1];
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    res.json({ 
+      success: true, 
+      feed 
+    });
 
-    if (error || !user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid token' 
-      });
-    }
+  } catch (error) {
+    logger.error('Get calendar feed error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch calendar feed' 
+    });
+  }
+});
+
+app.post('/api/calendar/feed', verifyAuth, validate(schemas.calendar.createFeed), async (req, res) => {
+  try {
+    const token = generateFeedToken();
 
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
+    // Regenerating replaces the hash, so the old URL stops working
+    const { data: feed, error } = await supabase
+      .from('calendar_feeds')
+      .upsert({
+        user_id: req.user.id,
+        token_hash: hashFeedToken(token),
+        last_accessed_at: null,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('created_at, last_accessed_at')
       .single();
 
+    if (error) throw error;
+
+    const url = `${getPublicBaseUrl(req)}/api/calendar/${token}.ics`;
+
     res.json({ 
       success: true, 
-      user,
-      profile 
+      feed,
+      token,
+      url,
+      webcal_url: url.replace(/^https?:/, 'webcal:') 
     });
 
   } catch (error) {
-    console.error('Get user error:', error);
+    logger.error('Create calendar feed error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to get user' 
+      error: 'Failed to create calendar feed' 
     });
   }
 });
 
-// --- PROJECT ROUTES ---
-app.get('/api/projects', verifyAuth, async (req, res) => {
+app.delete('/api/calendar/feed', verifyAuth, validate(schemas.calendar.revokeFeed), async (req, res) => {
   try {
-    const { data: projects, error } = await supabase
-      .from('projects')
-      .select('*')
+    const { data: deleted, error } = await supabase
+      .from('calendar_feeds')
+      .delete()
       .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+      .select('user_id');
 
     if (error) throw error;
 
+    if (!deleted.length) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No calendar feed to revoke' 
+      });
+    }
+
     res.json({ 
       success: true, 
-      projects 
+      message: 'Calendar feed revoked' 
     });
 
   } catch (error) {
-    console.error('Get projects error:', error);
+    logger.error('Revoke calendar feed error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch projects' 
+      error: 'Failed to revoke calendar feed' 
     });
   }
 });
 
-app.get('/api/projects/:id', verifyAuth, async (req, res) => {
+// Fetched by calendar apps: the token in the URL stands in for the Authorization header
+app.get('/api/calendar/:token.ics', validate(schemas.calendar.feed), async (req, res) => {
   try {
-    const { data: project, error } = await supabase
-      .from('projects')
-      .select('*')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
+    const { data: feed } = await supabase
+      .from('calendar_feeds')
+      .select('user_id')
+      .eq('token_hash', hashFeedToken(req.params.token))
+      .maybeSingle();
 
-    if (error) throw error;
+    const profile = feed ? await findProfile(supabase, feed.user_id) : null;
 
-    if (!project) {
+    // Suspended accounts' feeds go dark along with the rest of their access
+    if (!feed || !profile || profile.suspended_at) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found' 
+        error: 'Calendar feed not found' 
       });
     }
 
+    const { project_id: projectIds, status, tags, milestones: withMilestones } = req.query;
+
+    const projects = (await listAccessibleProjects(supabase, feed.user_id, projectIds))
+      .filter(project => !status || status.includes(project.status))
+      .filter(project => !tags || (project.tags || []).some(tag => tags.includes(tag)));
+
+    let milestones = [];
+    if (withMilestones && projects.length) {
+      const { data, error } = await supabase
+        .from('milestones')
+        .select('*')
+        .in('project_id', projects.map(project => project.id))
+        .not('due_date', 'is', null)
+        .order('due_date', { ascending: true });
+
+      if (error) throw error;
+      milestones = data;
+    }
+
+    await supabase
+      .from('calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('user_id', feed.user_id);
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar').send(buildCalendar(projects, milestones));
+
+  } catch (error) {
+    logger.error('Calendar feed error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to build calendar feed' 
+    });
+  }
+});
+
+// --- WEBHOOK ROUTES ---
+
+// Everything but the secret, which is only shown once on creation
+const WEBHOOK_COLUMNS = 'id, url, events, description, enabled, consecutive_failures, disabled_at, disabled_reason, created_at, updated_at';
+
+const getOwnWebhook = async (webhookId, userId) => {
+  const { data: webhook } = await supabase
+    .from('webhooks')
+    .select('*')
+    .eq('id', webhookId)
+    .eq('user_id', userId)
+    .single();
+
+  return webhook || null;
+};
+
+app.get('/api/webhooks', verifyAuth, validate(schemas.webhooks.listWebhooks), requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
     res.json({ 
       success: true, 
-      project 
+      webhooks 
     });
 
   } catch (error) {
-    console.error('Get project error:', error);
+    logger.error('Get webhooks error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch project' 
+      error: 'Failed to fetch webhooks' 
     });
   }
 });
 
-app.post('/api/projects', verifyAuth, async (req, res) => {
+app.post('/api/webhooks', verifyAuth, validate(schemas.webhooks.createWebhook), requireScope('webhooks:manage'), async (req, res) => {
   try {
-    const { name, description, logo_url, team_size, due_date, tags, priority } = req.body;
+    const { url, events, description } = req.body;
 
-    if (!name) {
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Project name is required' 
+        error: urlError 
       });
     }
 
-    const { data: project, error } = await supabase
-      .from('projects')
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
       .insert({
         user_id: req.user.id,
-        name,
+        url,
+        events: [...new Set(events)],
         description,
-        logo_url,
-        team_size: team_size || 1,
-        due_date,
-        tags: tags || [],
-        priority: priority || 'medium'
+        secret: generateSecret()
       })
-      .select()
+      .select(`${WEBHOOK_COLUMNS}, secret`)
       .single();
 
     if (error) throw error;
 
     res.json({ 
       success: true, 
-      project 
+      webhook 
     });
 
   } catch (error) {
-    console.error('Create project error:', error);
+    logger.error('Create webhook error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to create project' 
+      error: 'Failed to create webhook' 
     });
   }
 });
 
-app.patch('/api/projects/:id', verifyAuth, async (req, res) => {
+app.patch('/api/webhooks/:id', verifyAuth, validate(schemas.webhooks.updateWebhook), requireScope('webhooks:manage'), async (req, res) => {
   try {
-    const { name, description, logo_url, progress, team_size, due_date, status, tags, priority } = req.body;
-
-    const { data: existing } = await supabase
-      .from('projects')
-      .select('id')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
+    const existing = await getOwnWebhook(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found or access denied' 
+        error: 'Webhook not found' 
       });
     }
 
+    const { url, events, description, enabled } = req.body;
+
     const updates = {};
-    if (name !== undefined) updates.name = name;
+    if (url !== undefined) {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ 
+          success: false, 
+          error: urlError 
+        });
+      }
+      updates.url = url;
+    }
+    if (events !== undefined) updates.events = [...new Set(events)];
     if (description !== undefined) updates.description = description;
-    if (logo_url !== undefined) updates.logo_url = logo_url;
-    if (progress !== undefined) updates.progress = progress;
-    if (team_size !== undefined) updates.team_size = team_size;
-    if (due_date !== undefined) updates.due_date = due_date;
-    if (status !== undefined) updates.status = status;
-    if (tags !== undefined) updates.tags = tags;
-    if (priority !== undefined) updates.priority = priority;
-
-    const { data: project, error } = await supabase
-      .from('projects')
+    if (enabled !== undefined) {
+      updates.enabled = enabled;
+      // Re-enabling starts the failure count over
+      if (enabled) Object.assign(updates, { consecutive_failures: 0, disabled_at: null, disabled_reason: null });
+    }
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
       .update(updates)
-      .eq('id', req.params.id)
-      .select()
+      .eq('id', existing.id)
+      .select(WEBHOOK_COLUMNS)
       .single();
 
     if (error) throw error;
 
     res.json({ 
       success: true, 
-      project 
+      webhook 
     });
 
   } catch (error) {
-    console.error('Update project error:', error);
+    logger.error('Update webhook error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update project' 
+      error: 'Failed to update webhook' 
     });
   }
 });
 
-app.delete('/api/projects/:id', verifyAuth, async (req, res) => {
+app.delete('/api/webhooks/:id', verifyAuth, validate(schemas.webhooks.deleteWebhook), requireScope('webhooks:manage'), async (req, res) => {
   try {
-    const { data: existing } = await supabase
-      .from('projects')
-      .select('id')
+    const { data: deleted, error } = await supabase
+      .from('webhooks')
+      .delete()
       .eq('id', req.params.id)
       .eq('user_id', req.user.id)
-      .single();
+      .select('id');
 
-    if (!existing) {
+    if (error) throw error;
+
+    if (!deleted.length) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Project not found or access denied' 
+        error: 'Webhook not found' 
       });
     }
 
-    const { error } = await supabase
-      .from('projects')
-      .delete()
-      .eq('id', req.params.id);
-
-    if (error) throw error;
-
     res.json({ 
       success: true, 
-      message: 'Project deleted successfully' 
+      message: 'Webhook deleted successfully' 
     });
 
   } catch (error) {
-    console.error('Delete project error:', error);
+    logger.error('Delete webhook error', { error });
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to delete project' 
+      error: 'Failed to delete webhook' 
     });
   }
 });
 
-// --- AI ROUTES ---
-const NEXUS_SYSTEM_PROMPT = `You are Nexus AI, an intelligent project management assistant built to help users plan and execute their projects successfully.
-
-PERSONALITY:
-- Friendly, encouraging, and professional
-- Give actionable, specific advice (not generic tips)
-- Be concise but thorough
-- Focus on practical solutions
-
-YOUR ROLE:
-- Analyze project details and provide smart, personalized hints
-- Suggest tech stacks and tools based on project type
-- Create roadmaps and timelines
-- Help with problem-solving and decision-making
-- Offer team management and productivity tips
-
-IMPORTANT RULES:
-- NEVER say "I'm Gemini" or mention Google - you are NEXUS AI
-- Give SPECIFIC advice with examples, not generic tips
-- Keep responses under 300 words unless asked for more detail
-- Use markdown formatting (##, **, bullet points)
-- Be encouraging but honest about challenges.`;
-
-const getModelResponse = async (prompt) => {
-  // CRITICAL CHANGE: Using the current latest stable alias for 2026
-  const model = genAI.getGenerativeModel({ 
-    model: "gemini-3-flash-preview",
-    generationConfig: {
-      temperature: 0.8,
-      maxOutputTokens: 2048,
-    },
-  });
+app.post('/api/webhooks/:id/test', verifyAuth, validate(schemas.webhooks.testWebhook), requireScope('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await getOwnWebhook(req.params.id, req.user.id);
 
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  return response.text();
-};
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Webhook not found' 
+      });
+    }
 
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    geminiConfigured: !!API_KEY,
-    supabaseConfigured: !!process.env.SUPABASE_URL
-  });
-});
+    const delivery = await sendTestEvent(supabase, webhook);
+
+    res.json({ 
+      success: true, 
+      delivery 
+    });
 
-app.get('/api/test', async (req, res) => {
-  try {
-    const text = await getModelResponse('Say "Nexus AI is online!" in a friendly way.');
-    res.json({ success: true, message: text });
   } catch (error) {
-    console.error('Test error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    logger.error('Test webhook error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send test event' 
+    });
   }
 });
 
-app.post('/api/project-hints', optionalAuth, async (req, res) => {
+app.get('/api/webhooks/:id/deliveries', verifyAuth, validate(schemas.webhooks.listDeliveries), requireScope('webhooks:manage'), async (req, res) => {
   try {
-    const { project } = req.body;
-    if (!project?.name) return res.status(400).json({ success: false, error: 'Project data is required' });
+    const webhook = await getOwnWebhook(req.params.id, req.user.id);
 
-    const prompt = `${NEXUS_SYSTEM_PROMPT}
-USER'S PROJECT:
-- Name: ${project.name}
-- Description: ${project.description || 'No description'}
-- Progress: ${project.progress || 0}%
-- Team: ${project.team_size || project.team || 1} members
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Webhook not found' 
+      });
+    }
 
-TASK: Provide Smart Insights, Recommended Tech Stack, Next Steps, and Challenges.`;
+    const { page, limit, from, to } = getPagination(req.query);
 
-    const text = await getModelResponse(prompt);
-    res.json({ success: true, hints: text });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*', { count: 'exact' })
+      .eq('webhook_id', webhook.id)
+      .order('created_at', { ascending: false })
+      .range(from, to);
 
-app.post('/api/chat', optionalAuth, async (req, res) => {
-  try {
-    const { message, project, conversationHistory } = req.body;
-    if (!message) return res.status(400).json({ success: false, error: 'Message is required' });
+    if (req.query.status) query = query.eq('status', req.query.status);
+    if (req.query.event) query = query.eq('event', req.query.event);
 
-    let context = conversationHistory?.slice(-5).map(msg => `${msg.role}: ${msg.content}`).join('\n') || '';
-    let projectContext = project ? `\nCONTEXT: Project ${project.name} is ${project.progress || 0}% done.` : '';
+    const { data: deliveries, count, error } = await query;
 
-    const fullPrompt = `${NEXUS_SYSTEM_PROMPT}\n${context}${projectContext}\nUSER: ${message}\nNEXUS AI:`;
+    if (error) throw error;
 
-    const text = await getModelResponse(fullPrompt);
-    res.json({ success: true, response: text });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    res.json({ 
+      success: true, 
+      deliveries,
+      pagination: { page, limit, total: count } 
+    });
+
+  } catch (error) {
+    logger.error('Get webhook deliveries error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch webhook deliveries' 
+    });
+  }
+});
+
+// --- ADMIN ROUTES ---
+// Ban length used for suspensions (~100 years); lifted on reactivation
+const SUSPENSION_BAN_DURATION = '876000h';
+
+app.get('/api/admin/users', verifyAuth, requireAdmin, validate(schemas.admin.listUsers), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+
+    const { profiles: users, total } = await listProfiles(supabase, {
+      search: req.query.search,
+      isAdmin: req.query.is_admin,
+      suspended: req.query.suspended,
+      from,
+      to
+    });
+
+    res.json({ 
+      success: true, 
+      users,
+      pagination: { page, limit, total } 
+    });
+
+  } catch (error) {
+    logger.error('Admin list users error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch users' 
+    });
+  }
+});
+
+app.get('/api/admin/users/:id', verifyAuth, requireAdmin, validate(schemas.admin.getUser), async (req, res) => {
+  try {
+    const profile = await findProfile(supabase, req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    const { data: authData } = await supabase.auth.admin.getUserById(req.params.id);
+    const projectCount = await countOwnedProjects(supabase, req.params.id);
+
+    res.json({ 
+      success: true, 
+      user: authData?.user || null,
+      profile,
+      projectCount: projectCount || 0 
+    });
+
+  } catch (error) {
+    logger.error('Admin get user error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch user' 
+    });
+  }
+});
+
+app.patch('/api/admin/users/:id/admin', verifyAuth, requireAdmin, validate(schemas.admin.setAdmin), async (req, res) => {
+  try {
+    const { is_admin } = req.body;
+
+    if (req.params.id === req.user.id && !is_admin) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You cannot remove your own admin access' 
+      });
+    }
+
+    const profile = await updateProfile(supabase, req.params.id, { is_admin });
+
+    if (!profile) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    await logAdminAction(supabase, req.user.id, is_admin ? 'user.grant_admin' : 'user.revoke_admin', {
+      target_user_id: req.params.id,
+      ip: req.ip
+    });
+
+    res.json({ 
+      success: true, 
+      profile 
+    });
+
+  } catch (error) {
+    logger.error('Admin toggle admin error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update admin status' 
+    });
+  }
+});
+
+app.post('/api/admin/users/:id/suspend', verifyAuth, requireAdmin, validate(schemas.admin.suspendUser), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You cannot suspend your own account' 
+      });
+    }
+
+    const profile = await updateProfile(supabase, req.params.id, {
+      suspended_at: new Date().toISOString(),
+      suspended_reason: req.body.reason || null
+    });
+
+    if (!profile) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    // Banning also stops new sign-ins and refreshes
+    const { error: banError } = await supabase.auth.admin.updateUserById(req.params.id, {
+      ban_duration: SUSPENSION_BAN_DURATION
+    });
+
+    if (banError) throw banError;
+
+    await logAdminAction(supabase, req.user.id, 'user.suspend', {
+      target_user_id: req.params.id,
+      reason: req.body.reason || null,
+      ip: req.ip
+    });
+
+    res.json({ 
+      success: true, 
+      profile 
+    });
+
+  } catch (error) {
+    logger.error('Admin suspend user error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to suspend user' 
+    });
+  }
+});
+
+app.post('/api/admin/users/:id/reactivate', verifyAuth, requireAdmin, validate(schemas.admin.reactivateUser), async (req, res) => {
+  try {
+    const profile = await updateProfile(supabase, req.params.id, { suspended_at: null, suspended_reason: null });
+
+    if (!profile) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    const { error: banError } = await supabase.auth.admin.updateUserById(req.params.id, {
+      ban_duration: 'none'
+    });
+
+    if (banError) throw banError;
+
+    await logAdminAction(supabase, req.user.id, 'user.reactivate', {
+      target_user_id: req.params.id,
+      ip: req.ip
+    });
+
+    res.json({ 
+      success: true, 
+      profile 
+    });
+
+  } catch (error) {
+    logger.error('Admin reactivate user error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reactivate user' 
+    });
+  }
+});
+
+app.get('/api/admin/projects', verifyAuth, requireAdmin, validate(schemas.admin.listProjects), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+
+    const { projects, total } = await listAllProjects(supabase, {
+      userId: req.query.user_id,
+      status: req.query.status,
+      deleted: req.query.deleted,
+      search: req.query.search,
+      from,
+      to
+    });
+
+    res.json({ 
+      success: true, 
+      projects,
+      pagination: { page, limit, total } 
+    });
+
+  } catch (error) {
+    logger.error('Admin list projects error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch projects' 
+    });
+  }
+});
+
+app.get('/api/admin/projects/:id', verifyAuth, requireAdmin, validate(schemas.admin.getProject), async (req, res) => {
+  try {
+    const project = await findProject(supabase, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Project not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      project 
+    });
 
-app.post('/api/roadmap', optionalAuth, async (req, res) => {
+  } catch (error) {
+    logger.error('Admin get project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch project' 
+    });
+  }
+});
+
+app.delete('/api/admin/projects/:id', verifyAuth, requireAdmin, validate(schemas.admin.deleteProject), async (req, res) => {
+  try {
+    const project = await findProject(supabase, req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Project not found' 
+      });
+    }
+
+    await deleteProjects(supabase, [project.id]);
+
+    await logAdminAction(supabase, req.user.id, 'project.delete', {
+      project_id: project.id,
+      project_name: project.name,
+      owner_id: project.user_id,
+      reason: req.body?.reason || null,
+      ip: req.ip
+    });
+
+    res.json({ 
+      success: true, 
+      message: 'Project deleted successfully' 
+    });
+
+  } catch (error) {
+    logger.error('Admin delete project error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete project' 
+    });
+  }
+});
+
+app.get('/api/admin/actions', verifyAuth, requireAdmin, validate(schemas.admin.listActions), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+
+    const { actions, total } = await listAdminActions(supabase, {
+      adminId: req.query.admin_id,
+      actionType: req.query.action_type,
+      after: req.query.from,
+      before: req.query.to,
+      from,
+      to
+    });
+
+    res.json({ 
+      success: true, 
+      actions,
+      pagination: { page, limit, total } 
+    });
+
+  } catch (error) {
+    logger.error('Admin list actions error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch admin actions' 
+    });
+  }
+});
+
+// Usage reports default to the last 30 days
+const getUsageFilters = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    userId: query.user_id,
+    route: query.route,
+    projectId: query.project_id
+  };
+};
+
+app.get('/api/admin/usage', verifyAuth, requireAdmin, validate(schemas.admin.usageReport), async (req, res) => {
+  try {
+    const groupBy = req.query.group_by;
+    const filters = getUsageFilters(req.query);
+
+    const report = aggregateUsage(await fetchUsage(supabase, filters), groupBy);
+
+    if (req.query.format === 'csv') {
+      const columns = [groupBy, 'requests', 'errors', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'avg_latency_ms', 'cost_usd', 'unpriced_requests'];
+      res.set('Content-Disposition', `attachment; filename="ai-usage-by-${groupBy}.csv"`);
+      return res.type('text/csv').send(toCsv(report, columns));
+    }
+
+    res.json({ 
+      success: true, 
+      groupBy,
+      from: filters.from,
+      to: filters.to,
+      totals: totalUsage(report),
+      report 
+    });
+
+  } catch (error) {
+    logger.error('Admin usage report error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to build usage report' 
+    });
+  }
+});
+
+app.get('/api/admin/usage/calls', verifyAuth, requireAdmin, validate(schemas.admin.usageCalls), async (req, res) => {
+  try {
+    const filters = getUsageFilters(req.query);
+
+    if (req.query.format === 'csv') {
+      const calls = (await fetchUsage(supabase, filters)).map(call => ({ ...call, cost_usd: costOf(call) }));
+      const columns = ['created_at', 'user_id', 'project_id', 'route', 'provider', 'model', 'streamed', 'status', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'cost_usd', 'error'];
+      res.set('Content-Disposition', 'attachment; filename="ai-usage-calls.csv"');
+      return res.type('text/csv').send(toCsv(calls, columns));
+    }
+
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('ai_usage')
+      .select('*', { count: 'exact' })
+      .gte('created_at', filters.from)
+      .lte('created_at', filters.to)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (filters.userId) query = query.eq('user_id', filters.userId);
+    if (filters.route) query = query.eq('route', filters.route);
+    if (filters.projectId) query = query.eq('project_id', filters.projectId);
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data: calls, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ 
+      success: true, 
+      calls: calls.map(call => ({ ...call, cost_usd: costOf(call) })),
+      pagination: { page, limit, total: count } 
+    });
+
+  } catch (error) {
+    logger.error('Admin usage calls error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch usage records' 
+    });
+  }
+});
+
+app.get('/api/admin/insights/feedback', verifyAuth, requireAdmin, validate(schemas.insights.exportFeedback), async (req, res) => {
+  try {
+    const { from: since, to: until } = getUsageFilters(req.query);
+    const filters = {
+      from: since,
+      to: until,
+      kind: req.query.kind,
+      rating: req.query.rating,
+      projectId: req.query.project_id
+    };
+
+    if (req.query.format === 'csv') {
+      const rows = (await fetchFeedback(supabase, filters)).map(row => ({ ...row, inputs: JSON.stringify(row.inputs) }));
+      const columns = ['created_at', 'updated_at', 'insight_id', 'project_id', 'kind', 'version', 'format', 'provider', 'model', 'rating', 'comment', 'user_id', 'inputs', 'content'];
+      res.set('Content-Disposition', 'attachment; filename="insight-feedback.csv"');
+      return res.type('text/csv').send(toCsv(rows, columns));
+    }
+
+    const { page, limit, from, to } = getPagination(req.query);
+    const { feedback, total } = await listFeedback(supabase, filters, { from, to });
+
+    res.json({ 
+      success: true, 
+      feedback,
+      pagination: { page, limit, total } 
+    });
+
+  } catch (error) {
+    logger.error('Admin insight feedback error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch insight feedback' 
+    });
+  }
+});
+
+app.get('/api/admin/moderation', verifyAuth, requireAdmin, validate(schemas.admin.listModerationEvents), async (req, res) => {
+  try {
+    const { page, limit, from, to } = getPagination(req.query);
+    const { from: since, to: until } = getUsageFilters(req.query);
+
+    const { events, total } = await listModerationEvents(supabase, {
+      from: since,
+      to: until,
+      stage: req.query.stage,
+      action: req.query.action,
+      flag: req.query.flag,
+      userId: req.query.user_id,
+      reviewed: req.query.reviewed
+    }, { from, to });
+
+    res.json({ 
+      success: true, 
+      events,
+      pagination: { page, limit, total } 
+    });
+
+  } catch (error) {
+    logger.error('Admin moderation list error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch moderation events' 
+    });
+  }
+});
+
+app.post('/api/admin/moderation/:id/review', verifyAuth, requireAdmin, validate(schemas.admin.reviewModerationEvent), async (req, res) => {
+  try {
+    const { data: event, error } = await supabase
+      .from('ai_moderation_events')
+      .update({
+        reviewed_at: new Date().toISOString(),
+        reviewed_by: req.user.id,
+        review_note: req.body.note || null
+      })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!event) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Moderation event not found' 
+      });
+    }
+
+    await logAdminAction(supabase, req.user.id, 'moderation.review', {
+      event_id: event.id,
+      target_user_id: event.user_id,
+      note: req.body.note || null,
+      ip: req.ip
+    });
+
+    res.json({ 
+      success: true, 
+      event 
+    });
+
+  } catch (error) {
+    logger.error('Admin moderation review error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to review moderation event' 
+    });
+  }
+});
+
+// --- AI ROUTES ---
+app.get('/api/health', validate(schemas.ai.health), (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    ai: ai.describeProvider(),
+    supabaseConfigured: !!process.env.SUPABASE_URL,
+    dataBackend: DATA_BACKEND
+  });
+});
+
+app.get('/api/usage', optionalAuth, validate(schemas.ai.usage), requireScope('ai:use'), async (req, res) => {
+  try {
+    const usage = await getUsage(req);
+    res.json({ success: true, usage });
+  } catch (error) {
+    logger.error('Get usage error', { error });
+    res.status(500).json({ success: false, error: 'Failed to fetch usage' });
+  }
+});
+
+app.get('/api/test', optionalAuth, validate(schemas.ai.test), requireScope('ai:use'), aiRateLimit, selectProvider, async (req, res) => {
+  try {
+    const text = await getModelResponse('Say "Nexus AI is online!" in a friendly way.', aiOptions(req));
+    res.json({ success: true, message: text });
+  } catch (error) {
+    sendAiError(res, error, 'Test error');
+  }
+});
+
+/**
+ * Keep a generated hint or roadmap as the next insight version of the
+ * request's project (see lib/insights.js)
+ * Only for signed-in editors of a saved project; tokens also need projects:write.
+ * Resolves to { id, version }, or null when nothing was saved. A failed save
+ * is logged rather than failing the generation.
+ */
+const saveProjectInsight = async (req, { kind, format, content, inputs }) => {
+  const projectId = req.body.project?.id;
+  if (!req.user || !projectId) return null;
+  if (req.tokenScopes && !hasScope(req.tokenScopes, 'projects:write')) return null;
+
+  try {
+    const access = await getProjectAccess(supabase, projectId, req.user.id);
+    if (!access || PROJECT_ROLES.indexOf(access.role) < PROJECT_ROLES.indexOf('editor')) return null;
+
+    const provider = ai.getProvider(req.aiProvider);
+    const insight = await saveInsight(supabase, {
+      projectId,
+      userId: req.user.id,
+      kind,
+      format,
+      content,
+      inputs,
+      provider: provider.name,
+      model: provider.model
+    });
+
+    return { id: insight.id, version: insight.version };
+  } catch (error) {
+    logger.error('Save insight error', { error });
+    return null;
+  }
+};
+
+app.post(['/api/project-hints', '/api/project-hints/stream'], optionalAuth, validate(schemas.ai.projectHints), requireScope('ai:use'), aiRateLimit, selectProvider, screenPrompt, async (req, res) => {
   try {
     const { project } = req.body;
-    if (!project?.name) return res.status(400).json({ success: false, error: 'Project data is required' });
 
-    const prompt = `${NEXUS_SYSTEM_PROMPT}\nCreate a 5-phase roadmap for: ${project.name}. Description: ${project.description}`;
-    const text = await getModelResponse(prompt);
-    res.json({ success: true, roadmap: text });
+    const prompt = `${NEXUS_SYSTEM_PROMPT}
+USER'S PROJECT:
+${fenceUserContent(`- Name: ${project.name}
+- Description: ${project.description || 'No description'}`)}
+- Progress: ${project.progress || 0}%
+- Team: ${project.team_size || project.team || 1} members
+
+TASK: Provide Smart Insights, Recommended Tech Stack, Next Steps, and Challenges.`;
+
+    const inputs = {
+      name: project.name,
+      description: project.description,
+      progress: project.progress || 0,
+      team_size: project.team_size || project.team || 1
+    };
+    const cacheKey = aiCacheKey(req, 'project-hints', inputs);
+    const save = (text) => saveProjectInsight(req, { kind: 'hints', format: 'markdown', content: text, inputs });
+
+    if (wantsEventStream(req)) {
+      return sendModelStream(req, res, prompt, {
+        cacheKey,
+        onComplete: async (text) => ({ insight: await save(text) })
+      });
+    }
+
+    const { value: text, cached, cachedAt } = await getCachedResponse(req, cacheKey, () => getModelResponse(prompt, aiOptions(req)));
+    const insight = await save(text);
+    res.json({ success: true, hints: text, cached, cachedAt, insight });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendAiError(res, error, 'Project hints error');
   }
 });
 
-// Export for Vercel
-if (process.env.NODE_ENV !== 'production') {
+app.post(['/api/chat', '/api/chat/stream'], optionalAuth, validate(schemas.ai.chat), requireScope('ai:use'), aiRateLimit, selectProvider, screenPrompt, async (req, res) => {
+  try {
+    const { message, project, conversationHistory, conversationId } = req.body;
+
+    let conversation = null;
+    if (conversationId) {
+      if (!req.user) return res.status(401).json({ success: false, error: 'Authentication required for saved conversations' });
+      if (req.tokenScopes && !hasScope(req.tokenScopes, 'conversations:write')) {
+        return res.status(403).json({ success: false, error: 'This token is missing the conversations:write scope' });
+      }
+
+      conversation = await getConversation(supabase, conversationId, req.user.id);
+      if (!conversation) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    // Saved conversations rebuild their history server-side; client history only backs ad-hoc chats
+    // Summaries never reach the user, so they skip output screening
+    const summarize = (summaryPrompt) => getModelResponse(summaryPrompt, aiOptions(req, { onOutput: null }));
+    let context = conversation
+      ? await buildConversationContext(supabase, conversation, summarize)
+      : formatAdHocHistory(conversationHistory);
+
+    let chatProject = project;
+    if (!chatProject && conversation?.project_id) {
+      const linked = await findProject(supabase, conversation.project_id);
+      chatProject = linked && !linked.deleted_at ? linked : null;
+    }
+
+    let projectContext = chatProject
+      ? `\nCONTEXT: Project ${fenceUserContent(chatProject.name)} is ${chatProject.progress || 0}% done.`
+      : '';
+
+    const fullPrompt = `${NEXUS_SYSTEM_PROMPT}\n${context}${projectContext}\nUSER: ${fenceUserContent(message)}\nNEXUS AI:`;
+
+    // Both turns are stored once the reply is complete
+    const saveTurns = async (text) => {
+      if (!conversation) return {};
+
+      await appendMessage(supabase, conversation.id, 'user', message);
+      await appendMessage(supabase, conversation.id, 'assistant', text);
+
+      if (!conversation.title) {
+        await supabase
+          .from('conversations')
+          .update({ title: titleFromMessage(message) })
+          .eq('id', conversation.id);
+      }
+
+      return { conversationId: conversation.id };
+    };
+
+    if (wantsEventStream(req)) return sendModelStream(req, res, fullPrompt, { onComplete: saveTurns });
+
+    const text = await getModelResponse(fullPrompt, aiOptions(req));
+    const saved = await saveTurns(text);
+    res.json({ success: true, response: text, ...saved });
+  } catch (error) {
+    sendAiError(res, error, 'Chat error');
+  }
+});
+
+// roadmap.generated goes to the signed-in caller's webhooks
+const emitRoadmapEvent = (req, format, roadmap) => {
+  if (!req.user) return;
+
+  const { project } = req.body;
+  emitEvent(supabase, {
+    event: 'roadmap.generated',
+    userIds: [req.user.id],
+    data: { project: { id: project.id || null, name: project.name }, format, roadmap }
+  }).catch(error => logger.error('Webhook event error', { error }));
+};
+
+app.post(['/api/roadmap', '/api/roadmap/stream'], optionalAuth, validate(schemas.ai.roadmap), requireScope('ai:use'), aiRateLimit, selectProvider, screenPrompt, async (req, res) => {
+  try {
+    const { project } = req.body;
+
+    if ((req.body.format || req.query.format) === 'json') {
+      if (wantsEventStream(req)) return res.status(400).json({ success: false, error: 'Structured roadmaps cannot be streamed' });
+
+      const jsonInputs = {
+        name: project.name,
+        description: project.description,
+        team_size: project.team_size || project.team || 1,
+        due_date: project.due_date
+      };
+      const jsonKey = aiCacheKey(req, 'roadmap:json', jsonInputs);
+
+      // The unscheduled roadmap is cached; scheduling is cheap and done per request
+      const { value, cached, cachedAt } = await getCachedResponse(req, jsonKey, async () => {
+        const { data, attempts } = await generateStructured(
+          buildRoadmapPrompt(NEXUS_SYSTEM_PROMPT, project),
+          validateRoadmap,
+          aiOptions(req)
+        );
+        return { data, attempts };
+      });
+
+      const roadmap = scheduleRoadmap(value.data, { dueDate: project.due_date });
+      emitRoadmapEvent(req, 'json', roadmap);
+      // Saved unscheduled, like the cache: dates are worked out again whenever it is used
+      const insight = await saveProjectInsight(req, { kind: 'roadmap', format: 'json', content: value.data, inputs: jsonInputs });
+      return res.json({ success: true, roadmap, attempts: value.attempts, cached, cachedAt, insight });
+    }
+
+    const prompt = `${NEXUS_SYSTEM_PROMPT}\nCreate a 5-phase roadmap for this project:\n${fenceUserContent(`Name: ${project.name}\nDescription: ${project.description || 'No description'}`)}`;
+    const inputs = { name: project.name, description: project.description };
+    const cacheKey = aiCacheKey(req, 'roadmap:markdown', inputs);
+    const save = (text) => saveProjectInsight(req, { kind: 'roadmap', format: 'markdown', content: text, inputs });
+
+    if (wantsEventStream(req)) {
+      return sendModelStream(req, res, prompt, {
+        cacheKey,
+        onComplete: async (text) => {
+          emitRoadmapEvent(req, 'markdown', text);
+          return { insight: await save(text) };
+        }
+      });
+    }
+
+    const { value: text, cached, cachedAt } = await getCachedResponse(req, cacheKey, () => getModelResponse(prompt, aiOptions(req)));
+    emitRoadmapEvent(req, 'markdown', text);
+    const insight = await save(text);
+    res.json({ success: true, roadmap: text, cached, cachedAt, insight });
+  } catch (error) {
+    sendAiError(res, error, 'Roadmap error');
+  }
+});
+
+// --- SCHEDULED JOBS ---
+
+// Triggered by Vercel Cron (see vercel.json)
+app.get('/api/cron/purge-trash', validate(schemas.cron.purgeTrash), requireCronSecret, async (req, res) => {
+  try {
+    const purged = await purgeExpiredProjects(supabase);
+
+    res.json({ 
+      success: true, 
+      purged: purged.length,
+      retentionDays: TRASH_RETENTION_DAYS 
+    });
+
+  } catch (error) {
+    logger.error('Purge trash error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to purge trash' 
+    });
+  }
+});
+
+app.get('/api/cron/webhooks', validate(schemas.cron.retryWebhooks), requireCronSecret, async (req, res) => {
+  try {
+    const attempted = await processDueDeliveries(supabase);
+
+    res.json({ 
+      success: true, 
+      attempted 
+    });
+
+  } catch (error) {
+    logger.error('Webhook retry error', { error });
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to retry webhook deliveries' 
+    });
+  }
+});
+
+// --- DOCS ROUTES ---
+
+// Built on first request, once every route is registered
+let openApiSpec = null;
+
+app.get('/api/openapi.json', validate(schemas.docs.openApi), (req, res) => {
+  if (!openApiSpec) {
+    openApiSpec = buildOpenApiSpec(app, {
+      title: 'Nexus AI API',
+      version: packageVersion,
+      description: 'Project management backend with AI planning. Responses use a `{ success, ... }` envelope.',
+      components: schemas.components
+    });
+  }
+  res.json(openApiSpec);
+});
+
+app.get('/api/docs', validate(schemas.docs.docsPage), (req, res) => {
+  res.type('html').send(renderDocsPage('/api/openapi.json', 'Nexus AI API'));
+});
+
+// JSON for unknown routes and anything passed to next(error); registered last
+app.use(notFound);
+app.use(errorHandler);
+
+// Routes without a schema are left out of the OpenAPI document
+const undocumentedRoutes = findUndocumentedRoutes(app);
+if (undocumentedRoutes.length) {
+  logger.warn('Routes missing from /api/openapi.json', { routes: undocumentedRoutes });
+}
+
+// Export for Vercel (and for tests, which load the app without starting it)
+if (process.env.NODE_ENV !== 'production' && require.main === module) {
   const PORT = process.env.PORT || 3001;
   app.listen(PORT, () => {
-    console.log(`🚀 Nexus Backend running on http://localhost:${PORT}`);
-    console.log(`🤖 Gemini AI: ${API_KEY ? '✅' : '❌'}`);
-    console.log(`🗄️  Supabase: ${process.env.SUPABASE_URL ? '✅' : '❌'}`);
+    logger.info(`Nexus Backend running on http://localhost:${PORT}`, {
+      port: Number(PORT),
+      ai: { provider: aiStatus.provider, model: aiStatus.model, configured: aiStatus.configured },
+      data_backend: DATA_BACKEND,
+      supabase_configured: !!process.env.SUPABASE_URL
+    });
   });
+
+  // No Vercel Cron when running standalone: purge expired trash hourly, retry webhooks every minute
+  setInterval(() => {
+    purgeExpiredProjects(supabase).catch(error => logger.error('Purge trash error', { error }));
+  }, 60 * 60 * 1000).unref();
+
+  setInterval(() => {
+    processDueDeliveries(supabase).catch(error => logger.error('Webhook retry error', { error }));
+  }, 60 * 1000).unref();
 }
 
 module.exports = app;
@@ -0,0 +1,26 @@
+-- Server-side chat history for /api/chat
+
+create table if not exists public.conversations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  project_id uuid references public.projects (id) on delete cascade,
+  title text,
+  summary text,
+  summarized_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists conversations_user_id_idx on public.conversations (user_id, updated_at desc);
+create index if not exists conversations_project_id_idx on public.conversations (project_id);
+
+create table if not exists public.conversation_messages (
+  id bigint generated always as identity primary key,
+  conversation_id uuid not null references public.conversations (id) on delete cascade,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversation_messages_conversation_id_idx
+  on public.conversation_messages (conversation_id, created_at);
@@ -0,0 +1,18 @@
+-- Roadmap milestones saved from structured /api/roadmap output
+
+create table if not exists public.milestones (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  phase_key text not null,
+  phase_title text not null,
+  phase_depends_on text[] not null default '{}',
+  title text not null,
+  description text,
+  start_date date,
+  due_date date,
+  status text not null default 'pending' check (status in ('pending', 'done')),
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists milestones_project_id_idx on public.milestones (project_id, position);
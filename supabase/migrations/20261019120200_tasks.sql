@@ -0,0 +1,20 @@
+-- Tasks under projects; projects.progress is recalculated from these
+
+create table if not exists public.tasks (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  parent_id uuid references public.tasks (id) on delete cascade,
+  title text not null,
+  description text,
+  status text not null default 'todo' check (status in ('todo', 'in_progress', 'done')),
+  assignee_id uuid references auth.users (id) on delete set null,
+  estimate numeric check (estimate >= 0),
+  due_date date,
+  position integer not null default 0,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists tasks_project_id_idx on public.tasks (project_id, position);
+create index if not exists tasks_parent_id_idx on public.tasks (parent_id);
@@ -0,0 +1,5 @@
+-- Priorities and dependencies for tasks created from AI breakdowns
+
+alter table public.tasks
+  add column if not exists priority text not null default 'medium' check (priority in ('low', 'medium', 'high')),
+  add column if not exists depends_on uuid[] not null default '{}';
@@ -0,0 +1,29 @@
+-- Project sharing: members with roles and email invitations
+-- The owner stays on projects.user_id; members hold editor or viewer roles
+
+create table if not exists public.project_members (
+  project_id uuid not null references public.projects (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null check (role in ('editor', 'viewer')),
+  invited_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (project_id, user_id)
+);
+
+create index if not exists project_members_user_id_idx on public.project_members (user_id);
+
+create table if not exists public.project_invitations (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('editor', 'viewer')),
+  status text not null default 'pending' check (status in ('pending', 'accepted', 'declined')),
+  invited_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  responded_at timestamptz
+);
+
+create index if not exists project_invitations_email_idx on public.project_invitations (lower(email), status);
+create unique index if not exists project_invitations_pending_idx
+  on public.project_invitations (project_id, email) where status = 'pending';
@@ -0,0 +1,15 @@
+-- Admin API: searchable emails and account suspension on profiles
+
+alter table public.profiles
+  add column if not exists email text,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspended_reason text;
+
+update public.profiles p
+set email = u.email
+from auth.users u
+where u.id = p.id and p.email is null;
+
+create index if not exists profiles_email_idx on public.profiles (lower(email));
+create index if not exists admin_actions_created_at_idx on public.admin_actions (created_at desc);
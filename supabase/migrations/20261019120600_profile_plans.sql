@@ -0,0 +1,4 @@
+-- Plan tier used for AI rate limits and token quotas
+
+alter table public.profiles
+  add column if not exists plan text not null default 'free';
@@ -0,0 +1,21 @@
+-- One row per AI model call, for accounting and cost reports
+
+create table if not exists public.ai_usage (
+  id bigint generated always as identity primary key,
+  user_id uuid references auth.users (id) on delete set null,
+  project_id uuid,
+  route text,
+  provider text not null,
+  model text not null,
+  streamed boolean not null default false,
+  status text not null check (status in ('success', 'error', 'aborted')),
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer not null default 0,
+  latency_ms integer not null default 0,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_usage_created_at_idx on public.ai_usage (created_at);
+create index if not exists ai_usage_user_id_idx on public.ai_usage (user_id, created_at);
@@ -0,0 +1,24 @@
+-- Filtering, sorting and full-text search for GET /api/projects
+
+alter table public.projects
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('english', coalesce(name, '') || ' ' || coalesce(description, ''))
+  ) stored;
+
+create or replace function public.set_updated_at() returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists projects_set_updated_at on public.projects;
+create trigger projects_set_updated_at
+  before update on public.projects
+  for each row execute function public.set_updated_at();
+
+create index if not exists projects_search_vector_idx on public.projects using gin (search_vector);
+create index if not exists projects_tags_idx on public.projects using gin (tags);
+create index if not exists projects_user_id_created_at_idx on public.projects (user_id, created_at desc, id desc);
+create index if not exists projects_due_date_idx on public.projects (due_date);
@@ -0,0 +1,10 @@
+-- Soft delete: DELETE /api/projects/:id moves a project to the trash.
+-- Trashed projects are purged (with their tasks, milestones, members,
+-- invitations and conversations, via ON DELETE CASCADE) after the
+-- retention period.
+
+alter table public.projects
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists projects_deleted_at_idx
+  on public.projects (deleted_at) where deleted_at is not null;
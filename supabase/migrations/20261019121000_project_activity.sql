@@ -0,0 +1,26 @@
+-- Append-only project history: who changed which fields, and the project
+-- state after each change (used to revert)
+
+create table if not exists public.project_activity (
+  id bigint generated always as identity primary key,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  actor_id uuid references auth.users (id) on delete set null,
+  action text not null check (action in ('create', 'update', 'delete', 'restore', 'transfer', 'revert')),
+  changes jsonb not null default '{}',
+  snapshot jsonb not null,
+  reverted_from bigint references public.project_activity (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_activity_project_id_idx on public.project_activity (project_id, id desc);
+
+create or replace function public.prevent_activity_update() returns trigger as $$
+begin
+  raise exception 'project_activity is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists project_activity_append_only on public.project_activity;
+create trigger project_activity_append_only
+  before update on public.project_activity
+  for each row execute function public.prevent_activity_update();
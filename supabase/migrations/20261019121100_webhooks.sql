@@ -0,0 +1,43 @@
+-- Outgoing webhooks: per-user subscriptions and a delivery log with retries
+
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  url text not null,
+  secret text not null,
+  events text[] not null,
+  description text,
+  enabled boolean not null default true,
+  consecutive_failures integer not null default 0,
+  disabled_at timestamptz,
+  disabled_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhooks_user_id_idx on public.webhooks (user_id);
+create index if not exists webhooks_events_idx on public.webhooks using gin (events);
+
+drop trigger if exists webhooks_set_updated_at on public.webhooks;
+create trigger webhooks_set_updated_at
+  before update on public.webhooks
+  for each row execute function public.set_updated_at();
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks (id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'success', 'failed')),
+  attempts integer not null default 0,
+  response_status integer,
+  response_body text,
+  error text,
+  next_attempt_at timestamptz default now(),
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_webhook_id_idx on public.webhook_deliveries (webhook_id, created_at desc);
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at) where status = 'pending';
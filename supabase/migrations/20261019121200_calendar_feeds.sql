@@ -0,0 +1,9 @@
+-- One iCalendar feed per user. Only a SHA-256 hash of the feed token is
+-- stored; regenerating replaces it, which breaks the old URL.
+
+create table if not exists public.calendar_feeds (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  token_hash text not null unique,
+  last_accessed_at timestamptz,
+  created_at timestamptz not null default now()
+);
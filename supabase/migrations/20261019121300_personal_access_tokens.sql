@@ -0,0 +1,18 @@
+-- Personal access tokens for scripts and CI. Only a SHA-256 hash of each
+-- token is stored; revoked tokens are kept for reference.
+
+create table if not exists public.personal_access_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  token_hash text not null unique,
+  token_hint text not null,
+  scopes text[] not null,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists personal_access_tokens_user_id_idx
+  on public.personal_access_tokens (user_id, created_at desc);
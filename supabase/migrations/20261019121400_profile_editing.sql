@@ -0,0 +1,24 @@
+-- Editable profiles (PATCH /api/auth/profile) and email kept in sync with
+-- auth.users once an email change is confirmed
+
+alter table public.profiles
+  add column if not exists avatar_url text,
+  add column if not exists updated_at timestamptz not null default now();
+
+drop trigger if exists profiles_set_updated_at on public.profiles;
+create trigger profiles_set_updated_at
+  before update on public.profiles
+  for each row execute function public.set_updated_at();
+
+create or replace function public.sync_profile_email() returns trigger as $$
+begin
+  update public.profiles set email = new.email where id = new.id;
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+drop trigger if exists on_auth_user_email_changed on auth.users;
+create trigger on_auth_user_email_changed
+  after update of email on auth.users
+  for each row when (old.email is distinct from new.email)
+  execute function public.sync_profile_email();
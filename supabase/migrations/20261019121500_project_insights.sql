@@ -0,0 +1,41 @@
+-- Saved AI output per project: every hint and roadmap generation becomes
+-- a numbered version with the inputs and model behind it, plus per-user
+-- thumbs up/down feedback used for prompt tuning
+
+create table if not exists public.project_insights (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  kind text not null check (kind in ('hints', 'roadmap')),
+  version integer not null,
+  format text not null check (format in ('markdown', 'json')),
+  content jsonb not null,
+  inputs jsonb not null default '{}',
+  provider text not null,
+  model text not null,
+  created_by uuid references auth.users (id) on delete set null,
+  pinned_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (project_id, kind, version)
+);
+
+-- At most one pinned ("current") version per project and kind
+create unique index if not exists project_insights_pinned_idx
+  on public.project_insights (project_id, kind)
+  where pinned_at is not null;
+
+create table if not exists public.insight_feedback (
+  insight_id uuid not null references public.project_insights (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  rating text not null check (rating in ('up', 'down')),
+  comment text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (insight_id, user_id)
+);
+
+create index if not exists insight_feedback_created_at_idx on public.insight_feedback (created_at);
+
+drop trigger if exists insight_feedback_set_updated_at on public.insight_feedback;
+create trigger insight_feedback_set_updated_at
+  before update on public.insight_feedback
+  for each row execute function public.set_updated_at();
@@ -0,0 +1,25 @@
+-- Flagged AI requests and responses (prompt injection, persona breaks,
+-- system prompt leaks) kept for admin review
+
+create table if not exists public.ai_moderation_events (
+  id bigint generated always as identity primary key,
+  user_id uuid references auth.users (id) on delete set null,
+  ip_address text,
+  project_id uuid,
+  conversation_id uuid,
+  route text,
+  request_id text,
+  stage text not null check (stage in ('input', 'output')),
+  action text not null check (action in ('flagged', 'blocked')),
+  flags text[] not null,
+  excerpt text not null,
+  reviewed_at timestamptz,
+  reviewed_by uuid references auth.users (id) on delete set null,
+  review_note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_moderation_events_created_at_idx on public.ai_moderation_events (created_at desc);
+create index if not exists ai_moderation_events_unreviewed_idx
+  on public.ai_moderation_events (created_at desc)
+  where reviewed_at is null;
@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OWNER_ID = '00000000-0000-4000-8000-000000000011';
+const EDITOR_ID = '00000000-0000-4000-8000-000000000012';
+const VIEWER_ID = '00000000-0000-4000-8000-000000000013';
+const OUTSIDER_ID = '00000000-0000-4000-8000-000000000014';
+const SHARED_PROJECT_ID = '00000000-0000-4000-8000-000000000015';
+
+// One shared project with an editor and a viewer, plus someone who isn't a member
+const seedPath = path.join(os.tmpdir(), `nexus-api-${process.pid}.json`);
+fs.writeFileSync(seedPath, JSON.stringify({
+  users: [
+    { id: OWNER_ID, email: 'owner@example.com', password: 'secret123' },
+    { id: EDITOR_ID, email: 'editor@example.com', password: 'secret123' },
+    { id: VIEWER_ID, email: 'viewer@example.com', password: 'secret123' },
+    { id: OUTSIDER_ID, email: 'outsider@example.com', password: 'secret123' }
+  ],
+  tables: {
+    projects: [{ id: SHARED_PROJECT_ID, user_id: OWNER_ID, name: 'Shared' }],
+    project_members: [
+      { project_id: SHARED_PROJECT_ID, user_id: EDITOR_ID, role: 'editor' },
+      { project_id: SHARED_PROJECT_ID, user_id: VIEWER_ID, role: 'viewer' }
+    ]
+  }
+}));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.MEMORY_SEED_FILE = seedPath;
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(seedPath, { force: true });
+});
+
+// { status, body } for a JSON request, signed in when `token` is given
+const request = async (method, url, { token, body } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const signIn = async (email) => {
+  const { body } = await request('POST', '/api/auth/login', { body: { email, password: 'secret123' } });
+  return body.session.access_token;
+};
+
+test('sign up, sign in and read the current user', async () => {
+  const signup = await request('POST', '/api/auth/signup', {
+    body: { email: 'new@example.com', password: 'secret123', fullName: 'New Person' }
+  });
+  assert.strictEqual(signup.status, 200);
+  assert.ok(signup.body.session.access_token);
+
+  const duplicate = await request('POST', '/api/auth/signup', { body: { email: 'new@example.com', password: 'secret123' } });
+  assert.strictEqual(duplicate.status, 400);
+
+  const wrong = await request('POST', '/api/auth/login', { body: { email: 'new@example.com', password: 'wrong-password' } });
+  assert.strictEqual(wrong.status, 401);
+
+  const token = await signIn('new@example.com');
+  const me = await request('GET', '/api/auth/me', { token });
+  assert.strictEqual(me.status, 200);
+  assert.strictEqual(me.body.user.email, 'new@example.com');
+  assert.strictEqual(me.body.profile.full_name, 'New Person');
+});
+
+test('requests without a valid token are rejected', async () => {
+  assert.strictEqual((await request('GET', '/api/projects')).status, 401);
+  assert.strictEqual((await request('GET', '/api/projects', { token: 'not-a-token' })).status, 401);
+  assert.strictEqual((await request('GET', '/api/auth/me')).status, 401);
+});
+
+test('create, read, update, trash and restore a project', async () => {
+  const token = await signIn('owner@example.com');
+
+  const created = await request('POST', '/api/projects', {
+    token,
+    body: { name: '  Launch  ', tags: ['web'], due_date: '2026-12-01' }
+  });
+  assert.strictEqual(created.status, 200);
+  const { project } = created.body;
+  assert.strictEqual(project.name, 'Launch');
+  assert.strictEqual(project.priority, 'medium');
+
+  const invalid = await request('POST', '/api/projects', { token, body: { name: '', due_date: 'soon' } });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.code, 'validation_failed');
+
+  const fetched = await request('GET', `/api/projects/${project.id}`, { token });
+  assert.strictEqual(fetched.body.project.id, project.id);
+
+  const updated = await request('PATCH', `/api/projects/${project.id}`, { token, body: { status: 'active', progress: 40 } });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.project.status, 'active');
+  assert.strictEqual(updated.body.project.progress, 40);
+
+  const listed = await request('GET', '/api/projects', { token });
+  assert.ok(listed.body.projects.some(entry => entry.id === project.id));
+
+  assert.strictEqual((await request('DELETE', `/api/projects/${project.id}`, { token })).status, 200);
+  assert.strictEqual((await request('GET', `/api/projects/${project.id}`, { token })).status, 404);
+
+  const trash = await request('GET', '/api/projects/trash', { token });
+  assert.ok(trash.body.projects.some(entry => entry.id === project.id));
+
+  assert.strictEqual((await request('POST', `/api/projects/trash/${project.id}/restore`, { token })).status, 200);
+  assert.strictEqual((await request('GET', `/api/projects/${project.id}`, { token })).status, 200);
+});
+
+test('project roles decide who can read and change a shared project', async () => {
+  const url = `/api/projects/${SHARED_PROJECT_ID}`;
+  const [viewer, editor, outsider] = await Promise.all([
+    signIn('viewer@example.com'),
+    signIn('editor@example.com'),
+    signIn('outsider@example.com')
+  ]);
+
+  const asViewer = await request('GET', url, { token: viewer });
+  assert.strictEqual(asViewer.status, 200);
+  assert.strictEqual(asViewer.body.project.role, 'viewer');
+
+  const viewerEdit = await request('PATCH', url, { token: viewer, body: { name: 'Renamed' } });
+  assert.strictEqual(viewerEdit.status, 403);
+  assert.strictEqual(viewerEdit.body.code, 'project_role_required');
+
+  const editorEdit = await request('PATCH', url, { token: editor, body: { name: 'Renamed' } });
+  assert.strictEqual(editorEdit.status, 200);
+  assert.strictEqual(editorEdit.body.project.name, 'Renamed');
+
+  // Only the owner may delete or invite
+  assert.strictEqual((await request('DELETE', url, { token: editor })).status, 403);
+  const invite = await request('POST', `${url}/invitations`, { token: editor, body: { email: 'someone@example.com' } });
+  assert.strictEqual(invite.status, 403);
+
+  // Outsiders can't tell the project exists
+  assert.strictEqual((await request('GET', url, { token: outsider })).status, 404);
+  assert.strictEqual((await request('PATCH', url, { token: outsider, body: { name: 'Mine' } })).status, 404);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { toCsv, parseCsv } = require('../lib/csv');
+const { toProjectCsv } = require('../lib/transfer');
+
+test('text that a spreadsheet would run as a formula is quoted', () => {
+  const csv = toCsv([
+    { a: '=HYPERLINK("https://example.com")', b: '+1', c: '-2', d: '@SUM(A1)', e: '\tx', f: '\rx' }
+  ], ['a', 'b', 'c', 'd', 'e', 'f']);
+
+  assert.strictEqual(csv, 'a,b,c,d,e,f\r\n"\'=HYPERLINK(""https://example.com"")",\'+1,\'-2,\'@SUM(A1),\'\tx,"\'\rx"\r\n');
+});
+
+test('numbers and plain text are written as they are', () => {
+  assert.strictEqual(toCsv([{ a: -5, b: 'Launch', c: "it's done" }], ['a', 'b', 'c']), "a,b,c\r\n-5,Launch,it's done\r\n");
+});
+
+test('an exported project CSV reads back unchanged', () => {
+  const csv = toProjectCsv([{ name: '=cmd|" /C calc"!A0', description: '-- notes', tags: ['@ops'] }]);
+  const [row] = parseCsv(csv);
+
+  assert.ok(csv.includes('"\'=cmd|"" /C calc""!A0"'));
+  assert.strictEqual(row.name, '=cmd|" /C calc"!A0');
+  assert.strictEqual(row.description, '-- notes');
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_ID = '00000000-0000-4000-8000-000000000001';
+const PROJECT_ID = '00000000-0000-4000-8000-000000000002';
+const INSIGHT_ID = '00000000-0000-4000-8000-000000000003';
+
+// Rated output and comment that a spreadsheet would run as formulas
+const seedPath = path.join(os.tmpdir(), `nexus-feedback-export-${process.pid}.json`);
+fs.writeFileSync(seedPath, JSON.stringify({
+  users: [{ id: ADMIN_ID, email: 'admin@example.com', password: 'secret123', is_admin: true }],
+  tables: {
+    projects: [{ id: PROJECT_ID, user_id: ADMIN_ID, name: 'Launch' }],
+    project_insights: [{
+      id: INSIGHT_ID,
+      project_id: PROJECT_ID,
+      kind: 'hints',
+      version: 1,
+      format: 'markdown',
+      content: '=HYPERLINK("https://example.com","Open")',
+      provider: 'mock',
+      model: 'mock'
+    }],
+    insight_feedback: [{ insight_id: INSIGHT_ID, user_id: ADMIN_ID, rating: 'down', comment: '@SUM(1+1)' }]
+  }
+}));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.MEMORY_SEED_FILE = seedPath;
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+const { parseCsv } = require('../lib/csv');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(seedPath, { force: true });
+});
+
+test('the feedback CSV export quotes formulas in outputs and comments', async () => {
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'admin@example.com', password: 'secret123' })
+  });
+  const { session } = await login.json();
+
+  const response = await fetch(`${baseUrl}/api/admin/insights/feedback?format=csv`, {
+    headers: { Authorization: `Bearer ${session.access_token}` }
+  });
+  const csv = await response.text();
+
+  assert.strictEqual(response.status, 200);
+  assert.match(csv, /,'@SUM\(1\+1\),/);
+  assert.match(csv, /,"'=HYPERLINK\(""https:\/\/example\.com"",""Open""\)"\r\n$/);
+
+  const [row] = parseCsv(csv);
+  assert.strictEqual(row.comment, '@SUM(1+1)');
+  assert.strictEqual(row.content, '=HYPERLINK("https://example.com","Open")');
+});
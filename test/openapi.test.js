@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Loaded without Supabase or a model provider; the app isn't started when required
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+const schemas = require('../schemas');
+const { toOpenApiPath, listRoutes, buildOpenApiSpec, findUndocumentedRoutes } = require('../lib/openapi');
+
+test('every registered route has a schema', () => {
+  assert.deepStrictEqual(findUndocumentedRoutes(app), []);
+});
+
+test('every registered route is in the OpenAPI document', () => {
+  const spec = buildOpenApiSpec(app, { title: 'Nexus AI API', version: 'test', components: schemas.components });
+
+  const missing = listRoutes(app)
+    .filter(route => !spec.paths[toOpenApiPath(route.path)]?.[route.method])
+    .map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+  assert.deepStrictEqual(missing, []);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock replies keyed on the chat message; the unsafe one breaks persona after a safe first sentence
+const fixturesPath = path.join(os.tmpdir(), `nexus-stream-safety-${process.pid}.json`);
+fs.writeFileSync(fixturesPath, JSON.stringify([
+  { match: 'persona please', response: 'Ship the riskiest part first. I am Gemini, made by Google. Ask me anything.' },
+  { match: 'plan please', response: 'Ship the riskiest part first.\nThen cut scope until the date holds.' }
+]));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_MOCK_FIXTURES = fixturesPath;
+process.env.AI_SAFETY_MODE = 'block';
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(fixturesPath, { force: true });
+});
+
+// [{ event, data }] from a text/event-stream body
+const readEvents = (body) => body
+  .split('\n\n')
+  .map(block => ({
+    event: block.match(/^event: (.*)$/m)?.[1],
+    data: block.match(/^data: (.*)$/m)?.[1]
+  }))
+  .filter(entry => entry.event)
+  .map(entry => ({ event: entry.event, data: JSON.parse(entry.data) }));
+
+const streamChat = async (message) => {
+  const response = await fetch(`${baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message })
+  });
+  return readEvents(await response.text());
+};
+
+test('a flagged streamed reply stops before the flagged text is sent', async () => {
+  const events = await streamChat('persona please');
+  const sent = events.filter(entry => entry.event === 'chunk').map(entry => entry.data.text).join('');
+
+  assert.strictEqual(sent, 'Ship the riskiest part first. ');
+  assert.ok(!events.some(entry => entry.event === 'done'));
+
+  const error = events.find(entry => entry.event === 'error');
+  assert.strictEqual(error?.data.code, 'unsafe_output');
+});
+
+test('a clean streamed reply is sent in full', async () => {
+  const events = await streamChat('plan please');
+  const sent = events.filter(entry => entry.event === 'chunk').map(entry => entry.data.text).join('');
+  const done = events.find(entry => entry.event === 'done');
+
+  assert.strictEqual(sent, 'Ship the riskiest part first.\nThen cut scope until the date holds.');
+  assert.strictEqual(done?.data.text, sent);
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OWNER_ID = '00000000-0000-4000-8000-000000000021';
+const MEMBER_ID = '00000000-0000-4000-8000-000000000022';
+const OUTSIDER_ID = '00000000-0000-4000-8000-000000000023';
+const PROJECT_ID = '00000000-0000-4000-8000-000000000024';
+
+const seedPath = path.join(os.tmpdir(), `nexus-tasks-${process.pid}.json`);
+fs.writeFileSync(seedPath, JSON.stringify({
+  users: [
+    { id: OWNER_ID, email: 'owner@example.com', password: 'secret123' },
+    { id: MEMBER_ID, email: 'member@example.com', password: 'secret123' },
+    { id: OUTSIDER_ID, email: 'outsider@example.com', password: 'secret123' }
+  ],
+  tables: {
+    projects: [{ id: PROJECT_ID, user_id: OWNER_ID, name: 'Tasks', team_size: 2 }],
+    project_members: [{ project_id: PROJECT_ID, user_id: MEMBER_ID, role: 'editor' }]
+  }
+}));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.MEMORY_SEED_FILE = seedPath;
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+let token;
+
+// { status, body } for a JSON request, signed in as the owner once `token` is set
+const request = async (method, url, { body } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { body } = await request('POST', '/api/auth/login', { body: { email: 'owner@example.com', password: 'secret123' } });
+  token = body.session.access_token;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(seedPath, { force: true });
+});
+
+const createProject = async (name) => (await request('POST', '/api/projects', { body: { name } })).body.project;
+
+test('task status drives project progress, and manual progress is refused meanwhile', async () => {
+  const project = await createProject('Progress');
+  const tasksUrl = `/api/projects/${project.id}/tasks`;
+
+  const first = await request('POST', tasksUrl, { body: { title: 'Design', status: 'done' } });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.progress, 100);
+
+  const second = await request('POST', tasksUrl, { body: { title: 'Build' } });
+  assert.strictEqual(second.body.progress, 50);
+
+  const manual = await request('PATCH', `/api/projects/${project.id}`, { body: { progress: 10 } });
+  assert.strictEqual(manual.status, 409);
+  assert.strictEqual(manual.body.code, 'progress_calculated');
+
+  await request('DELETE', `${tasksUrl}/${first.body.task.id}`);
+  const last = await request('DELETE', `${tasksUrl}/${second.body.task.id}`);
+  assert.strictEqual(last.body.progress, 0);
+
+  // Without tasks, progress is set by hand again
+  const reset = await request('GET', `/api/projects/${project.id}`);
+  assert.strictEqual(reset.body.project.progress, 0);
+
+  const manualAgain = await request('PATCH', `/api/projects/${project.id}`, { body: { progress: 10 } });
+  assert.strictEqual(manualAgain.status, 200);
+  assert.strictEqual(manualAgain.body.project.progress, 10);
+});
+
+test('tasks can only be assigned to project members', async () => {
+  const tasksUrl = `/api/projects/${PROJECT_ID}/tasks`;
+
+  const member = await request('POST', tasksUrl, { body: { title: 'Review', assignee_id: MEMBER_ID } });
+  assert.strictEqual(member.status, 200);
+  assert.strictEqual(member.body.task.assignee_id, MEMBER_ID);
+
+  const outsider = await request('POST', tasksUrl, { body: { title: 'Review', assignee_id: OUTSIDER_ID } });
+  assert.strictEqual(outsider.status, 400);
+});
+
+test('bulk creation checks assignees and due dates', async () => {
+  const bulkUrl = `/api/projects/${PROJECT_ID}/tasks/bulk`;
+  const draft = (extra) => ({ tasks: [{ key: 'a', title: 'Plan', estimate_hours: 4, priority: 'high', ...extra }] });
+
+  const badDate = await request('POST', bulkUrl, { body: draft({ due_date: '2026-02-31x' }) });
+  assert.strictEqual(badDate.status, 400);
+  assert.deepStrictEqual(badDate.body.details, ['tasks[0].due_date must be a date (YYYY-MM-DD)']);
+
+  const outsider = await request('POST', bulkUrl, { body: draft({ assignee_id: OUTSIDER_ID }) });
+  assert.strictEqual(outsider.status, 400);
+  assert.strictEqual(outsider.body.error, 'Assignee must be a member of the project');
+
+  const existing = await request('GET', `/api/projects/${PROJECT_ID}/tasks`);
+
+  const created = await request('POST', bulkUrl, {
+    body: {
+      tasks: [
+        { key: 'a', title: 'Plan', estimate_hours: 4, priority: 'high', assignee_id: MEMBER_ID, due_date: '2026-11-02' },
+        { key: 'b', title: 'Ship', estimate_hours: 8, priority: 'medium', depends_on: ['a'] }
+      ]
+    }
+  });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual(created.body.tasks.length, 2);
+  assert.strictEqual(created.body.tasks[0].assignee_id, MEMBER_ID);
+  assert.strictEqual(created.body.tasks[0].due_date, '2026-11-02');
+  assert.deepStrictEqual(created.body.tasks[1].depends_on, [created.body.tasks[0].id]);
+
+  const listed = await request('GET', `/api/projects/${PROJECT_ID}/tasks`);
+  assert.strictEqual(listed.body.tasks.length, existing.body.tasks.length + 2);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const seedPath = path.join(os.tmpdir(), `nexus-tokens-${process.pid}.json`);
+fs.writeFileSync(seedPath, JSON.stringify({
+  users: [{ email: 'owner@example.com', password: 'secret123' }]
+}));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.MEMORY_SEED_FILE = seedPath;
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+let session;
+
+// { status, body } for a JSON request with `token` as the bearer token
+const request = async (method, url, { token, body } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const createToken = async (scopes) => {
+  const { body } = await request('POST', '/api/tokens', { token: session, body: { name: scopes.join(' '), scopes } });
+  return body;
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { body } = await request('POST', '/api/auth/login', { body: { email: 'owner@example.com', password: 'secret123' } });
+  session = body.session.access_token;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(seedPath, { force: true });
+});
+
+test('a read-only token can read projects but not change them', async () => {
+  const { secret } = await createToken(['projects:read']);
+
+  const listed = await request('GET', '/api/projects', { token: secret });
+  assert.strictEqual(listed.status, 200);
+
+  const created = await request('POST', '/api/projects', { token: secret, body: { name: 'From a script' } });
+  assert.strictEqual(created.status, 403);
+  assert.strictEqual(created.body.code, 'insufficient_scope');
+});
+
+test('a write scope includes the matching read scope', async () => {
+  const { secret } = await createToken(['projects:write']);
+
+  const created = await request('POST', '/api/projects', { token: secret, body: { name: 'From a script' } });
+  assert.strictEqual(created.status, 200);
+
+  const fetched = await request('GET', `/api/projects/${created.body.project.id}`, { token: secret });
+  assert.strictEqual(fetched.status, 200);
+});
+
+test('tokens cannot manage tokens or reach routes without scopes', async () => {
+  const { secret } = await createToken(['projects:write', 'conversations:write']);
+
+  const listed = await request('GET', '/api/tokens', { token: secret });
+  assert.strictEqual(listed.status, 403);
+  assert.strictEqual(listed.body.code, 'token_not_allowed');
+
+  const password = await request('PATCH', '/api/auth/password', {
+    token: secret,
+    body: { current_password: 'secret123', new_password: 'another-secret' }
+  });
+  assert.strictEqual(password.status, 403);
+});
+
+test('a token secret is never listed, and a revoked token stops working', async () => {
+  const { token, secret } = await createToken(['projects:read']);
+  assert.ok(!JSON.stringify(token).includes(secret));
+
+  const listed = await request('GET', '/api/tokens', { token: session });
+  assert.ok(listed.body.tokens.some(entry => entry.id === token.id && !JSON.stringify(entry).includes(secret)));
+
+  assert.strictEqual((await request('DELETE', `/api/tokens/${token.id}`, { token: session })).status, 200);
+  assert.strictEqual((await request('GET', '/api/projects', { token: secret })).status, 401);
+});
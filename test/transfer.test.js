@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const seedPath = path.join(os.tmpdir(), `nexus-transfer-${process.pid}.json`);
+fs.writeFileSync(seedPath, JSON.stringify({
+  users: [
+    { email: 'owner@example.com', password: 'secret123' },
+    { email: 'other@example.com', password: 'secret123' }
+  ]
+}));
+
+process.env.DATA_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'mock';
+process.env.MEMORY_SEED_FILE = seedPath;
+process.env.LOG_LEVEL = 'error';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+// Raw fetch Response, signed in with `token`
+const send = (method, url, { token, body } = {}) => {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+};
+
+const request = async (method, url, options) => {
+  const response = await send(method, url, options);
+  return { status: response.status, body: await response.json() };
+};
+
+const signIn = async (email) => {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'secret123' })
+  });
+  return (await response.json()).session.access_token;
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(seedPath, { force: true });
+});
+
+test('a JSON export imports into another account with its tasks', async () => {
+  const [owner, other] = await Promise.all([signIn('owner@example.com'), signIn('other@example.com')]);
+
+  const { body: { project } } = await request('POST', '/api/projects', {
+    token: owner,
+    body: { name: 'Roundtrip', tags: ['ops'], priority: 'high' }
+  });
+  const { body: { task: parent } } = await request('POST', `/api/projects/${project.id}/tasks`, {
+    token: owner,
+    body: { title: 'Parent' }
+  });
+  await request('POST', `/api/projects/${project.id}/tasks`, {
+    token: owner,
+    body: { title: 'Child', parent_id: parent.id, status: 'done' }
+  });
+
+  const exported = await send('GET', `/api/projects/${project.id}/export?format=json`, { token: owner });
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /attachment/);
+  const content = await exported.text();
+  const [original] = JSON.parse(content).projects;
+  assert.strictEqual(original.tasks.length, 2);
+
+  const imported = await request('POST', '/api/projects/import', { token: other, body: { format: 'json', content } });
+  assert.strictEqual(imported.status, 200);
+  assert.strictEqual(imported.body.imported, 1);
+
+  const copy = imported.body.projects[0];
+  assert.notStrictEqual(copy.id, project.id);
+  assert.strictEqual(copy.name, 'Roundtrip');
+  assert.strictEqual(copy.progress, 100);
+
+  // New task ids, with the parent link kept
+  const { body: { tasks } } = await request('GET', `/api/projects/${copy.id}/tasks`, { token: other });
+  assert.strictEqual(tasks.length, 1);
+  assert.notStrictEqual(tasks[0].id, parent.id);
+  assert.deepStrictEqual(tasks[0].subtasks.map(task => task.title), ['Child']);
+});
+
+test('a CSV import is checked row by row, and a dry run changes nothing', async () => {
+  const token = await signIn('owner@example.com');
+  const content = 'name,priority,tags,due_date\r\nAlpha,low,"a,b",2026-12-01\r\n,urgent,,someday\r\n';
+
+  const dryRun = await request('POST', '/api/projects/import', { token, body: { format: 'csv', content, dry_run: true } });
+  assert.strictEqual(dryRun.status, 200);
+  assert.strictEqual(dryRun.body.imported, 0);
+  assert.deepStrictEqual(dryRun.body.projects[0].tags, ['a', 'b']);
+  assert.deepStrictEqual(
+    dryRun.body.errors.map(error => `${error.row}:${error.field}`).sort(),
+    ['2:due_date', '2:name', '2:priority']
+  );
+
+  const rejected = await request('POST', '/api/projects/import', { token, body: { format: 'csv', content } });
+  assert.strictEqual(rejected.status, 400);
+
+  const { body: { projects } } = await request('GET', '/api/projects', { token });
+  assert.ok(!projects.some(project => project.name === 'Alpha'));
+
+  const unreadable = await request('POST', '/api/projects/import', { token, body: { format: 'json', content: '{"projects":' } });
+  assert.strictEqual(unreadable.status, 400);
+  assert.match(unreadable.body.error, /^Invalid JSON/);
+});
+
+test('the CSV export lists only the projects the user can see', async () => {
+  const [owner, other] = await Promise.all([signIn('owner@example.com'), signIn('other@example.com')]);
+  await request('POST', '/api/projects', { token: owner, body: { name: 'Visible' } });
+  await request('POST', '/api/projects', { token: other, body: { name: 'Private' } });
+
+  const response = await send('GET', '/api/projects/export?format=csv', { token: owner });
+  const csv = await response.text();
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.ok(csv.startsWith('id,name,'));
+  assert.ok(csv.includes('Visible'));
+  assert.ok(!csv.includes('Private'));
+});